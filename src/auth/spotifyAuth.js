@@ -1,5 +1,6 @@
 require('dotenv').config();
 const SpotifyWebApi = require('spotify-web-api-node');
+const { withRetry } = require('../util/retry');
 
 async function getSpotify() {
     const sp = new SpotifyWebApi({
@@ -8,7 +9,7 @@ async function getSpotify() {
         redirectUri: process.env.SPOTIFY_REDIRECT_URI
     });
     sp.setRefreshToken(process.env.SPOTIFY_REFRESH_TOKEN);
-    const tok = await sp.refreshAccessToken();
+    const tok = await withRetry('spotify', 'refreshAccessToken', () => sp.refreshAccessToken());
     sp.setAccessToken(tok.body.access_token);
     return sp;
 }
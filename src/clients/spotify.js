@@ -1,4 +1,12 @@
 const { norm, tokens, jaccardTitle, hasUsableTokens } = require('../util/text');
+const { withRetry } = require('../util/retry');
+const { getCachedSearch, putCachedSearch } = require('../util/searchCache');
+const { extractIsrc } = require('../util/ytDescription');
+const { isLikedSongsId } = require('../util/likedSongs');
+const { DEFAULT_SCORING, evaluate, rankCandidates, breakdownOf, explanation, formatExplanation, relaxedDurationOk } = require('../util/scoring');
+
+// Every Web API call goes through the shared retry wrapper
+const call = (op, fn, opts) => withRetry('spotify', op, fn, opts);
 
 // Canonicalize a Spotify playlist item (unchanged)
 function canonicalFromPlaylistItem(it) {
@@ -14,13 +22,6 @@ function canonicalFromPlaylistItem(it) {
   };
 }
 
-// Accept a few friendly aliases for Liked Songs
-function isLikedSongsId(id) {
-  if (!id) return false;
-  const x = String(id).toLowerCase().trim();
-  return x === 'liked_songs' || x === 'liked' || x === 'me:liked' || x === 'library:liked';
-}
-
 async function getAllPlaylistItems(sp, playlistId) {
   // Special-case: Liked Songs use a different API (saved tracks), not playlist tracks
   if (isLikedSongsId(playlistId)) {
@@ -28,7 +29,7 @@ async function getAllPlaylistItems(sp, playlistId) {
     let offset = 0;
     while (true) {
       // getMySavedTracks paginates at 50
-      const res = await sp.getMySavedTracks({ limit: 50, offset });
+      const res = await call('getMySavedTracks', () => sp.getMySavedTracks({ limit: 50, offset }));
       const batch = res.body.items || [];
       items = items.concat(batch);
       offset += batch.length;
@@ -41,7 +42,7 @@ async function getAllPlaylistItems(sp, playlistId) {
   let items = [];
   let offset = 0;
   while (true) {
-    const res = await sp.getPlaylistTracks(playlistId, { limit: 100, offset });
+    const res = await call('getPlaylistTracks', () => sp.getPlaylistTracks(playlistId, { limit: 100, offset }));
     const batch = res.body.items || [];
     items = items.concat(batch);
     offset += batch.length;
@@ -51,12 +52,6 @@ async function getAllPlaylistItems(sp, playlistId) {
 }
 
 // ---------- Helpers for YT → SP ----------
-function relaxedDurationOk(trackMs, candMs) {
-  if (!trackMs || !candMs) return false;
-  const slackMs = Math.max(12000, Math.floor(0.04 * trackMs)); // max(12s, 4%)
-  return Math.abs(trackMs - candMs) <= slackMs;
-}
-
 function durationClose(trackMs, candMs, slackSec = 7) {
   if (!trackMs || !candMs) return false;
   const slack = slackSec * 1000;
@@ -175,29 +170,67 @@ function isExactTitleMatch(coreTitle, spName) {
   return true;
 }
 
+// Title/artist signals for a video. Parsed "Provided to YouTube by" metadata (ytItem.meta)
+// gives the exact title and all artists, so it is trusted over the title/channel heuristics.
+// Returns { titleCore, artistGuess, alignArtists, trusted, album, split }
+function ytSignals(ytItem) {
+  const meta = ytItem.meta;
+  if (meta?.title && meta.artists?.length) {
+    return {
+      titleCore: meta.title,
+      artistGuess: meta.artists[0],
+      alignArtists: meta.artists.join(' '), // any credited artist may align
+      trusted: true,
+      album: meta.album || null,
+      split: { titleCore: meta.title, artistSide: meta.artists.join(', '), orientation: 'description' }
+    };
+  }
+  const split = smartSplitArtistTitle(ytItem.title || '', ytItem.channelTitle || '');
+  const { artistGuess, trusted } = deriveArtistGuess(ytItem.title || '', ytItem.channelTitle || '');
+  return {
+    titleCore: split.titleCore || (ytItem.title || ''),
+    artistGuess,
+    alignArtists: artistGuess,
+    trusted,
+    album: null,
+    split
+  };
+}
+
+function albumMatches(album, spAlbumName) {
+  return !!album && !!spAlbumName && norm(album) === norm(spAlbumName);
+}
+
 // ---------- Soft duplicate detection in Spotify playlist ----------
-function findSoftDupeInSpotify(ytItem, spPlaylistItems, { verbose = false, log = console.log } = {}) {
+function findSoftDupeInSpotify(ytItem, spPlaylistItems, { jaccardMin = 0.45, scoring = DEFAULT_SCORING, verbose = false, log = console.log } = {}) {
   // If YT title is unintelligible, don't attempt soft-dupe; let the main flow decide (and likely skip).
   const ytTitle = ytItem.title || '';
   if (!hasUsableTokens(ytTitle)) return null;
 
-  const { artistGuess, trusted } = deriveArtistGuess(ytTitle, ytItem.channelTitle || '');
-  let best = null, bestScore = -Infinity;
+  const { titleCore: ytCore, alignArtists, trusted, album } = ytSignals(ytItem);
+  const { softDupe } = scoring;
+  // If we trust the artist guess, require match for non-MV titles; allow MV titles through without artist gate
+  const artistOK = it => !trusted || isMusicVideoName(it.title || '') ||
+    artistAligned(alignArtists, { artists: it.artists?.map(n => ({ name: n })) || [] });
+  const matcher = {
+    filters: {
+      duration: it => relaxedDurationOk(it.durationMs, ytItem.durationMs, softDupe),
+      artist: artistOK,
+      title: it => jaccardTitle(ytCore, it.title || '') >= jaccardMin
+    },
+    features: {
+      artist: it => (artistOK(it) ? 1 : 0),
+      title: it => jaccardTitle(ytCore, it.title || ''),
+      mv: it => (isMusicVideoName(it.title || '') ? 1 : 0),    // tiny nudge toward MV when ambiguous
+      album: it => (albumMatches(album, it.album) ? 1 : 0)     // same release as the Topic upload
+    },
+    weights: softDupe.weights
+  };
 
+  let best = null, bestScore = -Infinity;
   for (const it of spPlaylistItems) {
-    if (!relaxedDurationOk(it.durationMs, ytItem.durationMs)) continue;
-
-    // If we trust the artist guess, require match for non-MV titles; allow MV titles through without artist gate
-    const mvTitle = isMusicVideoName(it.title || '');
-    const artistOK = trusted ? (mvTitle ? true : artistAligned(artistGuess, { artists: it.artists?.map(n => ({ name: n })) || [] })) : true;
-    if (!artistOK) continue;
-
-    const ytCore = smartSplitArtistTitle(ytTitle, ytItem.channelTitle || '').titleCore || ytTitle;
-    const sim = jaccardTitle(ytCore, it.title || '');
-    if (sim < 0.45) continue;
-
-    const score = (artistOK ? 1 : 0) + sim + (mvTitle ? 0.05 : 0); // tiny nudge toward MV when ambiguous
-    if (score > bestScore) { best = it; bestScore = score; }
+    const e = evaluate(it, matcher);
+    if (!e.failed.length && e.score > bestScore) { best = it; bestScore = e.score; }
   }
 
   if (verbose && best) {
@@ -206,21 +239,116 @@ function findSoftDupeInSpotify(ytItem, spPlaylistItems, { verbose = false, log =
   return best; // canonical sp item or null
 }
 
+// Only the track fields the matcher reads are kept in the search cache
+function slimTrack(t) {
+  return {
+    id: t.id,
+    name: t.name,
+    artists: (t.artists || []).map(a => ({ id: a.id, name: a.name })),
+    album: { name: t.album?.name },
+    duration_ms: t.duration_ms,
+    popularity: t.popularity,
+    explicit: t.explicit,
+    external_ids: t.external_ids
+  };
+}
+
+// searchTracks for a query; served from the search cache when fresh
+async function searchTracks(sp, q, limit) {
+  const cached = getCachedSearch('spotify', q, limit);
+  if (cached) return { tracks: cached, fromCache: true };
+  const res = await call('searchTracks', () => sp.searchTracks(q, { limit }));
+  const tracks = (res.body.tracks?.items || []).map(slimTrack);
+  putCachedSearch('spotify', q, limit, tracks);
+  return { tracks, fromCache: false };
+}
+
+// ---------- Exact match: ISRC from the video description ----------
+// The same recording can appear on several releases; prefer the closest duration.
+async function findSpotifyByIsrc(sp, isrc, ytItem, { exclude = null } = {}) {
+  const { tracks } = await searchTracks(sp, `isrc:${isrc}`, 10);
+  const hits = tracks.filter(t => (t.external_ids?.isrc || '').toUpperCase() === isrc && (!exclude || !exclude(t.id)));
+  const delta = t => Math.abs((t.duration_ms || 0) - (ytItem.durationMs || 0));
+  return hits.sort((a, b) => delta(a) - delta(b))[0] || null;
+}
+
+// How many ranked candidates (with score breakdowns) a lookup reports
+const TOP_CANDIDATES = 3;
+
+// YT→SP matcher for one video (see util/scoring.js): hard filters, then features
+function yt2spMatcher(ytItem, signals, slackSec, weights = DEFAULT_SCORING.yt2sp.weights) {
+  const { titleCore, alignArtists, trusted, album } = signals;
+  // A parsed Topic title is the exact track name; otherwise the whole video title counts
+  const ytTokens = versionTokens(ytItem.meta?.title || ytItem.title || '');
+  const isMV = t => isMusicVideoName(t.name || '');
+  return {
+    filters: {
+      duration: t => durationClose(ytItem.durationMs, t.duration_ms, slackSec),
+      // Require version alignment (live/remix/acoustic/lyric/remaster)
+      version: t => {
+        const sTokens = versionTokens(t.name || '');
+        return !((ytTokens.hasLive && !sTokens.hasLive) ||
+          (ytTokens.hasRemix && !sTokens.hasRemix) ||
+          (ytTokens.hasAcoustic && !sTokens.hasAcoustic) ||
+          (ytTokens.hasLyric && !sTokens.hasLyric) ||
+          (ytTokens.hasRemaster && !sTokens.hasRemaster));
+      },
+      // Enforce artist alignment ONLY when we trust the guess AND the candidate is NOT an MV
+      artist: t => !trusted || isMV(t) || artistAligned(alignArtists, t),
+      // Title token coverage (YT core tokens should appear in Spotify name)
+      title: t => titleCoverageOk(titleCore, t.name || '')
+    },
+    features: {
+      title: t => jaccardTitle(titleCore, t.name || ''),
+      duration: t => durationFit(ytItem, t, slackSec),
+      artist: t => ((trusted && !isMV(t) && artistAligned(alignArtists, t)) ? 1 : 0),
+      popularity: t => (t.popularity || 0) / 100,
+      mv: t => (isMV(t) ? 1 : 0), // prefer MV unless an exact non-MV exists (handled below)
+      album: t => (albumMatches(album, t.album?.name) ? 1 : 0)
+    },
+    weights
+  };
+}
+
+// 1 at the video's length, 0 at the slack
+function durationFit(ytItem, t, slackSec) {
+  return 1 - (Math.abs((t.duration_ms || 0) - (ytItem.durationMs || 0)) / (slackSec * 1000));
+}
+
 // ---------- Main: find best Spotify track for a YT video ----------
-async function findBestSpotifyForYouTubeVideo(sp, ytItem, { slackSec = 7, verbose = false, log = console.log } = {}) {
-  const split = smartSplitArtistTitle(ytItem.title || '', ytItem.channelTitle || '');
-  const titleCore = split.titleCore || (ytItem.title || '');
+// exclude(trackId) drops candidates before ranking (manual blocks).
+// scoring: the pair's resolved "scoring" settings (weights; see util/scoring.js).
+// An ISRC in the description is tried first; a hit skips the fuzzy scoring (via: 'isrc').
+// The result carries an explanation of every candidate; verbose logs it.
+async function findBestSpotifyForYouTubeVideo(sp, ytItem, { slackSec = 7, topK = 5, escalateK = 10, exclude = null, scoring = DEFAULT_SCORING, verbose = false, log = console.log } = {}) {
+  const labelOf = t => `"${t.name}" by ${(t.artists || []).map(a => a.name).join(', ')}`;
+  let queries = [];
+  const done = (result, details = {}) => {
+    result.explanation = explanation('yt2sp', { queries, labelOf, reason: result.reason, via: result.via, ...details });
+    if (verbose) for (const line of formatExplanation(result.explanation)) log(`      ${line}`);
+    return result;
+  };
+
+  const isrc = extractIsrc(ytItem.description);
+  if (isrc) {
+    const hit = await findSpotifyByIsrc(sp, isrc, ytItem, { exclude });
+    if (verbose) log(`    YT→SP isrc:${isrc} → ${hit ? `"${hit.name}" by ${hit.artists.map(a => a.name).join(', ')}` : 'no Spotify track, falling back to fuzzy search'}`);
+    if (hit) {
+      queries = [`isrc:${isrc}`];
+      return done({ best: hit, reason: 'ok', via: 'isrc', inspected: 1, escalated: false }, { chosen: hit.id });
+    }
+  }
+
+  const signals = ytSignals(ytItem);
+  const { titleCore, artistGuess, trusted, album, split } = signals;
 
   // Intelligibility guard: if the core title isn't usable, skip
   if (!hasUsableTokens(titleCore)) {
     if (verbose) log(`    YT→SP guard: unintelligible_query → skip`);
-    return { best: null, reason: 'unintelligible_query', inspected: 0, escalated: false };
+    return done({ best: null, reason: 'unintelligible_query', inspected: 0, escalated: false });
   }
 
-  const { artistGuess, trusted } = deriveArtistGuess(ytItem.title || '', ytItem.channelTitle || '');
-
   // Build queries in order of confidence, but only include intelligible ones
-  const queries = [];
   if (trusted && artistGuess && hasUsableTokens(artistGuess, titleCore)) queries.push(`${artistGuess} ${titleCore}`);
   if (!trusted && split.artistSide && hasUsableTokens(split.artistSide, titleCore)) queries.push(`${split.artistSide} ${titleCore}`);
   queries.push(titleCore);
@@ -229,27 +357,24 @@ async function findBestSpotifyForYouTubeVideo(sp, ytItem, { slackSec = 7, verbos
     log(`    YT→SP debug:`);
     log(`      title="${ytItem.title}"  channel="${ytItem.channelTitle}"`);
     log(`      orientation=${split.orientation}  titleCore="${titleCore}"  artistSide="${split.artistSide || ''}"`);
-    log(`      trustedArtist=${trusted ? 'yes' : 'no'}  artistGuess="${artistGuess || ''}"`);
-    log(`      queries: ${queries.map(q => `"${q}"`).join(' | ')}`);
+    log(`      trustedArtist=${trusted ? 'yes' : 'no'}  artistGuess="${artistGuess || ''}"${album ? `  album="${album}"` : ''}`);
   }
 
   const seenIds = new Set();
   let candidates = [];
 
-  // Aggregate up to 10 results per query
+  // Aggregate up to escalateK results per query
   for (const q of queries) {
-    const res = await sp.searchTracks(q, { limit: 10 });
-    const items = res.body.tracks?.items || [];
+    const { tracks: items, fromCache } = await searchTracks(sp, q, escalateK);
+    if (verbose && fromCache) log(`      search cache hit: "${q}"`);
     for (const t of items) if (!seenIds.has(t.id)) {
       seenIds.add(t.id);
       candidates.push(t);
     }
   }
 
-  if (verbose) log(`      candidates fetched: ${candidates.length}`);
-
   if (!candidates.length) {
-    return { best: null, reason: 'no_spotify_results', inspected: 0, escalated: false };
+    return done({ best: null, reason: 'no_spotify_results', inspected: 0, escalated: false });
   }
 
   function candToObj(t) {
@@ -259,99 +384,67 @@ async function findBestSpotifyForYouTubeVideo(sp, ytItem, { slackSec = 7, verbos
       artists: t.artists,             // array of { name }
       duration_ms: t.duration_ms,
       popularity: t.popularity || 0,
-      explicit: t.explicit
+      explicit: t.explicit,
+      album: t.album
     };
   }
-  const all = candidates.map(candToObj);
-
-  const ytTokens = versionTokens(ytItem.title || '');
-  const hardFilter = (t) => {
-    if (!durationClose(ytItem.durationMs, t.duration_ms, slackSec)) return false;
+  const all = candidates.map(candToObj).filter(t => !exclude || !exclude(t.id));
 
-    // Require version alignment (live/remix/acoustic/lyric/remaster)
-    const sTokens = versionTokens(t.name || '');
-    const versionMismatch =
-      (ytTokens.hasLive && !sTokens.hasLive) ||
-      (ytTokens.hasRemix && !sTokens.hasRemix) ||
-      (ytTokens.hasAcoustic && !sTokens.hasAcoustic) ||
-      (ytTokens.hasLyric && !sTokens.hasLyric) ||
-      (ytTokens.hasRemaster && !sTokens.hasRemaster);
-    if (versionMismatch) return false;
-
-    // Enforce artist alignment ONLY when we trust the guess AND the candidate is NOT an MV
-    if (trusted && !isMusicVideoName(t.name || '') && !artistAligned(artistGuess, t)) return false;
-
-    // Title token coverage (YT core tokens should appear in Spotify name)
-    if (!titleCoverageOk(titleCore, t.name || '')) return false;
-
-    return true;
-  };
-
-  function score(t) {
-    const mv = isMusicVideoName(t.name || '');
-    const sTitle = jaccardTitle(titleCore, t.name || '');
-    const sDur = 1 - (Math.abs((t.duration_ms || 0) - (ytItem.durationMs || 0)) / (slackSec * 1000));
-    const sArtist = (trusted && !mv && artistAligned(artistGuess, t)) ? 1 : 0;
-    const sPop = (t.popularity || 0) / 100;
-    const sMV = mv ? 0.3 : 0.0; // prefer MV unless an exact non-MV exists (handled below)
-    return (sTitle * 1.6) + (sDur * 1.6) + (sArtist * 1.0) + (sPop * 0.6) + sMV;
+  const matcher = yt2spMatcher(ytItem, signals, slackSec, scoring.yt2sp.weights);
+  const { ranked: scored, evaluated, escalated, inspected } = rankCandidates(all, matcher, { topK, escalateK });
+  if (!scored.length) {
+    return done({ best: null, reason: 'no_candidate_passed_filters', inspected, escalated }, { evaluated, escalated });
   }
 
-  let pool = all.slice(0, 5).filter(hardFilter);
-  let escalated = false;
-  if (pool.length === 0) {
-    pool = all.slice(0, 10).filter(hardFilter);
-    escalated = true;
-  }
-  if (verbose) log(`      filtered pool: ${pool.length}${escalated ? ' (escalated to 10)' : ''}`);
-  if (pool.length === 0) {
-    return {
-      best: null,
-      reason: 'no_candidate_passed_filters',
-      inspected: escalated ? Math.min(10, all.length) : Math.min(5, all.length),
-      escalated
-    };
-  }
+  // Ranked alternatives with breakdowns (for review), chosen track first
+  const candidatesFor = chosen => [...scored]
+    .sort((a, b) => (b.cand === chosen) - (a.cand === chosen))
+    .slice(0, TOP_CANDIDATES)
+    .map(e => ({
+      id: e.cand.id,
+      name: e.cand.name,
+      artists: (e.cand.artists || []).map(a => a.name),
+      album: e.cand.album?.name,
+      durationMs: e.cand.duration_ms,
+      score: e.score,
+      breakdown: breakdownOf(e)
+    }));
+  const scoreOf = t => scored.find(e => e.cand === t).score;
 
   // If there is an exact title match that is NOT an MV, prefer it outright.
-  const exactNonMV = pool.filter(t => isExactTitleMatch(titleCore, t.name || '') && !isMusicVideoName(t.name || ''));
+  const exactNonMV = evaluated.filter(e => !e.failed.length).map(e => e.cand).filter(t => isExactTitleMatch(titleCore, t.name || '') && !isMusicVideoName(t.name || ''));
   if (exactNonMV.length) {
-    // tie-break within these by duration closeness + popularity
+    // tie-break within these by duration closeness + popularity (+ same album)
+    const tieWeights = scoring.yt2sp.exactTitle;
     let chosen = null, bestTie = -Infinity;
     for (const t of exactNonMV) {
-      const tie = (1 - (Math.abs((t.duration_ms || 0) - (ytItem.durationMs || 0)) / (slackSec * 1000))) + ((t.popularity || 0) / 200);
+      const tie = durationFit(ytItem, t, slackSec) * tieWeights.duration
+        + ((t.popularity || 0) / 100) * tieWeights.popularity
+        + (albumMatches(album, t.album?.name) ? 1 : 0) * tieWeights.album;
       if (tie > bestTie) { bestTie = tie; chosen = t; }
     }
-    if (verbose) log(`      exact non-MV title match chosen: "${chosen.name}" by ${chosen.artists.map(a=>a.name).join(', ')} (score≈${bestTie.toFixed(2)})`);
-    return {
+    if (verbose) log(`      exact non-MV title match chosen: "${chosen.name}" by ${chosen.artists.map(a=>a.name).join(', ')} (tie-break≈${bestTie.toFixed(2)})`);
+    return done({
       best: chosen,
       reason: 'ok',
-      inspected: escalated ? Math.min(10, all.length) : Math.min(5, all.length),
+      via: 'exact-title',
+      inspected,
       escalated,
-      score: bestTie
-    };
-  }
-
-  // Otherwise, score and choose best (MV gets a bump)
-  const scored = pool.map(t => ({ t, sc: score(t) }))
-                     .sort((a, b) => b.sc - a.sc);
-
-  if (verbose) {
-    for (const { t, sc } of scored.slice(0, 3)) {
-      const mv = isMusicVideoName(t.name || '');
-      const durDelta = Math.abs((t.duration_ms || 0) - (ytItem.durationMs || 0));
-      log(`      → cand: "${t.name}" by ${t.artists.map(a=>a.name).join(', ')}  mv=${mv ? 'yes' : 'no'}  Δms=${durDelta}  score=${sc.toFixed(2)}`);
-    }
+      score: scoreOf(chosen),
+      candidates: candidatesFor(chosen)
+    }, { evaluated, escalated, chosen: chosen.id });
   }
 
-  const best = scored[0]?.t || null;
-  return {
+  // Otherwise, choose the best score (MV gets a bump)
+  const best = scored[0].cand;
+  return done({
     best,
-    reason: best ? 'ok' : 'no_best',
-    inspected: escalated ? Math.min(10, all.length) : Math.min(5, all.length),
+    reason: 'ok',
+    inspected,
     escalated,
-    score: scored[0]?.sc
-  };
+    score: scored[0].score,
+    candidates: candidatesFor(best)
+  }, { evaluated, escalated, chosen: best.id });
 }
 
 // Convenience: add plain track IDs to a playlist, and check if it's for "liked songs" library 
@@ -361,19 +454,45 @@ async function addTracksToPlaylist(sp, playlistId, trackIds) {
   if (isLikedSongsId(playlistId)) {
     // Liked Songs uses the "Saved Tracks" API, not playlist adds
     // Requires the "user-library-modify" scope
-    await sp.addToMySavedTracks(trackIds);
+    await call('addToMySavedTracks', () => sp.addToMySavedTracks(trackIds), { idempotent: false });
     return;
   }
 
   // Regular playlist add
   const uris = trackIds.map(id => `spotify:track:${id}`);
-  await sp.addTracksToPlaylist(playlistId, uris);
+  await call('addTracksToPlaylist', () => sp.addTracksToPlaylist(playlistId, uris), { idempotent: false });
+}
+
+// Mirror of addTracksToPlaylist for removals (Liked Songs → saved tracks API)
+async function removeTracksFromPlaylist(sp, playlistId, trackIds) {
+  if (!trackIds || trackIds.length === 0) return;
+
+  if (isLikedSongsId(playlistId)) {
+    // Saved-tracks removal accepts at most 50 IDs per call
+    for (let i = 0; i < trackIds.length; i += 50) {
+      const batch = trackIds.slice(i, i + 50);
+      await call('removeFromMySavedTracks', () => sp.removeFromMySavedTracks(batch));
+    }
+    return;
+  }
+
+  // Regular playlist removal accepts at most 100 tracks per call
+  const tracks = trackIds.map(id => ({ uri: `spotify:track:${id}` }));
+  for (let i = 0; i < tracks.length; i += 100) {
+    const batch = tracks.slice(i, i + 100);
+    await call('removeTracksFromPlaylist', () => sp.removeTracksFromPlaylist(playlistId, batch));
+  }
 }
 
 module.exports = {
   getAllPlaylistItems,
+  canonicalFromPlaylistItem,
   // YT→SP exports:
   findSoftDupeInSpotify,
   findBestSpotifyForYouTubeVideo,
-  addTracksToPlaylist
+  addTracksToPlaylist,
+  removeTracksFromPlaylist,
+  // Matching heuristics (unit-tested in test/matching.test.js):
+  smartSplitArtistTitle,
+  isExactTitleMatch
 };
\ No newline at end of file
@@ -1,4 +1,16 @@
 const { norm, tokens, jaccardTitle, hasUsableTokens } = require('../util/text');
+const { withRetry, statusOf } = require('../util/retry');
+const { chargeQuota, canAfford, SEARCH_UNITS } = require('../util/quota');
+const { getCachedSearch, putCachedSearch } = require('../util/searchCache');
+const { parseProvidedToYouTube } = require('../util/ytDescription');
+const { DEFAULT_SCORING, evaluate, rankCandidates, breakdownOf, explanation, formatExplanation, relaxedDurationOk } = require('../util/scoring');
+
+// Every Data API call goes through the shared retry wrapper (quotaExceeded is not retried)
+// and is charged to the daily quota ledger, once per attempt.
+const call = (op, fn, opts) => withRetry('youtube', op, () => {
+  chargeQuota(op);
+  return fn();
+}, opts);
 
 const isoDur = /PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?/;
 
@@ -11,12 +23,14 @@ function toMsFromISO8601(iso) {
   return ((h * 60 + min) * 60 + sec) * 1000;
 }
 
-function hasAllTitleTokens(spotifyTitle, ytTitle) {
-  const need = new Set(tokens(spotifyTitle));
-  if (need.size === 0) return true;
+// Spotify title words the video title lacks
+function missingTitleTokens(spotifyTitle, ytTitle) {
   const have = new Set(tokens(ytTitle));
-  for (const t of need) if (!have.has(t)) return false;
-  return true;
+  return [...new Set(tokens(spotifyTitle))].filter(t => !have.has(t));
+}
+
+function hasAllTitleTokens(spotifyTitle, ytTitle) {
+  return missingTitleTokens(spotifyTitle, ytTitle).length === 0;
 }
 
 function jaccardTitleLocal(a, b) {
@@ -33,7 +47,8 @@ const DISALLOWED_TOKENS = [
   'reaction','compilation','mix','full album','tribute','fanmade','edit','reverb','bass boosted'
 ];
 
-function violatesVersionRules(spotifyTitle, ytTitle, ytDesc) {
+// The variant or disallowed token the video has and the Spotify title doesn't ask for, or null
+function versionRuleViolation(spotifyTitle, ytTitle, ytDesc) {
   const st = norm(spotifyTitle);
   const yt = `${norm(ytTitle)} ${norm(ytDesc)}`;
 
@@ -41,14 +56,18 @@ function violatesVersionRules(spotifyTitle, ytTitle, ytDesc) {
   for (const v of VARIANT_TOKENS) if (st.includes(v)) allowed.add(v);
 
   for (const v of VARIANT_TOKENS) {
-    if (yt.includes(v) && !allowed.has(v)) return true;
+    if (yt.includes(v) && !allowed.has(v)) return v;
   }
   for (const d of DISALLOWED_TOKENS) {
-    if (yt.includes(d) && !st.includes(d)) return true;
+    if (yt.includes(d) && !st.includes(d)) return d;
   }
-  if (yt.includes('lyric') && !st.includes('lyric')) return true;
+  if (yt.includes('lyric') && !st.includes('lyric')) return 'lyric';
+
+  return null;
+}
 
-  return false;
+function violatesVersionRules(spotifyTitle, ytTitle, ytDesc) {
+  return versionRuleViolation(spotifyTitle, ytTitle, ytDesc) !== null;
 }
 
 function artistAlignment(primaryArtist, ytTitle, ytChannel) {
@@ -101,42 +120,84 @@ function durationCloseness(trackMs, candMs, slackSec) {
   return 1 - (delta / slack);
 }
 
-function categoryBonus(categoryId) {
-  return categoryId === '10' ? 0.3 : 0.0;
+function isMusicCategory(categoryId) {
+  return categoryId === '10' ? 1 : 0;
 }
 
-function passesHardFilters(spItem, cand, slackSec) {
-  if (durationCloseness(spItem.durationMs, cand.durationMs, slackSec) === 0) return false;
-  if (isShortVideo(spItem.durationMs, cand.durationMs)) return false;
-  if (violatesVersionRules(spItem.title, cand.title, cand.description || '')) return false;
-  const primary = spItem.artists?.[0] || '';
-  if (!artistAlignment(primary, cand.title, cand.channelTitle)) return false;
-  if (!hasAllTitleTokens(spItem.title, cand.title)) return false;
-  return true;
+// Suffixes Spotify adds to titles that name a release or credit, not a different recording
+// ("- Remastered 2009", "(feat. X)", "- From \"Movie\""). Live/remix/edit suffixes stay: they matter.
+const RELEASE_SUFFIX = String.raw`(?:\d{4}\s+)?(?:digital(?:ly)?\s+)?remaster(?:ed)?(?:\s+(?:version|edition))?(?:\s+\d{4})?` +
+  String.raw`|(?:\d{4}\s+)?(?:mono|stereo)(?:\s+(?:version|mix))?|(?:single|album)\s+version` +
+  String.raw`|from\s+[^()[\]]+|(?:feat\.?|ft\.?|featuring|with)\s+[^()[\]]+`;
+const DASH_SUFFIX_RE = new RegExp(String.raw`\s+-\s+(?:${RELEASE_SUFFIX})$`, 'i');
+const BRACKET_SUFFIX_RE = new RegExp(String.raw`\s*[([](?:${RELEASE_SUFFIX})[)\]]$`, 'i');
+
+function spotifyTitleCore(title) {
+  let core = title || '';
+  let prev;
+  do {
+    prev = core;
+    core = core.replace(DASH_SUFFIX_RE, '').replace(BRACKET_SUFFIX_RE, '').trim();
+  } while (core !== prev);
+  return core || title || '';
 }
 
-function scoreCandidate(spItem, cand, slackSec) {
-  const primary = spItem.artists?.[0] || '';
-  const sTrust = trustScore(primary, cand.channelTitle);
-  const sTitle = jaccardTitleLocal(spItem.title, cand.title);
-  const sArtist = artistAlignment(primary, cand.title, cand.channelTitle) ? 1 : 0;
-  const sDur = durationCloseness(spItem.durationMs, cand.durationMs, slackSec);
-  const sType = contentTypeScore(cand.title, cand.channelTitle);
-  const sPop = popularityScore(cand.viewCount, cand.publishedAt);
-  const sCat = categoryBonus(cand.categoryId);
-  return (sTrust * 2.0) + (sTitle * 1.6) + (sArtist * 1.0) + (sDur * 1.4) + (sType * 0.6) + (sPop * 0.4) + sCat;
+const secs = ms => `${(ms / 1000).toFixed(1).replace(/\.0$/, '')}s`;
+
+// SP→YT matcher for one Spotify track (see util/scoring.js): hard filters, then features.
+// Any credited artist may align; title words are compared without release suffixes, while the
+// version rules see the full title (a "- Remastered" track may match a remastered upload).
+function sp2ytMatcher(spItem, slackSec, weights = DEFAULT_SCORING.sp2yt.weights) {
+  const artists = spItem.artists?.length ? spItem.artists : [''];
+  const title = spotifyTitleCore(spItem.title);
+  const aligned = c => artists.some(a => artistAlignment(a, c.title, c.channelTitle));
+  return {
+    filters: {
+      duration: c => durationCloseness(spItem.durationMs, c.durationMs, slackSec) > 0,
+      short: c => !isShortVideo(spItem.durationMs, c.durationMs),
+      version: c => !violatesVersionRules(spItem.title, c.title, c.description || ''),
+      artist: aligned,
+      title: c => hasAllTitleTokens(title, c.title)
+    },
+    // What a failed filter saw (for --verbose)
+    explain: {
+      duration: c => (spItem.durationMs && c.durationMs
+        ? `Δ${secs(Math.abs(spItem.durationMs - c.durationMs))} > ±${slackSec || 7}s`
+        : 'length unknown'),
+      short: c => `${secs(c.durationMs)} video for a ${secs(spItem.durationMs)} track`,
+      version: c => `"${versionRuleViolation(spItem.title, c.title, c.description || '')}"`,
+      artist: () => (artists.length > 1
+        ? `none of ${artists.map(a => `"${a}"`).join(', ')} in the title or channel`
+        : `"${artists[0]}" not in the title or channel`),
+      title: c => `missing ${missingTitleTokens(title, c.title).map(t => `"${t}"`).join(', ')}`
+    },
+    features: {
+      trust: c => Math.max(...artists.map(a => trustScore(a, c.channelTitle))),
+      title: c => jaccardTitleLocal(title, c.title),
+      artist: c => (aligned(c) ? 1 : 0),
+      duration: c => durationCloseness(spItem.durationMs, c.durationMs, slackSec),
+      type: c => contentTypeScore(c.title, c.channelTitle),
+      popularity: c => popularityScore(c.viewCount, c.publishedAt),
+      category: c => isMusicCategory(c.categoryId)
+    },
+    weights
+  };
+}
+
+function passesHardFilters(spItem, cand, slackSec) {
+  return !evaluate(cand, sp2ytMatcher(spItem, slackSec)).failed.length;
 }
 
 async function getYouTubePlaylistItems(youtube, playlistId) {
   let items = [];
   let pageToken;
   do {
-    const res = await youtube.playlistItems.list({
+    const res = await call('playlistItems.list', () => youtube.playlistItems.list({
       part: ['snippet','contentDetails'],
       playlistId,
       maxResults: 50,
       pageToken
-    });
+    }));
     items = items.concat(res.data.items || []);
     pageToken = res.data.nextPageToken;
   } while (pageToken);
@@ -147,89 +208,208 @@ async function getYouTubePlaylistItems(youtube, playlistId) {
 
   const byId = new Map();
   for (const b of batches) {
-    const r = await youtube.videos.list({ id: b, part: ['contentDetails','snippet','statistics'] });
+    const r = await call('videos.list', () => youtube.videos.list({ id: b, part: ['contentDetails','snippet','statistics'] }));
     (r.data.items || []).forEach(v => byId.set(v.id, v));
   }
 
+  // A private or deleted video stays in the playlist, but videos.list no longer returns it:
+  // it is kept as unavailable, so its absence is never read as a removal
   const canon = [];
   for (const it of items) {
-    const v = byId.get(it.contentDetails?.videoId);
-    if (!v) continue;
-    canon.push({
-      id: v.id,
-      title: v.snippet?.title,
-      channelTitle: v.snippet?.channelTitle,
-      durationMs: toMsFromISO8601(v.contentDetails?.duration),
-      addedAt: it.snippet?.publishedAt
-    });
+    const videoId = it.contentDetails?.videoId;
+    if (!videoId) continue;
+    const v = byId.get(videoId);
+    canon.push(v ? canonicalFromVideo(v, it) : unavailableVideo(videoId, it));
   }
   return canon;
 }
 
-async function findBestYouTubeForSpotifyTrack(youtube, spItem, { slackSec = 7, verbose = false, log = console.log } = {}) {
-  const primaryArtist = spItem.artists?.[0] || '';
-  const q = `${primaryArtist} ${spItem.title}`.trim();
+// A playlist entry whose video can't be read (title is "Private video" / "Deleted video")
+function unavailableVideo(videoId, playlistItem) {
+  return {
+    id: videoId,
+    playlistItemId: playlistItem.id,
+    title: playlistItem.snippet?.title || 'Unavailable video',
+    channelTitle: '',
+    channelId: '',
+    description: '',
+    meta: null,
+    durationMs: undefined,
+    addedAt: playlistItem.snippet?.publishedAt,
+    unavailable: true
+  };
+}
 
-  // Intelligibility guard: if the query isn't usable, skip (favor false negatives)
-  if (!hasUsableTokens(q)) {
-    if (verbose) log(`    SP→YT guard: unintelligible_query → skip for "${spItem.title}"`);
-    return { best: null, reason: 'unintelligible_query', inspected: 0, escalated: false };
+// Canonicalize a video resource (plus its playlist entry, when it comes from a playlist)
+function canonicalFromVideo(v, playlistItem = null) {
+  return {
+    id: v.id,
+    playlistItemId: playlistItem?.id,
+    title: v.snippet?.title,
+    channelTitle: v.snippet?.channelTitle,
+    channelId: v.snippet?.channelId,
+    description: v.snippet?.description || '',
+    meta: parseProvidedToYouTube(v.snippet?.description), // Topic uploads only, else null
+    durationMs: toMsFromISO8601(v.contentDetails?.duration),
+    addedAt: playlistItem?.snippet?.publishedAt
+  };
+}
+
+// Search queries for a track, most specific first: the primary artist with the title (minus
+// release suffixes), an "official audio" variant, the Topic upload, then every other credited
+// artist. Variants are left out when the title alone is unintelligible.
+function searchQueriesFor(spItem) {
+  const title = spotifyTitleCore(spItem.title);
+  const [primary = '', ...others] = spItem.artists || [];
+  const queries = [`${primary} ${title}`.trim()];
+  if (hasUsableTokens(title)) {
+    if (primary) queries.push(`${primary} - ${title} official audio`);
+    queries.push(`${title} topic`);
+    for (const artist of others) queries.push(`${artist} ${title}`);
   }
+  return [...new Set(queries)];
+}
 
-  const search = await youtube.search.list({
+// Only the video fields the matcher reads are kept in the search cache
+function slimVideo(v) {
+  return {
+    id: v.id,
+    snippet: {
+      title: v.snippet?.title,
+      description: v.snippet?.description,
+      channelTitle: v.snippet?.channelTitle,
+      channelId: v.snippet?.channelId,
+      categoryId: v.snippet?.categoryId,
+      publishedAt: v.snippet?.publishedAt
+    },
+    contentDetails: { duration: v.contentDetails?.duration },
+    statistics: { viewCount: v.statistics?.viewCount }
+  };
+}
+
+// search.list + videos.list for a query, in search order; served from the search cache when fresh
+async function searchVideos(youtube, q, limit) {
+  const cached = getCachedSearch('youtube', q, limit);
+  if (cached) return { videos: cached, fromCache: true };
+
+  const search = await call('search.list', () => youtube.search.list({
     part: ['snippet'],
     q,
     type: ['video'],
-    maxResults: 10
-  });
+    maxResults: limit
+  }));
   const order = (search.data.items || []).map(x => x.id?.videoId).filter(Boolean);
-  if (!order.length) return { best: null, reason: 'no_search_results', inspected: 0, escalated: false };
 
-  const details = await youtube.videos.list({
-    id: order,
-    part: ['contentDetails','snippet','statistics']
-  });
-  const infosById = new Map();
-  (details.data.items || []).forEach(v => infosById.set(v.id, v));
+  let videos = [];
+  if (order.length) {
+    const details = await call('videos.list', () => youtube.videos.list({
+      id: order,
+      part: ['contentDetails','snippet','statistics']
+    }));
+    const infosById = new Map();
+    (details.data.items || []).forEach(v => infosById.set(v.id, v));
+    videos = order.map(id => infosById.get(id)).filter(Boolean).map(slimVideo);
+  }
+  putCachedSearch('youtube', q, limit, videos);
+  return { videos, fromCache: false };
+}
+
+// Whether the lookup's first query would be answered by the search cache (no search quota).
+// Further queries check the budget themselves.
+function hasCachedSearchFor(spItem, { escalateK = 10 } = {}) {
+  return !!getCachedSearch('youtube', searchQueriesFor(spItem)[0], escalateK);
+}
+
+// How many ranked candidates (with score breakdowns) a lookup reports
+const TOP_CANDIDATES = 3;
+
+// exclude(candidate) drops candidates before ranking (manual blocks).
+// scoring: the pair's resolved "scoring" settings (weights; see util/scoring.js).
+// Queries run in order (see searchQueriesFor), at most maxQueries of them, until a candidate
+// scores confidentScore or more; a query that needs search quota runs only while the budget
+// still leaves room for the insert.
+// The result carries an explanation of every candidate; verbose logs it.
+async function findBestYouTubeForSpotifyTrack(youtube, spItem, { slackSec = 7, topK = 5, escalateK = 10, maxQueries = 4, confidentScore = 8, exclude = null, scoring = DEFAULT_SCORING, verbose = false, log = console.log } = {}) {
+  const planned = searchQueriesFor(spItem).slice(0, Math.max(1, maxQueries));
+  const queries = [];
+  const labelOf = c => `"${c.title}" [${c.channelTitle}]`;
+  const done = (result, details) => {
+    result.explanation = explanation('sp2yt', { queries: queries.length ? queries : planned.slice(0, 1), labelOf, reason: result.reason, ...details });
+    if (verbose) for (const line of formatExplanation(result.explanation)) log(`      ${line}`);
+    return result;
+  };
+
+  if (verbose) {
+    log('    SP→YT debug:');
+    log(`      title="${spItem.title}"  titleCore="${spotifyTitleCore(spItem.title)}"  artists="${spItem.artists?.join(', ') || ''}"`);
+    log(`      duration=${spItem.durationMs || '?'}ms  slack=±${slackSec}s  topK=${topK}  escalateK=${escalateK}  queries≤${planned.length}  confident≥${confidentScore}`);
+  }
+
+  // Intelligibility guard: if the query isn't usable, skip (favor false negatives)
+  if (!hasUsableTokens(planned[0])) {
+    return done({ best: null, reason: 'unintelligible_query', inspected: 0, escalated: false });
+  }
 
   const toCandidate = (v) => ({
     id: v.id,
     title: v.snippet?.title || '',
     description: v.snippet?.description || '',
     channelTitle: v.snippet?.channelTitle || '',
+    channelId: v.snippet?.channelId || '',
     categoryId: v.snippet?.categoryId || '',
     durationMs: toMsFromISO8601(v.contentDetails?.duration),
     viewCount: v.statistics?.viewCount ? Number(v.statistics.viewCount) : 0,
     publishedAt: v.snippet?.publishedAt
   });
 
-  const all = order.map(id => infosById.get(id)).filter(Boolean).map(toCandidate);
-
-  let pool = all.slice(0, 5).filter(c => passesHardFilters(spItem, c, slackSec));
+  const matcher = sp2ytMatcher(spItem, slackSec, scoring.sp2yt.weights);
+  const seenIds = new Set();
+  const evaluated = [];
+  let results = 0;
+  let inspected = 0;
   let escalated = false;
-  if (pool.length === 0) {
-    pool = all.slice(0, 10).filter(c => passesHardFilters(spItem, c, slackSec));
-    escalated = true;
-  }
-  if (pool.length === 0) {
-    return { best: null, reason: 'no_candidate_passed_filters', inspected: escalated ? Math.min(10, all.length) : Math.min(5, all.length), escalated };
+  let ranked = [];
+
+  for (const q of planned) {
+    // The caller checked the budget for the first query; later ones check it here
+    if (queries.length && !getCachedSearch('youtube', q, escalateK) && !canAfford(SEARCH_UNITS)) {
+      if (verbose) log(`      quota budget reached — not searching "${q}"`);
+      break;
+    }
+    const { videos, fromCache } = await searchVideos(youtube, q, escalateK);
+    queries.push(q);
+    if (verbose && fromCache) log(`      search cache hit for "${q}"`);
+    results += videos.length;
+
+    // Each query's new candidates are filtered (and escalated) on their own
+    const fresh = videos.map(toCandidate).filter(c => !seenIds.has(c.id) && (!exclude || !exclude(c)));
+    fresh.forEach(c => seenIds.add(c.id));
+    const round = rankCandidates(fresh, matcher, { topK, escalateK });
+    evaluated.push(...round.evaluated);
+    inspected += round.inspected;
+    escalated = escalated || round.escalated;
+    ranked = [...ranked, ...round.ranked].sort((a, b) => b.score - a.score);
+
+    if (ranked.length && ranked[0].score >= confidentScore) {
+      if (verbose && queries.length < planned.length) log(`      confident match after "${q}" (score ${ranked[0].score.toFixed(2)}) — no more queries`);
+      break;
+    }
   }
 
-  let best = null, bestScore = -Infinity;
-  for (const c of pool) {
-    const s = scoreCandidate(spItem, c, slackSec);
-    if (s > bestScore) { best = c; bestScore = s; }
+  if (!results) return done({ best: null, reason: 'no_search_results', inspected: 0, escalated: false });
+  if (!ranked.length) {
+    return done({ best: null, reason: 'no_candidate_passed_filters', inspected, escalated }, { evaluated, escalated });
   }
-  return { best, reason: best ? 'ok' : 'no_best', inspected: escalated ? Math.min(10, all.length) : Math.min(5, all.length), escalated, score: bestScore };
-}
 
-// ---------- Soft duplicate detection in existing YT playlist ----------
-function relaxedDurationOk(trackMs, candMs) {
-  if (!trackMs || !candMs) return false;
-  const slackMs = Math.max(12000, Math.floor(0.04 * trackMs)); // max(12s, 4% of track)
-  return Math.abs(trackMs - candMs) <= slackMs;
+  // Ranked pool with breakdowns; the runner up(s) are offered as alternatives in review
+  const candidates = ranked.slice(0, TOP_CANDIDATES).map(e => ({
+    id: e.cand.id, title: e.cand.title, channelTitle: e.cand.channelTitle, durationMs: e.cand.durationMs, score: e.score, breakdown: breakdownOf(e)
+  }));
+  const best = ranked[0].cand;
+  return done({ best, reason: 'ok', inspected, escalated, score: ranked[0].score, candidates }, { evaluated, escalated, chosen: best.id });
 }
 
+// ---------- Soft duplicate detection in existing YT playlist ----------
 function softArtistAlign(primaryArtist, ytTitle, ytChannel) {
   const a = norm(primaryArtist);
   const t = norm(ytTitle);
@@ -237,32 +417,44 @@ function softArtistAlign(primaryArtist, ytTitle, ytChannel) {
   return t.includes(a) || c.includes(a); // looser than hard filter
 }
 
-function findSoftDupeInPlaylist(spItem, ytPlaylistItems, { jaccardMin = 0.45 } = {}) {
-  const primary = spItem.artists?.[0] || '';
-  const spTitle = spItem.title || '';
+function findSoftDupeInPlaylist(spItem, ytPlaylistItems, { jaccardMin = 0.45, scoring = DEFAULT_SCORING, verbose = false, log = console.log } = {}) {
+  const artists = spItem.artists?.length ? spItem.artists : [''];
+  const spTitle = spotifyTitleCore(spItem.title);
   // If the Spotify title+artist is unintelligible, better skip dupe detection.
-  if (!hasUsableTokens(primary, spTitle)) return null;
+  if (!hasUsableTokens(artists[0], spTitle)) return null;
+
+  const { softDupe } = scoring;
+  const matcher = {
+    // relaxed duration + loose artist + moderate title overlap
+    filters: {
+      duration: v => relaxedDurationOk(spItem.durationMs, v.durationMs, softDupe),
+      artist: v => artists.some(a => softArtistAlign(a, v.title, v.channelTitle)),
+      title: v => jaccardTitleLocal(spTitle, v.title) >= jaccardMin
+    },
+    // Choose the most trusted among matches
+    features: {
+      trust: v => Math.max(...artists.map(a => trustScore(a, v.channelTitle))),
+      title: v => jaccardTitleLocal(spTitle, v.title)
+    },
+    weights: softDupe.weights
+  };
 
   let best = null;
   let bestScore = -Infinity;
-
   for (const v of ytPlaylistItems) {
-    // relaxed duration + loose artist + moderate title overlap
-    if (!relaxedDurationOk(spItem.durationMs, v.durationMs)) continue;
-    if (!softArtistAlign(primary, v.title, v.channelTitle)) continue;
-
-    const titleSim = jaccardTitleLocal(spTitle, v.title);
-    if (titleSim < jaccardMin) continue;
+    const e = evaluate(v, matcher);
+    if (!e.failed.length && e.score > bestScore) { best = v; bestScore = e.score; }
+  }
 
-    // Choose the most trusted among matches
-    const score = trustScore(primary, v.channelTitle) * 2 + titleSim;
-    if (score > bestScore) { best = v; bestScore = score; }
+  if (verbose && best) {
+    log(`      ↳ soft-dupe on YouTube: "${best.title}" [${best.channelTitle}] (score≈${bestScore.toFixed(2)})`);
   }
   return best; // { id, title, channelTitle, ... } or null
 }
 
+// Returns the new playlistItem ID (needed to remove exactly this entry again)
 async function insertIntoPlaylist(youtube, playlistId, videoId) {
-  await youtube.playlistItems.insert({
+  const res = await call('playlistItems.insert', () => youtube.playlistItems.insert({
     part: ['snippet'],
     requestBody: {
       snippet: {
@@ -270,14 +462,36 @@ async function insertIntoPlaylist(youtube, playlistId, videoId) {
         resourceId: { kind: 'youtube#video', videoId }
       }
     }
-  });
+  }), { idempotent: false });
+  return res?.data?.id || null;
+}
+
+// Removal uses the playlistItem id (not the video id), so a video listed twice is removed per entry.
+// A 404 means the entry is already gone — e.g. a retried delete whose first attempt went through —
+// so it counts as removed. Returns false in that case.
+async function removeFromPlaylist(youtube, playlistItemId) {
+  try {
+    await call('playlistItems.delete', () => youtube.playlistItems.delete({ id: playlistItemId }));
+    return true;
+  } catch (e) {
+    if (statusOf(e) === 404) return false;
+    throw e;
+  }
 }
 
 module.exports = {
   getYouTubePlaylistItems,
+  canonicalFromVideo,
   // SP→YT exports:
   findBestYouTubeForSpotifyTrack,
+  hasCachedSearchFor,
   insertIntoPlaylist,
+  removeFromPlaylist,
   findSoftDupeInPlaylist,
-  toMsFromISO8601
+  toMsFromISO8601,
+  // Matching heuristics (unit-tested in test/matching.test.js):
+  violatesVersionRules,
+  passesHardFilters,
+  spotifyTitleCore,
+  searchQueriesFor
 };
\ No newline at end of file
@@ -0,0 +1,265 @@
+// cache: inspect and repair the per-pair sync state (see util/cache.js).
+//   cache [list]                                  every pair: last sync, mappings, seen tracks, skips, reviews
+//   cache show --track=<id> | --video=<id>        what each pair knows about one track or video
+//   cache unmap --track=<id>                      forget a track's mapping
+//   cache remap --track=<id> --video=<id>         map a track to another video
+//   cache reset                                   clear lastSync and seenTrackIds (the next run is treated like a first run)
+//   cache verify                                  fetch both playlists and report mappings whose track or video is gone
+//   --pair=<nickname|Spotify ID|YouTube ID>       which pair (needed when there are several)
+//   --dry-run                                     show what unmap/remap/reset would change
+// unmap and remap are journaled like a sync run, so `undo --run=<id>` restores the mapping.
+const { loadConfig, SPOTIFY_ID_RE, VIDEO_ID_RE } = require('../util/config');
+const { CacheError, configureStorage, getStore, pairKey, loadCache, saveCache } = require('../util/cache');
+const { LockedError, cacheLockName, withLock } = require('../util/lock');
+const { DEFAULT_DAILY_BUDGET, setQuotaBudget, formatQuota } = require('../util/quota');
+const { QuotaExceededError } = require('../util/retry');
+const { newRunId, beginJournalRun, endJournalRun, journal } = require('../util/journal');
+const { skipsFor, describeSkip } = require('../util/skips');
+const { queueFor } = require('../util/reviewQueue');
+const { getSpotify } = require('../auth/spotifyAuth');
+const { getYouTube } = require('../auth/youtubeAuth');
+const { getAllPlaylistItems } = require('../clients/spotify');
+const { getYouTubePlaylistItems } = require('../clients/youtube');
+
+const ACTIONS = ['list', 'show', 'unmap', 'remap', 'reset', 'verify'];
+const DIRECTIONS = ['sp2yt', 'yt2sp'];
+
+function labelOf(pair) {
+  return pair.nickname || pairKey(pair);
+}
+
+function count(obj) {
+  return Object.keys(obj || {}).length;
+}
+
+function countPerDirection(cache, entriesFor) {
+  return DIRECTIONS.reduce((n, d) => n + count(entriesFor(cache, d)), 0);
+}
+
+// --pair may be left out when only one pair is configured
+function selectPairs(config, ref, { single }) {
+  const pairs = config.pairs.filter(p => !p.placeholder);
+  if (!ref) {
+    if (!single || pairs.length === 1) return pairs;
+    console.error(`❌ ${pairs.length} pairs are configured — choose one with --pair=<nickname|Spotify ID|YouTube ID>`);
+    return null;
+  }
+  const needle = ref.toLowerCase();
+  const matches = pairs.filter(p =>
+    (p.nickname || '').toLowerCase() === needle || pairKey(p) === ref ||
+    p.spotifyPlaylistId === ref || p.youtubePlaylistId === ref);
+  if (matches.length === 1) return matches;
+  console.error(matches.length
+    ? `❌ --pair=${ref} matches ${matches.length} pairs (${matches.map(labelOf).join(', ')}) — use the nickname`
+    : `❌ No configured pair matches --pair=${ref}`);
+  return null;
+}
+
+// Loads a pair's state for reading; a broken one is reported and yields null
+function tryLoad(pair) {
+  try {
+    return loadCache(pair);
+  } catch (e) {
+    if (!(e instanceof CacheError)) throw e;
+    console.error(`❌ [${labelOf(pair)}] ${e.message}`);
+    return null;
+  }
+}
+
+function listPairs(config) {
+  const store = getStore();
+  const configured = config.pairs.filter(p => !p.placeholder);
+  const known = new Set(configured.map(pairKey));
+  // State left behind by pairs that were removed from config.json
+  const stored = new Set(store.keys());
+  const orphans = [];
+  for (const key of stored) {
+    if (known.has(key)) continue;
+    try {
+      const ids = store.load(key)?.pair;
+      if (ids?.spotifyPlaylistId) orphans.push({ ...ids, orphan: true });
+    } catch (e) {
+      if (!(e instanceof CacheError)) throw e;
+      console.error(`❌ ${e.message}`);
+    }
+  }
+
+  console.log(`• Sync state in the ${store.name} store`);
+  for (const pair of [...configured, ...orphans]) {
+    const cache = tryLoad(pair);
+    if (!cache) continue;
+    console.log(`\n  [${labelOf(pair)}]${pair.orphan ? '  (not in config.json)' : ''}`);
+    console.log(`    Spotify ${pair.spotifyPlaylistId} ⇄ YouTube ${pair.youtubePlaylistId}`);
+    if (!stored.has(pairKey(pair))) {
+      console.log('    no state yet (never synced)');
+      continue;
+    }
+    console.log(`    last sync ${cache.lastSync || 'never'} · ${count(cache.map)} mapping(s) · ${(cache.seenTrackIds || []).length} seen track(s)`);
+    console.log(`    ${countPerDirection(cache, skipsFor)} skipped · ${countPerDirection(cache, queueFor)} awaiting review · ${store.describe(pairKey(pair))}`);
+  }
+  return 0;
+}
+
+function showItem(pairs, { track, video }) {
+  if (!track === !video) {
+    console.error('❌ cache show needs --track=<Spotify track ID> or --video=<YouTube video ID>');
+    return 1;
+  }
+  const id = track || video;
+  let found = 0;
+  for (const pair of pairs) {
+    const cache = tryLoad(pair);
+    if (!cache) continue;
+    const lines = [];
+    const mapped = track
+      ? (cache.map[track] ? [[track, cache.map[track]]] : [])
+      : Object.entries(cache.map).filter(([, v]) => v === video);
+    for (const [spTrackId, videoId] of mapped) lines.push(`spotify:track:${spTrackId} → ${videoId}`);
+    if (track && (cache.seenTrackIds || []).includes(track)) lines.push('seen (part of the SP→YT baseline)');
+    const direction = track ? 'sp2yt' : 'yt2sp';
+    const skip = skipsFor(cache, direction)[id];
+    if (skip) lines.push(`skipped ${direction}: ${describeSkip(skip, pair.skipMaxAttempts)}`);
+    const queued = queueFor(cache, direction)[id];
+    if (queued) lines.push(`awaiting review ${direction}: proposed ${queued.proposed} (score ${queued.score?.toFixed(2)})`);
+    if (!lines.length) continue;
+    found += 1;
+    console.log(`[${labelOf(pair)}]`);
+    for (const line of lines) console.log(`  ${line}`);
+  }
+  if (!found) console.log(`• No pair has anything recorded for ${id}`);
+  return 0;
+}
+
+// unmap / remap / reset: change one pair's state under its lock
+async function editPair(pair, dryRun, edit) {
+  const key = pairKey(pair);
+  try {
+    return await withLock(cacheLockName(key), `Cache of ${labelOf(pair)}`, async () => {
+      const cache = loadCache(pair);
+      if (!cache.map) cache.map = {};
+      const changed = edit(cache);
+      if (changed && !dryRun) saveCache(pair, cache);
+      if (dryRun) console.log('• DRY-RUN: nothing was changed.');
+      return 0;
+    });
+  } catch (e) {
+    if (!(e instanceof LockedError) && !(e instanceof CacheError)) throw e;
+    console.error(`❌ ${e.message}`);
+    return 1;
+  }
+}
+
+async function changeMapping(pair, { track, video, dryRun }) {
+  const runId = newRunId();
+  if (!dryRun) beginJournalRun(runId);
+  try {
+    return await editPair(pair, dryRun, cache => {
+      const before = cache.map[track] ?? null;
+      if (before === video) {
+        console.log(`• [${labelOf(pair)}] ${track} is already ${video ? `mapped to ${video}` : 'unmapped'}`);
+        return false;
+      }
+      if (video) {
+        const others = Object.entries(cache.map).filter(([k, v]) => v === video && k !== track).map(([k]) => k);
+        if (others.length) console.log(`  ! ${video} is also the mapping of ${others.join(', ')}`);
+        cache.map[track] = video;
+      } else {
+        delete cache.map[track];
+      }
+      journal('map', { spotifyPlaylistId: pair.spotifyPlaylistId, youtubePlaylistId: pair.youtubePlaylistId, spTrackId: track, before, after: video });
+      console.log(`✔ [${labelOf(pair)}] spotify:track:${track}: ${before || 'none'} → ${video || 'none'}`);
+      if (!dryRun) console.log(`• Run ID: ${runId} (restore with: undo --run=${runId})`);
+      return true;
+    });
+  } finally {
+    endJournalRun();
+  }
+}
+
+function resetBaseline(pair, { dryRun }) {
+  return editPair(pair, dryRun, cache => {
+    console.log(`✔ [${labelOf(pair)}] cleared lastSync (${cache.lastSync || 'never'}) and ${(cache.seenTrackIds || []).length} seen track(s); mappings kept`);
+    cache.lastSync = null;
+    cache.seenTrackIds = [];
+    return true;
+  });
+}
+
+// Read-only: reports mappings whose Spotify track left the playlist or whose video is no
+// longer in the YouTube playlist, or still listed there but private or deleted
+async function verifyPairs(config, pairs) {
+  setQuotaBudget(config.youtubeQuotaBudget ?? DEFAULT_DAILY_BUDGET);
+  const [sp, yt] = await Promise.all([getSpotify(), getYouTube()]);
+  let broken = 0;
+
+  for (const pair of pairs) {
+    const log = (...xs) => console.log(`[${labelOf(pair)}]`, ...xs);
+    const cache = tryLoad(pair);
+    if (!cache) {
+      broken += 1;
+      continue;
+    }
+    let spItems;
+    let ytItems;
+    try {
+      [spItems, ytItems] = await Promise.all([
+        getAllPlaylistItems(sp, pair.spotifyPlaylistId),
+        getYouTubePlaylistItems(yt, pair.youtubePlaylistId)
+      ]);
+    } catch (e) {
+      if (!(e instanceof QuotaExceededError)) throw e;
+      log(`⛔ ${e.message} — verify the rest later`);
+      return 1;
+    }
+    const spTrackSet = new Set(spItems.map(t => t.id));
+    const ytVideoSet = new Set(ytItems.map(v => v.id));
+    const unavailable = new Set(ytItems.filter(v => v.unavailable).map(v => v.id));
+
+    const problems = [];
+    for (const [spTrackId, videoId] of Object.entries(cache.map)) {
+      const gone = [];
+      if (!spTrackSet.has(spTrackId)) gone.push('track left the Spotify playlist');
+      if (!ytVideoSet.has(videoId)) gone.push('video is not in the YouTube playlist');
+      else if (unavailable.has(videoId)) gone.push('video is private or deleted');
+      if (gone.length) problems.push(`  ✖ spotify:track:${spTrackId} → ${videoId}: ${gone.join(', ')}`);
+    }
+    log(`• ${count(cache.map)} mapping(s) checked against ${spItems.length} track(s) and ${ytItems.length} video(s): ${problems.length ? `${problems.length} broken` : 'all fine'}`);
+    for (const line of problems) console.log(line);
+    broken += problems.length;
+  }
+
+  console.log(`\n• ${formatQuota()}`);
+  if (broken) console.log('• Fix a mapping with "cache unmap" or "cache remap".');
+  return broken ? 1 : 0;
+}
+
+async function runCache(configPath, action = 'list', { pair: pairRef, track, video, dryRun = false } = {}) {
+  if (!ACTIONS.includes(action)) {
+    console.error(`❌ Unknown cache action "${action}" (use ${ACTIONS.join(', ')})`);
+    return 1;
+  }
+  const config = loadConfig(configPath);
+  configureStorage(config.storage);
+
+  if (action === 'list') return listPairs(config);
+
+  const single = ['unmap', 'remap', 'reset'].includes(action);
+  const pairs = selectPairs(config, pairRef, { single });
+  if (!pairs) return 1;
+
+  if (action === 'show') return showItem(pairs, { track, video });
+  if (action === 'verify') return verifyPairs(config, pairs);
+  if (action === 'reset') return resetBaseline(pairs[0], { dryRun });
+
+  if (!track || (action === 'remap' && !video)) {
+    console.error(`❌ cache ${action} needs --track=<Spotify track ID>${action === 'remap' ? ' and --video=<YouTube video ID>' : ''}`);
+    return 1;
+  }
+  if (!SPOTIFY_ID_RE.test(track) || (action === 'remap' && !VIDEO_ID_RE.test(video))) {
+    console.error(`❌ "${SPOTIFY_ID_RE.test(track) ? video : track}" is not a ${SPOTIFY_ID_RE.test(track) ? 'YouTube video' : 'Spotify track'} ID`);
+    return 1;
+  }
+  return changeMapping(pairs[0], { track, video: action === 'remap' ? video : null, dryRun });
+}
+
+module.exports = { runCache };
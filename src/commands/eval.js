@@ -0,0 +1,277 @@
+// eval: replay both matchers offline against a labeled golden set and score them.
+//   eval <dataset.json> [--pair=<nickname>] [--baseline=<results.json>]
+//
+// Dataset:
+//   { "cases": [{
+//       "id": "blinding-lights",            // unique, used to diff runs
+//       "direction": "sp2yt" | "yt2sp",
+//       "source": { … },                    // sp2yt: Spotify track object, yt2sp: YouTube video resource
+//       "candidates": [{ … }],              // what search returned: video resources (sp2yt) or tracks (yt2sp)
+//       "expected": "<video or track ID>" | null   // null: the right answer is to add nothing
+//   }] }
+// Every search of a case is answered with its candidates (an ISRC lookup only with the ones
+// carrying that ISRC), so no API is called and no quota is charged. Matching settings and
+// thresholds are config.json's defaults, or those of --pair.
+//
+// Each case ends as an add (right or wrong) or a skip; a match below the accept threshold
+// counts as a skip. Results are grouped by the rule that decided: how the match was chosen
+// (isrc, exact-title, best-score) or why nothing was (the skip reason).
+// The results are saved to .cache/eval/<dataset>.json and compared with the previous run of
+// the same dataset, or with --baseline.
+const fs = require('fs');
+const path = require('path');
+const { loadConfig, ConfigError, DEFAULTS } = require('../util/config');
+const { CACHE_DIR, writeFileAtomic } = require('../util/cache');
+const { setQuotaMetering } = require('../util/quota');
+const { setSearchCacheTtl } = require('../util/searchCache');
+const { judgeScore } = require('../util/reviewQueue');
+const { canonicalFromPlaylistItem, findBestSpotifyForYouTubeVideo } = require('../clients/spotify');
+const { canonicalFromVideo, findBestYouTubeForSpotifyTrack } = require('../clients/youtube');
+
+const EVAL_DIR = path.join(CACHE_DIR, 'eval');
+const DIRECTIONS = [['sp2yt', 'Spotify → YouTube'], ['yt2sp', 'YouTube → Spotify']];
+
+// Stand-in clients that answer every search with the case's candidates
+function replaySpotify(tracks) {
+  return {
+    async searchTracks(q, { limit }) {
+      const isrc = /^isrc:(\w+)$/i.exec(q);
+      const items = isrc ? tracks.filter(t => (t.external_ids?.isrc || '').toUpperCase() === isrc[1].toUpperCase()) : tracks;
+      return { body: { tracks: { items: items.slice(0, limit) } } };
+    }
+  };
+}
+
+function replayYouTube(videos) {
+  const byId = new Map(videos.map(v => [v.id, v]));
+  return {
+    search: {
+      async list({ maxResults }) {
+        return { data: { items: videos.slice(0, maxResults).map(v => ({ id: { videoId: v.id } })) } };
+      }
+    },
+    videos: {
+      async list({ id }) {
+        return { data: { items: id.map(x => byId.get(x)).filter(Boolean) } };
+      }
+    }
+  };
+}
+
+function readDataset(datasetPath) {
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(datasetPath, 'utf8'));
+  } catch (e) {
+    return { problems: [`Cannot read ${datasetPath}: ${e.message}`] };
+  }
+  if (!Array.isArray(doc?.cases)) return { problems: [`${datasetPath}: "cases" must be an array`] };
+
+  const problems = [];
+  const ids = new Set();
+  doc.cases.forEach((c, i) => {
+    const where = `cases[${i}]${typeof c?.id === 'string' ? ` (${c.id})` : ''}`;
+    if (typeof c?.id !== 'string' || !c.id) problems.push(`${where}: "id" must be a non-empty string`);
+    else if (ids.has(c.id)) problems.push(`${where}: duplicate id`);
+    else ids.add(c.id);
+    if (!DIRECTIONS.some(([d]) => d === c?.direction)) problems.push(`${where}: "direction" must be sp2yt or yt2sp`);
+    if (!c?.source?.id) problems.push(`${where}: "source" must be a track or video with an "id"`);
+    if (!Array.isArray(c?.candidates)) problems.push(`${where}: "candidates" must be an array`);
+    if (c?.expected !== null && typeof c?.expected !== 'string') problems.push(`${where}: "expected" must be an ID or null`);
+  });
+  return { cases: doc.cases, problems };
+}
+
+// Runs one case through its matcher; returns { rule, decision: 'add'|'review'|'skip', chosen, score }
+async function replayCase(c, settings) {
+  const opts = {
+    slackSec: settings.durationSlackSec,
+    topK: settings.matching.topK,
+    escalateK: settings.matching.escalateK,
+    maxQueries: settings.matching.maxQueries,
+    confidentScore: settings.matching.confidentScore,
+    scoring: settings.scoring
+  };
+  const res = c.direction === 'sp2yt'
+    ? await findBestYouTubeForSpotifyTrack(replayYouTube(c.candidates), canonicalFromPlaylistItem({ track: c.source }), opts)
+    : await findBestSpotifyForYouTubeVideo(replaySpotify(c.candidates), canonicalFromVideo(c.source), opts);
+
+  if (!res.best) return { rule: res.reason, decision: 'skip', chosen: null, score: null };
+  const verdict = res.via === 'isrc' ? 'accept' : judgeScore(settings.thresholds[c.direction], res.score);
+  return {
+    rule: res.via || 'best-score',
+    decision: verdict === 'accept' ? 'add' : verdict === 'review' ? 'review' : 'skip',
+    chosen: res.best.id,
+    score: res.score ?? null
+  };
+}
+
+// correct: added the expected item · false_add: added anything else · missed: added nothing
+// although there is an answer · correct_skip: added nothing and there is none
+function outcomeOf(expected, { decision, chosen }) {
+  if (decision === 'add') return chosen === expected ? 'correct' : 'false_add';
+  return expected ? 'missed' : 'correct_skip';
+}
+
+function tally(results) {
+  const t = { cases: results.length, added: 0, correct: 0, falseAdds: 0, skipped: 0, withAnswer: 0 };
+  for (const r of results) {
+    if (r.expected) t.withAnswer += 1;
+    if (r.decision === 'add') t.added += 1;
+    else t.skipped += 1;
+    if (r.outcome === 'correct') t.correct += 1;
+    if (r.outcome === 'false_add') t.falseAdds += 1;
+  }
+  const ratio = (n, d) => (d ? n / d : null);
+  return {
+    ...t,
+    precision: ratio(t.correct, t.added),
+    recall: ratio(t.correct, t.withAnswer),
+    falseAddRate: ratio(t.falseAdds, t.cases),
+    skipRate: ratio(t.skipped, t.cases)
+  };
+}
+
+// { [direction]: { all: tally, rules: { [rule]: tally } } }
+function summarize(results) {
+  const summary = {};
+  for (const [direction] of DIRECTIONS) {
+    const mine = results.filter(r => r.direction === direction);
+    if (!mine.length) continue;
+    const rules = {};
+    for (const rule of [...new Set(mine.map(r => r.rule))].sort()) {
+      rules[rule] = tally(mine.filter(r => r.rule === rule));
+    }
+    summary[direction] = { all: tally(mine), rules };
+  }
+  return summary;
+}
+
+const METRICS = [['precision', 'precision'], ['recall', 'recall'], ['falseAddRate', 'false adds'], ['skipRate', 'skips']];
+
+function pct(x) {
+  return x == null ? '   –  ' : `${(x * 100).toFixed(1).padStart(5)}%`;
+}
+
+function printTally(label, t) {
+  const counts = `${t.cases} case(s), ${t.added} added (${t.falseAdds} wrong), ${t.skipped} skipped`;
+  console.log(`    ${label.padEnd(30)} ${METRICS.map(([k, name]) => `${name} ${pct(t[k])}`).join('  ')}   ${counts}`);
+}
+
+function printSummary(summary) {
+  for (const [direction, title] of DIRECTIONS) {
+    if (!summary[direction]) continue;
+    console.log(`\n  ${title}`);
+    printTally('all', summary[direction].all);
+    for (const [rule, t] of Object.entries(summary[direction].rules)) printTally(`  ${rule}`, t);
+  }
+}
+
+function describeResult(r) {
+  if (r.decision === 'add') return `${r.outcome === 'correct' ? 'added the right item' : `added ${r.chosen} (wrong)`} via ${r.rule}`;
+  if (r.decision === 'review') return `held for review (${r.chosen}, score ${r.score.toFixed(2)})`;
+  if (r.chosen) return `rejected ${r.chosen} (score ${r.score.toFixed(2)} below the review threshold)`;
+  return `skipped (${r.rule})`;
+}
+
+// Changed cases, then metric deltas per direction (percentage points)
+function printDiff(baseline, results, summary) {
+  const before = new Map(baseline.results.map(r => [r.id, r]));
+  const rank = { correct: 2, correct_skip: 2, missed: 1, false_add: 0 };
+  const changed = results.filter(r => before.has(r.id) &&
+    (before.get(r.id).outcome !== r.outcome || before.get(r.id).chosen !== r.chosen || before.get(r.id).rule !== r.rule));
+  const added = results.filter(r => !before.has(r.id)).length;
+
+  console.log(`\n• Compared with the run of ${baseline.createdAt}${added ? ` (${added} case(s) are new)` : ''}:`);
+  if (!changed.length) console.log('    no case changed');
+  for (const r of changed) {
+    const b = before.get(r.id);
+    const mark = rank[r.outcome] > rank[b.outcome] ? '✔ better' : rank[r.outcome] < rank[b.outcome] ? '✖ worse ' : '~ same  ';
+    console.log(`    ${mark} ${r.id}: ${describeResult(b)} → ${describeResult(r)}`);
+  }
+  for (const [direction, title] of DIRECTIONS) {
+    const now = summary[direction]?.all;
+    const then = baseline.summary?.[direction]?.all;
+    if (!now || !then) continue;
+    const deltas = METRICS.map(([k, name]) => {
+      if (now[k] == null || then[k] == null) return `${name} –`;
+      const d = (now[k] - then[k]) * 100;
+      return `${name} ${d >= 0 ? '+' : ''}${d.toFixed(1)}`;
+    });
+    console.log(`    ${title}: ${deltas.join('  ')} (points)`);
+  }
+}
+
+function readBaseline(file) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    const doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Array.isArray(doc.results) ? doc : null;
+  } catch {
+    return null;
+  }
+}
+
+// Matching settings of --pair, else config.json's defaults. Without --pair a config that does
+// not load (e.g. no pair set up yet) falls back to the built-in defaults.
+function settingsFor(configPath, pairRef) {
+  if (!pairRef) {
+    try {
+      return { ...loadConfig(configPath).defaults, source: 'the defaults of config.json' };
+    } catch (e) {
+      if (!(e instanceof ConfigError)) throw e;
+      return { ...DEFAULTS, source: 'the built-in defaults (config.json did not load)' };
+    }
+  }
+  const pair = loadConfig(configPath).pairs.find(p => (p.nickname || '').toLowerCase() === pairRef.toLowerCase());
+  if (!pair) console.error(`❌ No configured pair is called "${pairRef}"`);
+  return pair && { ...pair, source: `the settings of pair "${pair.nickname}"` };
+}
+
+async function runEval(configPath, datasetPath, { pair: pairRef = null, baseline: baselinePath = null } = {}) {
+  if (!datasetPath) {
+    console.error('❌ eval needs a dataset: eval <dataset.json> [--pair=<nickname>] [--baseline=<results.json>]');
+    return 1;
+  }
+  const { cases, problems } = readDataset(datasetPath);
+  if (problems.length) {
+    console.error(`❌ Invalid dataset:\n${problems.map(p => `  • ${p}`).join('\n')}`);
+    return 1;
+  }
+
+  const settings = settingsFor(configPath, pairRef);
+  if (!settings) return 1;
+
+  // Searches are answered by the dataset: don't charge them or cache their results
+  setQuotaMetering(false);
+  setSearchCacheTtl(0);
+
+  console.log(`• Replaying ${cases.length} case(s) from ${datasetPath} with ${settings.source}`);
+  const results = [];
+  for (const c of cases) {
+    const r = await replayCase(c, settings);
+    results.push({ id: c.id, direction: c.direction, expected: c.expected, ...r, outcome: outcomeOf(c.expected, r) });
+  }
+  const summary = summarize(results);
+  printSummary(summary);
+
+  const misses = results.filter(r => r.outcome === 'false_add' || r.outcome === 'missed');
+  if (misses.length) {
+    console.log('\n• Wrong answers:');
+    for (const r of misses) console.log(`    ${r.id}: expected ${r.expected || 'no add'}, ${describeResult(r)}`);
+  }
+
+  const lastPath = path.join(EVAL_DIR, `${path.basename(datasetPath, path.extname(datasetPath))}.json`);
+  const baseline = readBaseline(baselinePath || lastPath);
+  if (baseline) printDiff(baseline, results, summary);
+  else if (baselinePath) console.log(`\n• ${baselinePath} is not an eval result — nothing to compare with`);
+  else console.log('\n• First run of this dataset — the next one is compared with it');
+
+  if (!fs.existsSync(EVAL_DIR)) fs.mkdirSync(EVAL_DIR);
+  const doc = { dataset: path.resolve(datasetPath), createdAt: new Date().toISOString(), pair: pairRef, summary, results };
+  writeFileAtomic(lastPath, JSON.stringify(doc, null, 2));
+  console.log(`• Results saved to ${lastPath}`);
+  return 0;
+}
+
+module.exports = { runEval };
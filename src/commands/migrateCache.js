@@ -0,0 +1,111 @@
+// migrate-cache: bring older sync state into the configured store (see util/cache.js).
+//   - .cache/sp2yt_<spotifyId>.json, from before state was kept per pair, is copied to
+//     every configured pair with that Spotify playlist
+//   - with "storage": "sqlite", the JSON store's pair_<key>.json files are imported too
+//   --force     overwrite state the store already has for a pair
+//   --dry-run   show what would be imported
+// A file is renamed to <file>.migrated (kept, but no longer read) once all of its state was
+// written; one that was skipped stays, so a later --force run can still import it.
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('../util/config');
+const { CACHE_DIR, configureStorage, getStore, pairKey, saveCache } = require('../util/cache');
+const { LockedError, cacheLockName, withLock } = require('../util/lock');
+
+const LEGACY_FILE_RE = /^sp2yt_(.+)\.json$/;
+
+function markMigrated(filePath) {
+  fs.renameSync(filePath, `${filePath}.migrated`);
+}
+
+// Imports one pair's state unless the store already has some. Returns whether it did.
+async function importPairState({ store, pair, state, source, force, dryRun }) {
+  const key = pairKey(pair);
+  const label = pair.nickname || key;
+  return withLock(cacheLockName(key), `Cache of ${label}`, () => {
+    if (!force && store.load(key)) {
+      console.log(`  • [${label}] already has state in ${store.describe(key)} — skipped (--force overwrites it)`);
+      return false;
+    }
+    if (!dryRun) saveCache(pair, state);
+    console.log(`  ✔ [${label}] ${source} → ${store.describe(key)}`);
+    return true;
+  });
+}
+
+async function runMigrateCache(configPath, { force = false, dryRun = false } = {}) {
+  const config = loadConfig(configPath);
+  configureStorage(config.storage);
+  const store = getStore();
+  const pairs = config.pairs.filter(p => !p.placeholder);
+  let imported = 0;
+  let problems = 0;
+
+  // Whether the state was imported (false when skipped or locked)
+  const tryImport = async args => {
+    try {
+      const done = await importPairState({ store, force, dryRun, ...args });
+      if (done) imported += 1;
+      return done;
+    } catch (e) {
+      if (!(e instanceof LockedError)) throw e;
+      console.error(`  ❌ ${e.message} — try again when it is free`);
+      problems += 1;
+      return false;
+    }
+  };
+
+  const legacyFiles = fs.readdirSync(CACHE_DIR).filter(f => LEGACY_FILE_RE.test(f)).sort();
+  console.log(`• ${legacyFiles.length} cache file(s) from before state was kept per pair${dryRun ? ' [DRY-RUN]' : ''}`);
+  for (const file of legacyFiles) {
+    const filePath = path.join(CACHE_DIR, file);
+    const spId = LEGACY_FILE_RE.exec(file)[1];
+    let state;
+    try {
+      state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+      console.error(`  ❌ ${file} could not be parsed (${e.message}) — restore it from ${file}.bak or delete it`);
+      problems += 1;
+      continue;
+    }
+
+    const targets = pairs.filter(p => p.spotifyPlaylistId === spId);
+    if (!targets.length) {
+      console.log(`  • ${file}: no pair in config.json uses Spotify playlist ${spId} — left as is`);
+      continue;
+    }
+    if (targets.length > 1) {
+      console.log(`  ! ${file} was shared by ${targets.length} pairs, so its mappings mix both YouTube playlists. ` +
+        'Each pair gets a copy; check their first run with --dry-run.');
+    }
+    let complete = true;
+    for (const pair of targets) {
+      complete = (await tryImport({ pair, state, source: file })) && complete;
+    }
+    if (complete && !dryRun) markMigrated(filePath);
+  }
+
+  if (store.name !== 'json') {
+    const jsonStore = getStore('json');
+    const keys = jsonStore.keys();
+    console.log(`• ${keys.length} pair file(s) in the JSON store`);
+    for (const key of keys) {
+      const state = jsonStore.load(key);
+      const ids = state.pair || {};
+      const pair = pairs.find(p => pairKey(p) === key) || ids;
+      if (!pair.spotifyPlaylistId || !pair.youtubePlaylistId) {
+        console.log(`  • ${jsonStore.describe(key)}: no pair IDs recorded — left as is`);
+        continue;
+      }
+      if (await tryImport({ pair, state, source: path.basename(jsonStore.describe(key)) }) && !dryRun) {
+        markMigrated(jsonStore.describe(key));
+      }
+    }
+  }
+
+  if (dryRun) console.log(`\n• DRY-RUN: ${imported} pair(s) would be imported; nothing was changed.`);
+  else console.log(`\n${problems ? '⚠️ ' : '✅'} Imported ${imported} pair(s) into the ${store.name} store${problems ? ` — ${problems} problem(s) above` : ''}.`);
+  return problems ? 1 : 0;
+}
+
+module.exports = { runMigrateCache };
@@ -0,0 +1,129 @@
+// --review: walk the review queue (borderline matches held back by the score thresholds)
+// and record each decision in overrides.json, where the next sync picks it up:
+//   approve / choose an alternative → pin,  reject → SP→YT blocks the proposed video,
+//   YT→SP rejects only this video ↔ track match (a track can be the right match of other
+//   videos); either way the source item is searched again on the next sync, without it,
+//   never → never-sync the source item,  skip → leave it queued.
+const { loadConfig } = require('../util/config');
+const { configureStorage, pairKey, loadCache, saveCache } = require('../util/cache');
+const { LockedError, cacheLockName, withLock } = require('../util/lock');
+const { queueFor, dequeueReview } = require('../util/reviewQueue');
+const { markRetryDue } = require('../util/skips');
+const { overridesPathFor, scopeKeyForPair, recordPin, recordReject, recordListEntry } = require('../util/overrides');
+const { createPrompt } = require('../util/prompt');
+
+const DIRECTIONS = [['sp2yt', 'Spotify → YouTube'], ['yt2sp', 'YouTube → Spotify']];
+
+function fmtDuration(ms) {
+  if (!ms) return '?:??';
+  const sec = Math.round(ms / 1000);
+  return `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, '0')}`;
+}
+
+function describeItem(direction, item) {
+  return direction === 'sp2yt'
+    ? `${(item.artists || []).join(', ')} - ${item.title}${item.album ? ` [${item.album}]` : ''} (${fmtDuration(item.durationMs)})`
+    : `${item.title} — ${item.channelTitle || 'unknown channel'} (${fmtDuration(item.durationMs)})`;
+}
+
+function titleOf(direction, item) {
+  return direction === 'sp2yt' ? `${item.artists?.[0] || ''} - ${item.title}` : item.title;
+}
+
+function describeCandidate(direction, c) {
+  return direction === 'sp2yt'
+    ? `${c.title} — ${c.channelTitle} (${fmtDuration(c.durationMs)})  youtu.be/${c.id}`
+    : `${(c.artists || []).join(', ')} - ${c.name}${c.album ? ` [${c.album}]` : ''} (${fmtDuration(c.durationMs)})  spotify:track:${c.id}`;
+}
+
+function describeBreakdown(breakdown) {
+  return Object.entries(breakdown || {})
+    .filter(([, v]) => v)
+    .map(([k, v]) => `${k} ${v.toFixed(2)}`)
+    .join(' · ');
+}
+
+// Returns { spotify, youtube } for a source item and one of its candidates
+function pinFor(direction, sourceId, candidateId) {
+  return direction === 'sp2yt'
+    ? { spotify: sourceId, youtube: candidateId }
+    : { spotify: candidateId, youtube: sourceId };
+}
+
+// prompt: { ask, close } (tests pass a scripted one)
+async function runReview(configPath, { prompt = createPrompt() } = {}) {
+  const config = loadConfig(configPath);
+  configureStorage(config.storage);
+  const overridesPath = overridesPathFor(configPath);
+  const counts = { approved: 0, rejected: 0, never: 0, left: 0 };
+  let quit = false;
+
+  try {
+    for (const pair of config.pairs) {
+      if (pair.placeholder || quit) continue;
+      const scope = scopeKeyForPair(pair);
+      try {
+        await withLock(cacheLockName(pairKey(pair)), `Cache of ${scope}`, async () => {
+          const cache = loadCache(pair);
+
+          for (const [direction, title] of DIRECTIONS) {
+            const entries = Object.entries(queueFor(cache, direction));
+            if (!entries.length || quit) continue;
+            console.log(`\n[${scope}] ${title}: ${entries.length} match(es) to review`);
+
+            for (const [sourceId, entry] of entries) {
+              if (quit) {
+                counts.left += 1;
+                continue;
+              }
+              console.log(`\n  ${describeItem(direction, entry.item)}`);
+              entry.candidates.forEach((c, i) => {
+                const star = c.id === entry.proposed ? '★' : ' ';
+                console.log(`   ${star}${i + 1}) ${describeCandidate(direction, c)}`);
+                console.log(`        score ${c.score.toFixed(2)}  [${describeBreakdown(c.breakdown)}]`);
+              });
+
+              const n = entry.candidates.length;
+              const answer = await prompt.ask(`  [a]pprove ★ / [1-${n}] choose / [r]eject ★ / [n]ever sync / [s]kip / [q]uit: `);
+              const a = (answer ?? 'q').toLowerCase();
+              const picked = /^\d+$/.test(a) ? entry.candidates[Number(a) - 1] : null;
+
+              if (a === 'a' || picked) {
+                const target = picked ? picked.id : entry.proposed;
+                recordPin(overridesPath, scope, { ...pinFor(direction, sourceId, target), note: 'review' });
+                counts.approved += 1;
+              } else if (a === 'r') {
+                if (direction === 'sp2yt') recordListEntry(overridesPath, scope, 'block', 'youtubeVideos', entry.proposed);
+                else recordReject(overridesPath, scope, { ...pinFor(direction, sourceId, entry.proposed), note: 'review' });
+                // Nothing else brings an older, already seen item back into the next sync
+                markRetryDue(cache, direction, sourceId, { title: titleOf(direction, entry.item), reason: 'rejected_in_review' });
+                counts.rejected += 1;
+              } else if (a === 'n') {
+                recordListEntry(overridesPath, scope, 'neverSync', direction === 'sp2yt' ? 'spotifyTracks' : 'youtubeVideos', sourceId);
+                counts.never += 1;
+              } else {
+                if (a === 'q') quit = true;
+                counts.left += 1;
+                continue;
+              }
+              dequeueReview(cache, direction, sourceId);
+              saveCache(pair, cache);
+            }
+          }
+        });
+      } catch (e) {
+        if (!(e instanceof LockedError)) throw e;
+        console.error(`\n❌ [${scope}] ${e.message} — skipping this pair for now`);
+      }
+    }
+  } finally {
+    prompt.close();
+  }
+
+  const decided = counts.approved + counts.rejected + counts.never;
+  console.log(`\n• Reviewed ${decided}: ${counts.approved} pinned, ${counts.rejected} rejected, ${counts.never} never-sync · ${counts.left} left in the queue`);
+  if (decided) console.log(`• Decisions saved to ${overridesPath}; the next sync applies them.`);
+  return 0;
+}
+
+module.exports = { runReview };
@@ -0,0 +1,36 @@
+// --search-cache[=list|purge]: inspect or clear the persistent search-result cache.
+//   --match=<text>   only entries whose query contains <text> (normalized)
+//   --expired        only entries past their TTL
+const { listSearchEntries, purgeSearchEntries } = require('../util/searchCache');
+const { norm } = require('../util/text');
+
+function ageOf(iso) {
+  const hours = Math.floor((Date.now() - new Date(iso).getTime()) / 3600000);
+  return hours < 48 ? `${hours}h` : `${Math.floor(hours / 24)}d`;
+}
+
+function runSearchCache(action, { match, expired } = {}) {
+  const needle = match ? norm(match) : null;
+  const selected = e => (!needle || norm(e.query).includes(needle)) && (!expired || e.expired);
+
+  if (action === 'purge') {
+    const removed = purgeSearchEntries(selected);
+    console.log(`🧹 Removed ${removed} search cache entr${removed === 1 ? 'y' : 'ies'}`);
+    return 0;
+  }
+  if (action !== 'list') {
+    console.log(`❌ Unknown --search-cache action "${action}" (use list or purge)`);
+    return 1;
+  }
+
+  const entries = listSearchEntries().filter(selected)
+    .sort((a, b) => a.service.localeCompare(b.service) || a.query.localeCompare(b.query));
+  for (const e of entries) {
+    console.log(`  ${e.service.padEnd(7)}  "${e.query}"  ${e.results.length} result(s)  age ${ageOf(e.fetchedAt)}${e.expired ? '  (expired)' : ''}`);
+  }
+  const stale = entries.filter(e => e.expired).length;
+  console.log(`\n• ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}${stale ? `, ${stale} expired` : ''}`);
+  return 0;
+}
+
+module.exports = { runSearchCache };
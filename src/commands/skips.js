@@ -0,0 +1,40 @@
+// --skips: list the items each pair could not match (negative-result memory in the pair cache).
+//   --given-up   only items that ran out of attempts
+const { loadConfig } = require('../util/config');
+const { configureStorage, loadCache } = require('../util/cache');
+const { skipsFor, describeSkip } = require('../util/skips');
+
+const DIRECTIONS = [['sp2yt', 'Spotify → YouTube'], ['yt2sp', 'YouTube → Spotify']];
+
+function runSkips(configPath, { givenUpOnly = false } = {}) {
+  const config = loadConfig(configPath);
+  configureStorage(config.storage);
+  let total = 0;
+  let givenUp = 0;
+
+  for (const pair of config.pairs) {
+    if (pair.placeholder) continue;
+    const cache = loadCache(pair);
+    const label = pair.nickname || `${pair.spotifyPlaylistId} ↔ ${pair.youtubePlaylistId}`;
+
+    for (const [direction, title] of DIRECTIONS) {
+      const entries = Object.entries(skipsFor(cache, direction))
+        .filter(([, e]) => !givenUpOnly || e.givenUp)
+        .sort(([, a], [, b]) => (b.lastAttemptAt || '').localeCompare(a.lastAttemptAt || ''));
+      if (!entries.length) continue;
+
+      console.log(`\n[${label}] ${title}: ${entries.length} skipped`);
+      for (const [id, e] of entries) {
+        console.log(`  ${e.givenUp ? '✖' : '~'} ${e.title}  (${id})`);
+        console.log(`      ${describeSkip(e, pair.skipMaxAttempts)}; first skipped ${e.firstSkippedAt.slice(0, 10)}`);
+      }
+      total += entries.length;
+      givenUp += entries.filter(([, e]) => e.givenUp).length;
+    }
+  }
+
+  console.log(total ? `\n• ${total} skipped item(s), ${givenUp} given up` : '✅ No skipped items');
+  return 0;
+}
+
+module.exports = { runSkips };
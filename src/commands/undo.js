@@ -0,0 +1,183 @@
+// undo: take back what one sync run added, using the journal (see util/journal.js).
+//   undo                  list recent runs that added something
+//   undo --run=<id|last>  remove that run's additions and restore the cache mappings it changed
+//   --dry-run             show what would be undone
+// Every reverted entry is journaled as 'undone', so an interrupted undo (quota, errors) can
+// simply be run again. Removals made by a run are not restored. A video whose Spotify add is
+// undone is remembered as a given-up YT→SP skip, so the next sync does not add it again.
+const { loadConfig } = require('../util/config');
+const { configureStorage, pairKey, loadCache, saveCache } = require('../util/cache');
+const { DEFAULT_DAILY_BUDGET, COSTS, setQuotaBudget, canAfford, formatQuota } = require('../util/quota');
+const { QuotaExceededError } = require('../util/retry');
+const { giveUpSkip } = require('../util/skips');
+const { createLogger } = require('../util/logger');
+const { newRunId, beginJournalRun, endJournalRun, journal, entryRef, readJournal } = require('../util/journal');
+const { LockedError, cacheLockName, withLock } = require('../util/lock');
+const { getSpotify } = require('../auth/spotifyAuth');
+const { getYouTube } = require('../auth/youtubeAuth');
+const { removeTracksFromPlaylist } = require('../clients/spotify');
+const { removeFromPlaylist } = require('../clients/youtube');
+
+const HISTORY_LIMIT = 10;
+const runLog = createLogger(null); // lines that are not about one pair
+const UNDOABLE_OPS = new Set(['youtube.insert', 'spotify.add', 'map']);
+
+function summarize(entries) {
+  const count = op => entries.filter(e => e.op === op).length;
+  return `${count('youtube.insert')} YouTube add(s), ${count('spotify.add')} Spotify add(s), ${count('map')} mapping change(s)`;
+}
+
+function printHistory(entries, undone) {
+  const runs = new Map();
+  for (const e of entries) {
+    if (!UNDOABLE_OPS.has(e.op)) continue;
+    if (!runs.has(e.runId)) runs.set(e.runId, []);
+    runs.get(e.runId).push(e);
+  }
+  if (!runs.size) {
+    runLog('• The journal is empty: no run has added anything yet.');
+    return;
+  }
+  const recent = Array.from(runs.entries()).slice(-HISTORY_LIMIT).reverse();
+  runLog(`• Last ${recent.length} run(s) with additions (newest first):`);
+  for (const [runId, runEntries] of recent) {
+    const open = runEntries.filter(e => !undone.has(entryRef(e)));
+    const state = !open.length ? '  [undone]' : open.length < runEntries.length ? '  [partly undone]' : '';
+    runLog(`  ${runId}  ${summarize(runEntries)}${state}`);
+  }
+  runLog('\nUndo one with: node src/index.js undo --run=<id>   (or --run=last)');
+}
+
+// The pair an entry belongs to. Older "map" entries only name the Spotify playlist; a
+// pair that left config.json is rebuilt from the entry's IDs.
+function pairFor(config, e) {
+  return config.pairs.find(p => p.spotifyPlaylistId === e.spotifyPlaylistId &&
+    (!e.youtubePlaylistId || p.youtubePlaylistId === e.youtubePlaylistId)) ||
+    { spotifyPlaylistId: e.spotifyPlaylistId, youtubePlaylistId: e.youtubePlaylistId };
+}
+
+function labelFor(pair) {
+  return pair.nickname || pairKey(pair);
+}
+
+// Reverts one pair's entries, newest first. Returns false when it had to stop early.
+async function undoPairEntries({ pair, entries, dryRun, clients }) {
+  const spId = pair.spotifyPlaylistId;
+  const log = createLogger(labelFor(pair));
+  const cache = loadCache(pair);
+  if (!cache.map) cache.map = {};
+  const done = e => { if (!dryRun) journal('undone', { ref: entryRef(e) }); };
+
+  try {
+    for (const e of entries.slice().reverse()) {
+      if (e.op === 'youtube.insert') {
+        if (!e.playlistItemId) {
+          log.warn(`  ! ${e.videoId}: no playlistItem ID was recorded — remove it by hand`);
+          continue;
+        }
+        if (!canAfford(COSTS['playlistItems.delete'])) {
+          log.warn('⛔ YouTube quota budget reached — run undo again tomorrow to finish');
+          return false;
+        }
+        if (!dryRun && !(await removeFromPlaylist(await clients.yt(), e.playlistItemId))) {
+          log(`  • ${e.videoId} was already gone from YouTube`);
+        }
+        log(`  ${dryRun ? '• Would remove' : '✔ Removed'} → ${e.videoId} from YouTube`);
+      } else if (e.op === 'spotify.add') {
+        // Removes every occurrence; the track was not in the playlist before this run added it
+        if (!dryRun) {
+          await removeTracksFromPlaylist(await clients.sp(), spId, [e.spTrackId]);
+          giveUpSkip(cache, 'yt2sp', e.videoId, { title: e.title || e.videoId, reason: 'undone' });
+        }
+        log(`  ${dryRun ? '• Would remove' : '✔ Removed'} → spotify:track:${e.spTrackId} from Spotify (${e.videoId} won't be synced again)`);
+      } else if (e.op === 'map') {
+        const current = cache.map[e.spTrackId] ?? null;
+        if (current !== e.after) {
+          log(`  • Mapping of ${e.spTrackId} changed since that run (now ${current || 'none'}) — left as is`);
+        } else {
+          if (!dryRun) {
+            if (e.before == null) delete cache.map[e.spTrackId];
+            else cache.map[e.spTrackId] = e.before;
+          }
+          log(`  ${dryRun ? '• Would restore' : '✔ Restored'} mapping of ${e.spTrackId} → ${e.before || 'none'}`);
+        }
+      }
+      done(e);
+    }
+    return true;
+  } catch (err) {
+    if (!(err instanceof QuotaExceededError)) throw err;
+    log.warn(`⛔ ${err.message} — run undo again later to finish`);
+    return false;
+  } finally {
+    // Mappings restored so far are kept even when a later removal fails
+    if (!dryRun) saveCache(pair, cache);
+  }
+}
+
+// Clients are only built when something actually has to be removed
+function lazyClients() {
+  let sp = null;
+  let yt = null;
+  return { sp: async () => (sp ||= await getSpotify()), yt: async () => (yt ||= await getYouTube()) };
+}
+
+async function runUndo(configPath, { runId, dryRun = false, clients = lazyClients() } = {}) {
+  const entries = readJournal();
+  const undone = new Set(entries.filter(e => e.op === 'undone').map(e => e.ref));
+
+  if (!runId) {
+    printHistory(entries, undone);
+    return 0;
+  }
+
+  const undoable = entries.filter(e => UNDOABLE_OPS.has(e.op));
+  const target = runId === 'last' ? undoable[undoable.length - 1]?.runId : runId;
+  const runEntries = undoable.filter(e => e.runId === target);
+  if (!runEntries.length) {
+    runLog.error(`❌ No additions recorded for run "${runId}". Run "undo" without --run to list runs.`);
+    return 1;
+  }
+  const pending = runEntries.filter(e => !undone.has(entryRef(e)));
+  if (!pending.length) {
+    runLog(`✅ Run ${target} was already undone.`);
+    return 0;
+  }
+
+  const config = loadConfig(configPath);
+  setQuotaBudget(config.youtubeQuotaBudget ?? DEFAULT_DAILY_BUDGET);
+  configureStorage(config.storage);
+  runLog(`• Undoing run ${target}: ${summarize(pending)}${dryRun ? ' [DRY-RUN]' : ''}`);
+
+  const byPair = new Map(); // pairKey → { pair, entries }
+  for (const e of pending) {
+    const pair = pairFor(config, e);
+    const key = pairKey(pair);
+    if (!byPair.has(key)) byPair.set(key, { pair, entries: [] });
+    byPair.get(key).entries.push(e);
+  }
+
+  let complete = true;
+  beginJournalRun(newRunId());
+  try {
+    for (const [key, { pair, entries: pairEntries }] of byPair) {
+      try {
+        const undoPair = () => undoPairEntries({ pair, entries: pairEntries, dryRun, clients });
+        complete = (await withLock(cacheLockName(key), `Cache of ${labelFor(pair)}`, undoPair)) && complete;
+      } catch (e) {
+        if (!(e instanceof LockedError)) throw e;
+        runLog.error(`❌ ${e.message} — skipping its entries`);
+        complete = false;
+      }
+    }
+  } finally {
+    endJournalRun();
+  }
+
+  runLog(`\n• ${formatQuota()}`);
+  if (dryRun) runLog('• DRY-RUN: nothing was changed.');
+  else runLog(complete ? `✅ Run ${target} undone.` : `⚠️  Run ${target} partly undone — run the same command again to finish.`);
+  return complete ? 0 : 1;
+}
+
+module.exports = { runUndo };
@@ -0,0 +1,29 @@
+// --validate-config: check config.json and report problems (exit code 1 on errors).
+const { loadConfig, ConfigError } = require('../util/config');
+
+function runValidateConfig(configPath) {
+  let warnings = [];
+  let problems = [];
+  let pairCount = 0;
+  try {
+    const config = loadConfig(configPath);
+    warnings = config.warnings;
+    pairCount = config.pairs.filter(p => !p.placeholder).length;
+  } catch (e) {
+    if (!(e instanceof ConfigError)) throw e;
+    problems = e.problems;
+    warnings = e.warnings;
+  }
+
+  for (const w of warnings) console.log(`⚠️  ${w}`);
+  for (const p of problems) console.log(`❌ ${p}`);
+
+  if (problems.length) {
+    console.log(`\n${problems.length} problem(s) in ${configPath}`);
+    return 1;
+  }
+  console.log(`✅ ${configPath} is valid (${pairCount} configured pair(s)${warnings.length ? `, ${warnings.length} warning(s)` : ''})`);
+  return 0;
+}
+
+module.exports = { runValidateConfig };
@@ -0,0 +1,121 @@
+// --watch: keep syncing on a schedule instead of exiting after one run.
+// Each pair runs every "watchIntervalMinutes". A run that changes nothing doubles the pair's
+// wait, up to BACKOFF_MAX_FACTOR × its interval; a run with changes resets it. When the
+// YouTube quota can't cover a single lookup, runs that search YouTube wait until the quota day
+// rolls over; YT→SP-only pairs only read their YouTube playlist and keep running.
+// Every run takes the sync lock, so a cron run or a second daemon never overlaps with it.
+// SIGINT/SIGTERM finish the in-flight pair, then exit; a second signal exits at once.
+const { addLogSink, createLogger } = require('../util/logger');
+const { SYNC_LOCK, tryLock, describeHolder } = require('../util/lock');
+const { COSTS, SEARCH_UNITS, quotaDay, quotaRemaining } = require('../util/quota');
+
+const MINUTE_MS = 60 * 1000;
+const BACKOFF_MAX_FACTOR = 8;
+const LOCK_RETRY_MS = MINUTE_MS;        // another sync is running
+const QUOTA_RECHECK_MS = 15 * MINUTE_MS; // quota too low to run
+
+function formatWait(ms) {
+  const minutes = Math.round(ms / MINUTE_MS);
+  return minutes >= 120 ? `${(minutes / 60).toFixed(1)} h` : `${minutes} min`;
+}
+
+// Quota one run of a pair needs before it is worth starting
+function quotaNeeded(mode) {
+  return mode === 'yt2sp' ? COSTS['playlistItems.list'] : SEARCH_UNITS;
+}
+
+// pairs: resolved config pairs; modeOf(pair) is the mode a pair runs in ('sp2yt' | 'yt2sp' | 'both');
+// runPair(pair) syncs one pair in that mode (reporting and summary are up to the caller);
+// labelOf(pair) names a pair in the log
+async function runWatch({ pairs, modeOf, runPair, labelOf }) {
+  const log = createLogger('watch');
+  const schedule = pairs.map(pair => ({ pair, nextRunAt: Date.now(), factor: 1 }));
+  let stopping = false;
+  let wake = null;
+
+  const onSignal = signal => {
+    if (stopping) {
+      log.warn(`${signal} again — exiting now`);
+      process.exit(130);
+    }
+    stopping = true;
+    log.warn(`⏹  ${signal} received — finishing the current pair, then exiting (send it again to exit now)`);
+    if (wake) wake();
+  };
+  const sleep = ms => new Promise(resolve => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      wake = null;
+      resolve();
+    }
+    wake = done;
+  });
+
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+  log(`👀 Watching ${pairs.length} pair(s): ${pairs.map(p => `${labelOf(p)} (${modeOf(p)}) every ${p.watchIntervalMinutes} min`).join(', ')}`);
+
+  let quotaPausedOn = null; // quota day on which runs were paused for lack of quota
+  try {
+    while (!stopping) {
+      let due = schedule.filter(s => s.nextRunAt <= Date.now()).sort((a, b) => a.nextRunAt - b.nextRunAt);
+      if (!due.length) {
+        await sleep(Math.max(1000, Math.min(...schedule.map(s => s.nextRunAt)) - Date.now()));
+        continue;
+      }
+
+      const remaining = quotaRemaining();
+      const starved = due.filter(s => remaining < quotaNeeded(modeOf(s.pair)));
+      if (starved.length) {
+        if (quotaPausedOn !== quotaDay()) {
+          quotaPausedOn = quotaDay();
+          log.warn(`⏸  YouTube quota budget nearly used up — pausing ${starved.map(s => labelOf(s.pair)).join(', ')} until it resets (midnight Pacific time)`);
+        }
+        for (const s of starved) s.nextRunAt = Date.now() + QUOTA_RECHECK_MS;
+        due = due.filter(s => !starved.includes(s));
+        if (!due.length) continue;
+      } else {
+        quotaPausedOn = null;
+      }
+
+      const lock = tryLock(SYNC_LOCK);
+      if (!lock.release) {
+        log.warn(`🔒 Another sync is running (${describeHolder(lock.holder)}) — retrying in a minute`);
+        for (const s of due) s.nextRunAt = Date.now() + LOCK_RETRY_MS;
+        continue;
+      }
+
+      try {
+        for (const s of due) {
+          if (stopping) break;
+          let changes = 0;
+          const removeSink = addLogSink(record => {
+            if (record.event === 'applied') changes += 1;
+          });
+          try {
+            await runPair(s.pair);
+          } catch (e) {
+            log.error(`❌ ${labelOf(s.pair)} failed: ${e.message}`);
+          } finally {
+            removeSink();
+          }
+
+          s.factor = changes ? 1 : Math.min(s.factor * 2, BACKOFF_MAX_FACTOR);
+          const wait = s.pair.watchIntervalMinutes * MINUTE_MS * s.factor;
+          s.nextRunAt = Date.now() + wait;
+          log.event('scheduled', { target: labelOf(s.pair), changes, nextRunAt: new Date(s.nextRunAt).toISOString() },
+            `• ${labelOf(s.pair)}: ${changes} change(s) — next run in ${formatWait(wait)}${s.factor > 1 ? ` (backed off ×${s.factor})` : ''}`);
+        }
+      } finally {
+        lock.release();
+      }
+    }
+  } finally {
+    process.off('SIGINT', onSignal);
+    process.off('SIGTERM', onSignal);
+  }
+  log('👋 Watch stopped.');
+}
+
+module.exports = { runWatch };
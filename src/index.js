@@ -5,6 +5,21 @@
 //   --mode=both   | --both
 //   --mode=sp2yt  | --sp2yt
 //   --mode=yt2sp  | --yt2sp
+//   --validate-config   check config.json and exit (non-zero on problems)
+//   --search-cache[=list|purge] [--match=<text>] [--expired]   inspect/clear cached searches
+//   --skips [--given-up]   list items the matcher could not place (retried on a backoff)
+//   --review   approve/reject borderline matches queued by the score thresholds
+//   --interactive   approve each planned add/map/remove before it is applied
+//   --plan-out=<file>     write the run's plan as JSON (usually with --dry-run)
+//   --apply-plan=<file>   apply a saved plan without searching; stale entries are refused
+//   --log-level=debug|info|warn|error   (default info; debug with --verbose)
+//   --log-format=text|json              json: one event object per line, for cron
+// Every sync run also writes a report to .cache/runs/<run id>.json.
+//   undo [--run=<id|last>] [--dry-run]   list runs / take back one run's additions (journal)
+//   cache [list|show|unmap|remap|reset|verify] [--pair=…] [--track=…] [--video=…]   inspect/repair sync state
+//   migrate-cache [--force] [--dry-run]   import cache files from before state was kept per pair
+//   eval <dataset.json> [--pair=<nickname>] [--baseline=<file>]   score both matchers on a labeled golden set
+//   --watch   keep syncing each pair every "watchIntervalMinutes", in its own direction or --mode (Ctrl-C to stop)
 // If no mode passed and interactive TTY: shows a 1/2/3/4/5 menu.
 //
 // BOTH tweak:
@@ -13,7 +28,18 @@
 //
 // Adds are applied **backwards** (oldest→newest).
 // Per-pair "nickname" prefix in all logs.
-// NEW: --verbose prints YT→SP reasoning (orientation, queries, top candidates, etc.)
+// NEW: --verbose prints the matchers' reasoning in both directions: failed hard filters and
+//      per-feature scores of the candidates (util/scoring.js), plus YT→SP orientation and
+//      what each SP→YT filter saw (duration Δ, version word, missing title words)
+// NEW: SP→YT searches several queries (title without release suffixes, "official audio",
+//      Topic, every credited artist) until a confident match, within matching.maxQueries
+//      and the quota budget.
+// NEW: per-pair "syncRemovals": true propagates removals through cache.map
+//      (SP→YT deletes the mapped video, YT→SP removes the mapped track).
+// NEW: --backfill (or per-pair "backfill": true) walks the whole source playlist
+//      in chunks, checkpointing progress in the cache so it can resume.
+// NEW: per-pair settings (direction, recent windows, slack, matching thresholds)
+//      are validated at startup by util/config.js.
 
 require('dotenv').config();
 const readline = require('readline');
@@ -246,7 +272,15 @@ async function runYouTubeTokenScript() {
 }
 
 // ---- Imports from your clients (keep index.js lean) ----
-const CONFIG = require('../config.json');
+const { loadConfig, pairRunsDirection, ConfigError } = require('./util/config');
+const { runValidateConfig } = require('./commands/validateConfig');
+const { runSearchCache } = require('./commands/searchCache');
+const { runSkips } = require('./commands/skips');
+const { runReview } = require('./commands/review');
+const { runUndo } = require('./commands/undo');
+const { runMigrateCache } = require('./commands/migrateCache');
+const { runCache } = require('./commands/cache');
+const { runEval } = require('./commands/eval');
 const { getSpotify } = require('./auth/spotifyAuth');
 const { getYouTube } = require('./auth/youtubeAuth');
 
@@ -255,23 +289,75 @@ const {
   getAllPlaylistItems,
   findSoftDupeInSpotify,
   findBestSpotifyForYouTubeVideo,
-  addTracksToPlaylist
+  addTracksToPlaylist,
+  removeTracksFromPlaylist
 } = require('./clients/spotify');
 
 const {
   // YOUTUBE client
   getYouTubePlaylistItems,
   findBestYouTubeForSpotifyTrack,
+  hasCachedSearchFor,
   insertIntoPlaylist,
+  removeFromPlaylist,
   findSoftDupeInPlaylist
 } = require('./clients/youtube');
 
-const { loadCache, saveCache } = require('./util/cache');
+const { configureStorage, pairKey, loadCache, saveCache, CacheError } = require('./util/cache');
+const { QuotaExceededError, getApiStats, resetApiStats, formatApiStats } = require('./util/retry');
+const { COSTS, SEARCH_UNITS, DEFAULT_DAILY_BUDGET, setQuotaBudget, canAfford, quotaUsedToday, formatQuota } = require('./util/quota');
+const { DEFAULT_TTL_DAYS, setSearchCacheTtl, flushSearchCache } = require('./util/searchCache');
+const { NO_OVERRIDES, isBlockedVideo, isBlockedTrack, isRejectedMatch } = require('./util/overrides');
+const { skipsFor, getSkip, isRetryDue, recordSkip, clearSkip, pruneSkips, describeSkip } = require('./util/skips');
+const { judgeScore, getQueued, enqueueReview, dequeueReview, pruneReviewQueue } = require('./util/reviewQueue');
+const { approvePlan } = require('./util/planApproval');
+const { createPrompt } = require('./util/prompt');
+const { configureLogging, createLogger } = require('./util/logger');
+const { startRunReport } = require('./util/runReport');
+const { newRunId, beginJournalRun, endJournalRun, journal } = require('./util/journal');
+const { SYNC_LOCK, LockedError, cacheLockName, tryLock, withLock, describeHolder } = require('./util/lock');
+const { runWatch } = require('./commands/watch');
+const {
+  PlanFileError,
+  createPlanRecorder,
+  writePlanFile,
+  readPlanFile,
+  resolveSp2YtEntry,
+  resolveYt2SpEntry,
+  describeSavedEntry
+} = require('./util/planFile');
 
 // ---- Small local helpers & constants ----
-const DEFAULT_DURATION_SLACK_SEC = 7;
-const RECENT_SPOTIFY_LIMIT = 10; // only inspect last-L from Spotify when doing SP→YT
-const RECENT_YOUTUBE_LIMIT = 10; // only inspect last-L from YouTube when doing YT→SP
+const CONFIG_PATH = path.join(__dirname, '..', 'config.json');
+const runLog = createLogger(null); // run-wide lines (no pair prefix)
+
+// Value of a --flag=value argument, or null
+function argValue(flag) {
+  const arg = args.find(a => a.startsWith(`${flag}=`));
+  return arg ? arg.slice(flag.length + 1) : null;
+}
+
+// Real API clients, unless the caller injects its own ({ sp, yt }, e.g. the fakes in test/)
+async function connectClients(clients) {
+  if (clients) return clients;
+  const [sp, yt] = await Promise.all([getSpotify(), getYouTube()]);
+  return { sp, yt };
+}
+
+// Load (and validate) config.json and apply its global settings
+function loadSyncConfig() {
+  return applySyncConfig(loadConfig(CONFIG_PATH));
+}
+
+// Global settings of a parsed config (quota budget, search cache TTL, storage)
+function applySyncConfig(config) {
+  for (const w of config.warnings) runLog.warn(`⚠️  ${w}`);
+  setQuotaBudget(config.youtubeQuotaBudget ?? DEFAULT_DAILY_BUDGET);
+  setSearchCacheTtl(config.searchCacheTtlDays ?? DEFAULT_TTL_DAYS);
+  configureStorage(config.storage);
+  return config;
+}
+const BACKFILL_CHUNK_SIZE = 25;  // backfill checkpoints the cache after every chunk
 
 function isAfter(aIso, bIso) {
   if (!aIso) return false;
@@ -293,315 +379,1311 @@ function makePairLabel(pair) {
   return `sp:${spShort}→yt:${ytShort}`;
 }
 function makeLogger(label) {
-  return (...args) => console.log(`[${label}]`, ...args);
+  return createLogger(label);
 }
 
-// ====================== SPOTIFY → YOUTUBE ======================
-async function runSp2Yt({ dryRun, verbose }) {
-  const [sp, yt] = await Promise.all([getSpotify(), getYouTube()]);
+// Structured fields for a plan entry of either direction (log events, run report)
+function planEventFields(direction, p) {
+  const sp2yt = direction === MODES.SP2YT;
+  let source;
+  if (p.action === 'remove') source = sp2yt ? p.spTrackId : p.videoId;
+  else source = sp2yt ? p.s.id : p.v.id;
+  return {
+    direction,
+    action: p.action,
+    source,
+    target: (sp2yt ? p.videoId : p.spTrackId) || null,
+    reason: p.reason || null,
+    score: p.score ?? null,
+    escalated: !!p.escalated,
+    remembered: !!p.remembered
+  };
+}
 
-  let addedCountTotal = 0; // returned for BOTH-mode bump
+// Time and API calls of one pair's run in one direction, reported as a pair_end event
+function startPairRun(log, direction) {
+  const startedAt = Date.now();
+  const before = getApiStats();
+  log.event('pair_start', { direction });
+  return () => {
+    const after = getApiStats();
+    const apiCalls = {};
+    for (const [service, { calls }] of Object.entries(after)) {
+      apiCalls[service] = calls - (before[service]?.calls || 0);
+    }
+    log.event('pair_end', { direction, durationMs: Date.now() - startedAt, apiCalls });
+  };
+}
 
-  for (const pair of CONFIG.pairs) {
-    const spId = pair.spotifyPlaylistId;
-    const ytId = pair.youtubePlaylistId;
-    const label = makePairLabel(pair);
-    const log = makeLogger(label);
+// Runs fn(cache) with the pair's cache file locked and loaded. A cache another process
+// holds, or one that can't be parsed, skips the pair (exit code 1) instead of the whole run.
+async function withPairCache(pair, log, fn) {
+  try {
+    return await withLock(cacheLockName(pairKey(pair)), `Cache of ${pairKey(pair)}`, () => {
+      const cache = loadCache(pair); // { lastSync, seenTrackIds[], map{}, backfill{} }
+      if (!cache.map) cache.map = {};
+      return fn(cache);
+    });
+  } catch (e) {
+    if (!(e instanceof LockedError) && !(e instanceof CacheError)) throw e;
+    log.error(`❌ ${e.message} — skipping this pair`);
+    process.exitCode = 1;
+    return undefined;
+  }
+}
+
+// Backfill progress lives in cache.backfill[direction] = { startedAt, doneIds[], completedAt }.
+// Returns the active state (creating it when needed) or null when this run is a normal one.
+// An unfinished backfill always resumes; --backfill restarts a finished one; a per-pair
+// "backfill": true only starts one that never ran.
+function resolveBackfillState(cache, direction, { forced, optIn }) {
+  const state = cache.backfill?.[direction];
+  if (state && !state.completedAt) return state;
+  if (!forced && !(optIn && !state)) return null;
+  if (!cache.backfill) cache.backfill = {};
+  cache.backfill[direction] = { startedAt: new Date().toISOString(), doneIds: [], completedAt: null };
+  return cache.backfill[direction];
+}
+
+// Quota is gone for the day: keep the mappings recorded so far (the seen baseline was
+// not advanced, so unprocessed items are picked up again next run) and move on.
+function stopPairOnQuota({ pair, cache, log, dryRun, direction }, e) {
+  if (!dryRun) saveCache(pair, cache);
+  log.event('stopped', { direction, reason: 'quota', error: e.message },
+    `⛔ ${e.message} — stopping this pair; the rest waits for the next run`, 'warn');
+}
+
+// Record fresh misses in the negative-result memory (cache.skips), queue borderline
+// matches for review (cache.review) and forget both for items that matched
+function rememberOutcomes(cache, direction, plan, { idOf, titleOf, itemOf, targetOf, maxAttempts }) {
+  for (const p of plan) {
+    if (p.action === 'skip' && !p.remembered && !p.override) {
+      recordSkip(cache, direction, idOf(p), { title: titleOf(p), reason: p.reason }, { maxAttempts });
+    } else if (p.action === 'review') {
+      enqueueReview(cache, direction, idOf(p), { item: itemOf(p), proposed: targetOf(p), score: p.score, candidates: p.candidates });
+    } else if (p.action === 'add' || p.action === 'map-only') {
+      clearSkip(cache, direction, idOf(p));
+      dequeueReview(cache, direction, idOf(p));
+    }
+  }
+}
+
+// How rememberOutcomes reads a plan entry of either direction
+function outcomeKeysFor(direction, pair) {
+  if (direction === MODES.SP2YT) {
+    return {
+      idOf: p => p.s.id,
+      titleOf: p => `${p.s.artists[0] || ''} - ${p.s.title}`,
+      itemOf: p => ({ title: p.s.title, artists: p.s.artists, album: p.s.album, durationMs: p.s.durationMs }),
+      targetOf: p => p.videoId,
+      maxAttempts: pair.skipMaxAttempts
+    };
+  }
+  return {
+    idOf: p => p.v.id,
+    titleOf: p => p.v.title,
+    itemOf: p => ({ title: p.v.title, channelTitle: p.v.channelTitle, durationMs: p.v.durationMs }),
+    targetOf: p => p.spTrackId,
+    maxAttempts: pair.skipMaxAttempts
+  };
+}
+
+// Forget skips and queued reviews for items that left the source playlist
+function pruneOutcomes(cache, direction, presentIds) {
+  pruneSkips(cache, direction, presentIds);
+  pruneReviewQueue(cache, direction, presentIds);
+}
+
+// A pin replaces whatever else was mapped to the same video, so removal sync
+// never acts on the old (wrong) match
+function dropOtherMappings(cache, pair, spTrackId, videoId) {
+  for (const [k, vid] of Object.entries(cache.map)) {
+    if (vid === videoId && k !== spTrackId) setMapping(cache, pair, k, null);
+  }
+}
+
+// Mapping changes made by adds, maps and removals are journaled so `undo` can restore them
+function setMapping(cache, pair, spTrackId, videoId) {
+  const before = cache.map[spTrackId] ?? null;
+  if (before === videoId) return;
+  if (videoId == null) delete cache.map[spTrackId];
+  else cache.map[spTrackId] = videoId;
+  journal('map', { spotifyPlaylistId: pair.spotifyPlaylistId, youtubePlaylistId: pair.youtubePlaylistId, spTrackId, before, after: videoId });
+}
+
+// [spTrackId, videoId] pins the cache map does not reflect yet
+function unappliedPins(pair, cache) {
+  const ov = pair.overrides || NO_OVERRIDES;
+  return [...ov.videoForTrack].filter(([spTrackId, videoId]) => cache.map[spTrackId] !== videoId);
+}
 
-    if (!spId || !ytId || spId === 'SPOTIFY_PLAYLIST_ID' || ytId === 'YOUTUBE_PLAYLIST_ID') {
-      log('⚠️  Set real playlist IDs in config.json');
+// " (2 unavailable)" for private or deleted videos left in a playlist
+function describeUnavailable(ytItems) {
+  const n = ytItems.filter(v => v.unavailable).length;
+  return n ? ` (${n} unavailable: private or deleted)` : '';
+}
+
+// IDs whose skip backoff has elapsed (given-up items never come back on their own)
+function dueSkipIds(cache, direction) {
+  return Object.entries(skipsFor(cache, direction)).filter(([, e]) => isRetryDue(e)).map(([id]) => id);
+}
+
+// ====================== SPOTIFY → YOUTUBE ======================
+
+// Build the SP→YT plan for a list of Spotify items (newest-first, so apply can reverse it).
+async function planSp2Yt(ctx, items) {
+  const { yt, pair, cache, ytItems, ytVideoSet, syncRemovals, verbose, vlog } = ctx;
+  const ov = pair.overrides || NO_OVERRIDES;
+  const softDupePool = ytItems.filter(v => !v.unavailable && !isBlockedVideo(ov, v));
+  const plan = [];
+  for (const s of items) {
+    if (verbose) {
+      vlog(`→ Inspect SP: "${s.title}" by ${s.artists.join(', ') || 'unknown'} (${s.durationMs || '?'}ms)`);
+    }
+    if (ov.neverSyncTracks.has(s.id)) {
+      vlog('    marked never-sync in overrides — skip');
+      plan.push({ s, action: 'skip', reason: 'never_sync', override: true });
       continue;
     }
 
-    log(`🎯 Syncing Spotify (${spId}) → YouTube (${ytId}) ${dryRun ? '[DRY-RUN]' : ''}`);
+    // A pin wins over earlier mappings, soft-dupes and search
+    const mapped = cache.map[s.id];
+    const pinned = ov.videoForTrack.get(s.id);
+    if (pinned && (mapped !== pinned || (!ytVideoSet.has(pinned) && !syncRemovals))) {
+      vlog(`    pinned to ${pinned}`);
+      plan.push({ s, action: ytVideoSet.has(pinned) ? 'map-only' : 'add', videoId: pinned, reason: 'pinned', override: true });
+      continue;
+    }
 
-    const cache = loadCache(spId); // { lastSync, seenTrackIds[], map{} }
-    if (!cache.map) cache.map = {};
-    const seen = new Set(cache.seenTrackIds || []);
+    if (mapped && ytVideoSet.has(mapped)) {
+      vlog('    already mapped & present on YouTube — skip');
+      continue;
+    }
 
-    const [spItemsAll, ytItems] = await Promise.all([
-      getAllPlaylistItems(sp, spId),
-      getYouTubePlaylistItems(yt, ytId)
-    ]);
+    // With removal sync, a mapped video missing from YouTube was deleted there on purpose;
+    // the YT→SP leg propagates that, so don't re-add it here.
+    if (mapped && syncRemovals) {
+      vlog('    mapped-but-missing on YouTube → removed there; YT→SP propagates it — skip');
+      continue;
+    }
 
-    const ytVideoSet = new Set(ytItems.map(v => v.id));
+    // pre-add soft-dupe check in existing playlist (looser rules)
+    const softDupe = findSoftDupeInPlaylist(s, softDupePool.filter(v => !isRejectedMatch(ov, s.id, v.id)), {
+      jaccardMin: pair.matching.softDupeJaccardMin,
+      scoring: pair.scoring,
+      verbose,
+      log: msg => vlog(msg)
+    });
+    if (softDupe) {
+      plan.push({ s, action: 'map-only', videoId: softDupe.id, reason: 'soft-dup-in-playlist' });
+      continue;
+    }
 
-    // Only look at last L Spotify additions
-    const spItemsSorted = sortByAddedAtDesc(spItemsAll);
-    const spItems = spItemsSorted.slice(0, Math.min(RECENT_SPOTIFY_LIMIT, spItemsSorted.length));
+    if (getQueued(cache, MODES.SP2YT, s.id)) {
+      vlog('    waiting in the review queue — not searching');
+      plan.push({ s, action: 'skip', reason: 'awaiting_review', remembered: true });
+      continue;
+    }
 
-    log(`• Spotify tracks total: ${spItemsAll.length}`);
-    log(`• YouTube videos total: ${ytItems.length}`);
-    log(`• Limiting to last ${RECENT_SPOTIFY_LIMIT} Spotify additions → ${spItems.length} to inspect`);
+    // A remembered miss waits out its backoff instead of being searched again
+    const skipped = getSkip(cache, MODES.SP2YT, s.id);
+    if (!isRetryDue(skipped)) {
+      vlog(`    remembered skip (${describeSkip(skipped, pair.skipMaxAttempts)}) — not searching`);
+      plan.push({ s, action: 'skip', reason: describeSkip(skipped, pair.skipMaxAttempts), remembered: true });
+      continue;
+    }
 
-    // Determine candidates within last-L:
-    const candidates = [];
-    const firstRun = !cache.lastSync;
+    // Out of YouTube budget: leave the track for the next run instead of failing halfway.
+    // A cached search only needs room for the insert.
+    const cached = hasCachedSearchFor(s, { escalateK: pair.matching.escalateK });
+    if (!canAfford(cached ? COSTS['playlistItems.insert'] : SEARCH_UNITS)) {
+      vlog('    over the YouTube quota budget — deferred');
+      plan.push({ s, action: 'defer', reason: 'quota_budget' });
+      continue;
+    }
 
-    for (const it of spItems) {
-      const mapped = cache.map[it.id];
-      const addedRecently = isAfter(it.addedAt, cache.lastSync);
-      const unseen = !seen.has(it.id);
-      const mappedButMissing = mapped && !ytVideoSet.has(mapped);
+    // Find best candidate via search (K=topK, escalate→escalateK if needed)
+    const { best, reason, inspected, escalated, score, candidates } =
+      await findBestYouTubeForSpotifyTrack(yt, s, {
+        slackSec: pair.durationSlackSec,
+        topK: pair.matching.topK,
+        escalateK: pair.matching.escalateK,
+        maxQueries: pair.matching.maxQueries,
+        confidentScore: pair.matching.confidentScore,
+        exclude: c => isBlockedVideo(ov, c) || isRejectedMatch(ov, s.id, c.id),
+        scoring: pair.scoring,
+        verbose,
+        log: msg => vlog(msg)
+      });
+
+    if (!best) {
+      vlog(`    no best match (${reason}); inspected=${inspected}${escalated ? ', escalated' : ''}`);
+      plan.push({ s, action: 'skip', reason: reason || 'no_match', inspected, escalated });
+      continue;
+    }
 
-      if ((firstRun && (!mapped || mappedButMissing)) || addedRecently || unseen || mappedButMissing) {
-        candidates.push(it);
-      }
+    const verdict = judgeScore(pair.thresholds.sp2yt, score);
+    if (verdict === 'review') {
+      vlog(`    best: "${best.title}" score≈${score.toFixed(2)} below accept → REVIEW`);
+      plan.push({ s, action: 'review', videoId: best.id, score, candidates, inspected, escalated });
+    } else if (verdict === 'reject') {
+      vlog(`    best: "${best.title}" score≈${score.toFixed(2)} below review → SKIP`);
+      plan.push({ s, action: 'skip', reason: 'low_score', score, inspected, escalated });
+    } else if (ytVideoSet.has(best.id)) {
+      vlog(`    best: "${best.title}" [present in playlist] → MAP-ONLY`);
+      plan.push({ s, action: 'map-only', videoId: best.id, score, candidates, inspected, escalated });
+    } else {
+      vlog(`    best: "${best.title}" [NOT present] → ADD`);
+      plan.push({ s, action: 'add', videoId: best.id, score, candidates, inspected, escalated });
     }
+  }
+  return plan;
+}
 
-    log(`• Candidates to process (within last ${RECENT_SPOTIFY_LIMIT}): ${candidates.length}`);
+// Removals: mapped Spotify tracks that left the playlist take their video with them
+function planSp2YtRemovals(ctx, spItemsAll) {
+  const { cache, ytItems, log } = ctx;
+  const plan = [];
+  const staleMappings = [];
+  const spTrackIds = new Set(spItemsAll.map(i => i.id));
+  const removals = Object.entries(cache.map)
+    .filter(([spTrackId, videoId]) => videoId && !spTrackIds.has(spTrackId));
+  if (removals.length && !spItemsAll.length) {
+    log.warn('⚠️  Spotify playlist came back empty — refusing to propagate removals this run');
+    return { plan, staleMappings };
+  }
+  for (const [spTrackId, videoId] of removals) {
+    const entries = ytItems.filter(v => v.id === videoId);
+    if (!entries.length) {
+      staleMappings.push(spTrackId); // gone on both sides: just forget the mapping
+      continue;
+    }
+    plan.push({
+      action: 'remove',
+      spTrackId,
+      videoId,
+      v: entries[0],
+      playlistItemIds: entries.map(v => v.playlistItemId),
+      reason: 'removed-on-spotify'
+    });
+  }
+  return { plan, staleMappings };
+}
 
-    const plan = [];
-    for (const s of candidates) {
-      const mapped = cache.map[s.id];
-      if (mapped && ytVideoSet.has(mapped)) continue;
+function formatSp2YtEntry(p, escalateK, verbose) {
+  const labelEsc = p.escalated ? ` (escalated to ${escalateK})` : '';
+  const why = p.reason ? ` [${p.reason}]` : '';
+  const score = verbose && p.score != null ? ` [score≈${p.score.toFixed(2)}]` : '';
+  if (p.action === 'add') return `  + ADD  ${p.s.artists[0] || ''} - ${p.s.title}  →  ${p.videoId}${why}${labelEsc}${score}`;
+  if (p.action === 'map-only') return `  = MAP  ${p.s.artists[0] || ''} - ${p.s.title}  ↔  ${p.videoId}${why}${labelEsc}${score}`;
+  if (p.action === 'remove') return `  - DEL  ${p.v.title}  ✕  ${p.videoId} [${p.reason}]`;
+  if (p.action === 'defer') return `  … DEFER ${p.s.artists[0] || ''} - ${p.s.title}  (${p.reason})`;
+  if (p.action === 'review') {
+    return `  ? REVIEW ${p.s.artists[0] || ''} - ${p.s.title}  →  ${p.videoId} [score≈${p.score.toFixed(2)}]${labelEsc}`;
+  }
+  return `  ~ SKIP ${p.s.artists[0] || ''} - ${p.s.title}  (${p.reason})${labelEsc}`;
+}
 
-      // pre-add soft-dupe check in existing playlist (looser rules)
-      const softDupe = findSoftDupeInPlaylist(s, ytItems);
-      if (softDupe) {
-        plan.push({ s, action: 'map-only', videoId: softDupe.id, reason: 'soft-dup-in-playlist' });
-        continue;
-      }
+function printSp2YtPlan(log, plan, escalateK, verbose) {
+  if (!plan.length) {
+    log('  (Nothing to do)');
+    return;
+  }
+  for (const p of plan) log.event('planned', planEventFields(MODES.SP2YT, p), formatSp2YtEntry(p, escalateK, verbose));
+}
 
-      // Find best candidate via search (K=5, escalate→10 if needed)
-      const { best, reason, inspected, escalated } =
-        await findBestYouTubeForSpotifyTrack(yt, s, { slackSec: DEFAULT_DURATION_SLACK_SEC });
+// --interactive hooks: a picked candidate becomes a map when the video is already in the
+// playlist; rejected tracks are remembered as skips, unanswered ones deferred to the next run.
+function sp2ytApprovalHooks(ctx) {
+  const { pair, ytVideoSet, verbose } = ctx;
+  const toVideo = (p, videoId, reason) =>
+    ({ ...p, action: ytVideoSet.has(videoId) ? 'map-only' : 'add', videoId, reason });
+  return {
+    format: p => formatSp2YtEntry(p, pair.matching.escalateK, verbose),
+    formatCandidate: c => `${c.title} — ${c.channelTitle}  youtu.be/${c.id}`,
+    targetOf: p => p.videoId,
+    accept: p => (p.action === 'review' ? toVideo(p, p.videoId, 'approved') : p),
+    retarget: (p, c) => toVideo(p, c.id, 'picked'),
+    reject: p => (p.action === 'remove' ? null : { s: p.s, action: 'skip', reason: 'rejected', score: p.score }),
+    postpone: p => (p.action === 'remove' ? null : { s: p.s, action: 'defer', reason: 'not_reviewed' })
+  };
+}
 
-      if (!best) {
-        plan.push({ s, action: 'skip', reason: reason || 'no_match', inspected, escalated });
-        continue;
+// Apply — add **backwards** (oldest→newest). Returns how many videos were added
+// and which Spotify track IDs failed, so backfill can retry them next run.
+async function applySp2YtPlan(ctx, plan, staleMappings = []) {
+  const { yt, spId, ytId, pair, cache, ytVideoSet, log } = ctx;
+  const adds = plan.filter(p => p.action === 'add');
+  const maps = plan.filter(p => p.action === 'map-only');
+  const removes = plan.filter(p => p.action === 'remove');
+  const failedIds = new Set();
+  let added = 0;
+
+  for (const p of removes) {
+    try {
+      for (const playlistItemId of p.playlistItemIds) {
+        await removeFromPlaylist(yt, playlistItemId);
       }
+      ytVideoSet.delete(p.videoId);
+      setMapping(cache, pair, p.spTrackId, null);
+      log.event('applied', planEventFields(MODES.SP2YT, p), `  ✔ Removed → ${p.videoId}`);
+    } catch (e) {
+      if (e instanceof QuotaExceededError) throw e;
+      log.event('failed', { ...planEventFields(MODES.SP2YT, p), error: e.message }, `  ! Failed to remove ${p.v.title}: ${e.message}`, 'error');
+    }
+  }
+  for (const spTrackId of staleMappings) setMapping(cache, pair, spTrackId, null);
+
+  for (const p of adds.slice().reverse()) {
+    try {
+      const playlistItemId = await insertIntoPlaylist(yt, ytId, p.videoId);
+      journal('youtube.insert', { spotifyPlaylistId: spId, youtubePlaylistId: ytId, spTrackId: p.s.id, videoId: p.videoId, playlistItemId });
+      ytVideoSet.add(p.videoId);
+      if (p.reason === 'pinned') dropOtherMappings(cache, pair, p.s.id, p.videoId);
+      setMapping(cache, pair, p.s.id, p.videoId);
+      added += 1;
+      log.event('applied', planEventFields(MODES.SP2YT, p), `  ✔ Added → ${p.videoId}`);
+    } catch (e) {
+      if (e instanceof QuotaExceededError) throw e;
+      failedIds.add(p.s.id);
+      log.event('failed', { ...planEventFields(MODES.SP2YT, p), error: e.message }, `  ! Failed to add ${p.s.title}: ${e.message}`, 'error');
+    }
+  }
 
-      if (ytVideoSet.has(best.id)) {
-        plan.push({ s, action: 'map-only', videoId: best.id, inspected, escalated });
-      } else {
-        plan.push({ s, action: 'add', videoId: best.id, inspected, escalated });
-      }
+  for (const p of maps) {
+    try {
+      if (p.reason === 'pinned') dropOtherMappings(cache, pair, p.s.id, p.videoId);
+      setMapping(cache, pair, p.s.id, p.videoId);
+      log.event('applied', planEventFields(MODES.SP2YT, p), '  ✔ Mapped only');
+    } catch (e) {
+      failedIds.add(p.s.id);
+      log.event('failed', { ...planEventFields(MODES.SP2YT, p), error: e.message }, `  ! Failed to map ${p.s.title}: ${e.message}`, 'error');
     }
+  }
 
-    // Show plan
-    if (plan.length) {
-      for (const p of plan) {
-        const labelEsc = p.escalated ? ' (escalated to 10)' : '';
-        if (p.action === 'add') {
-          log(`  + ADD  ${p.s.artists[0] || ''} - ${p.s.title}  →  ${p.videoId}${labelEsc}`);
-        } else if (p.action === 'map-only') {
-          const why = p.reason ? ` [${p.reason}]` : '';
-          log(`  = MAP  ${p.s.artists[0] || ''} - ${p.s.title}  ↔  ${p.videoId}${why}${labelEsc}`);
-        } else {
-          log(`  ~ SKIP ${p.s.artists[0] || ''} - ${p.s.title}  (${p.reason})${labelEsc}`);
-        }
-      }
-    } else {
-      log('  (Nothing to do)');
-    }
-
-    // Apply — add **backwards** (oldest→newest)
-    let addedThisPair = 0;
-    if (!dryRun) {
-      const adds = plan.filter(p => p.action === 'add');
-      const maps = plan.filter(p => p.action === 'map-only');
-
-      for (const p of adds.slice().reverse()) {
-        try {
-          await insertIntoPlaylist(yt, ytId, p.videoId);
-          ytVideoSet.add(p.videoId);
-          cache.map[p.s.id] = p.videoId;
-          addedThisPair += 1;
-          log(`  ✔ Added → ${p.videoId}`);
-        } catch (e) {
-          log(`  ! Failed to add ${p.s.title}: ${e.message}`);
-        }
+  return { added, failedIds };
+}
+
+// One pair's SP→YT sync; returns how many videos were added on YouTube
+async function syncPairSp2Yt({ sp, yt, pair, cache, log, dryRun, verbose, backfill, prompt, planRecorder }) {
+  const spId = pair.spotifyPlaylistId;
+  const vlog = (...xs) => { if (verbose) log.debug(...xs); };
+  const sp2ytOutcomeKeys = outcomeKeysFor(MODES.SP2YT, pair);
+  const ytId = pair.youtubePlaylistId;
+  const syncRemovals = pair.syncRemovals;
+  const seen = new Set(cache.seenTrackIds || []);
+
+  const [spItemsAll, ytItems] = await Promise.all([
+    getAllPlaylistItems(sp, spId),
+    getYouTubePlaylistItems(yt, ytId)
+  ]);
+
+  const ytVideoSet = new Set(ytItems.map(v => v.id));
+  const ctx = { yt, spId, ytId, pair, cache, ytItems, ytVideoSet, syncRemovals, verbose, vlog, log };
+  const ytTitleLookup = id => ytItems.find(v => v.id === id);
+
+  log(`• Spotify tracks total: ${spItemsAll.length}`);
+  log(`• YouTube videos total: ${ytItems.length}${describeUnavailable(ytItems)}`);
+
+  const removals = syncRemovals ? planSp2YtRemovals(ctx, spItemsAll) : { plan: [], staleMappings: [] };
+
+  let addedThisPair = 0;
+  const backfillState = resolveBackfillState(cache, MODES.SP2YT, { forced: backfill, optIn: pair.backfill });
+
+  if (backfillState) {
+    // Walk the whole playlist oldest→newest in chunks, checkpointing after each one
+    const done = new Set(backfillState.doneIds);
+    const pending = sortByAddedAtDesc(spItemsAll).reverse().filter(it => !done.has(it.id));
+    log(`• BACKFILL: ${done.size} done, ${pending.length} remaining (chunks of ${BACKFILL_CHUNK_SIZE})`);
+
+    let stopped = false;
+    // Removals ride along with the first chunk, so there is always at least one pass
+    for (let i = 0; i < Math.max(pending.length, 1); i += BACKFILL_CHUNK_SIZE) {
+      const chunk = pending.slice(i, i + BACKFILL_CHUNK_SIZE);
+      if (chunk.length) log(`• Backfill chunk ${i / BACKFILL_CHUNK_SIZE + 1}: ${chunk.length} tracks`);
+
+      // Plans are built newest-first so the apply step can reverse them
+      let plan = await planSp2Yt(ctx, sortByAddedAtDesc(chunk));
+      if (i === 0) plan.push(...removals.plan);
+      printSp2YtPlan(log, plan, pair.matching.escalateK, verbose);
+      if (prompt) plan = await approvePlan(prompt, plan, sp2ytApprovalHooks(ctx), log);
+      if (planRecorder) planRecorder.add(pair, MODES.SP2YT, plan, ytTitleLookup);
+
+      if (dryRun) {
+        log('• DRY-RUN: showing the first backfill chunk only. Run without --dry-run to sync.');
+        stopped = true;
+        break;
       }
 
-      for (const p of maps) {
-        try {
-          cache.map[p.s.id] = p.videoId;
-          log('  ✔ Mapped only');
-        } catch (e) {
-          log(`  ! Failed to map ${p.s.title}: ${e.message}`);
-        }
+      const { added, failedIds } = await applySp2YtPlan(ctx, plan, i === 0 ? removals.staleMappings : []);
+      const deferredIds = new Set(plan.filter(p => p.action === 'defer').map(p => p.s.id));
+      rememberOutcomes(cache, MODES.SP2YT, plan, sp2ytOutcomeKeys);
+      addedThisPair += added;
+      for (const it of chunk) {
+        if (!failedIds.has(it.id) && !deferredIds.has(it.id)) backfillState.doneIds.push(it.id);
       }
+      saveCache(pair, cache); // checkpoint
+      if (failedIds.size || deferredIds.size) {
+        const why = !deferredIds.size ? `${failedIds.size} failure(s)`
+          : plan.some(p => p.reason === 'quota_budget') ? 'the YouTube quota budget was reached'
+          : 'some tracks were left for later';
+        log(`• Backfill paused because ${why}; it resumes from here next run.`);
+        stopped = true;
+        break;
+      }
+    }
 
-      // Update baseline: mark ALL current Spotify tracks as seen so backlog is ignored
-      const newSeen = Array.from(new Set([...seen, ...spItemsAll.map(i => i.id)]));
-      cache.seenTrackIds = newSeen;
+    if (!stopped) {
+      backfillState.completedAt = new Date().toISOString();
+      backfillState.doneIds = []; // the seen baseline covers everything from here on
+      cache.seenTrackIds = Array.from(new Set([...seen, ...spItemsAll.map(i => i.id)]));
       cache.lastSync = new Date().toISOString();
-      saveCache(spId, cache);
-      log(`• Cache updated. (+${addedThisPair} additions on YouTube)`);
-    } else {
-      log('• DRY-RUN: no changes applied. Run without --dry-run to sync.');
+      saveCache(pair, cache);
+      log(`• Backfill complete. (+${addedThisPair} additions on YouTube)`);
     }
 
-    addedCountTotal += addedThisPair;
+    return addedThisPair;
   }
 
-  return { addedCount: addedCountTotal };
+  // Only look at last L Spotify additions
+  const recentLimit = pair.recentSpotifyLimit;
+  const spItemsSorted = sortByAddedAtDesc(spItemsAll);
+  const spItems = spItemsSorted.slice(0, Math.min(recentLimit, spItemsSorted.length));
+
+  log(`• Limiting to last ${recentLimit} Spotify additions → ${spItems.length} to inspect`);
+
+  // Determine candidates within last-L:
+  const candidates = [];
+  const firstRun = !cache.lastSync;
+
+  for (const it of spItems) {
+    const mapped = cache.map[it.id];
+    const addedRecently = isAfter(it.addedAt, cache.lastSync);
+    const unseen = !seen.has(it.id);
+    const mappedButMissing = mapped && !ytVideoSet.has(mapped);
+
+    if ((firstRun && (!mapped || mappedButMissing)) || addedRecently || unseen || mappedButMissing) {
+      candidates.push(it);
+    }
+  }
+
+  // Tracks deferred by the quota budget, remembered misses whose backoff elapsed and
+  // new pins are handled wherever they sit in the playlist
+  const retryIds = new Set([
+    ...(cache.deferredTrackIds || []),
+    ...dueSkipIds(cache, MODES.SP2YT),
+    ...unappliedPins(pair, cache).map(([spTrackId]) => spTrackId)
+  ]);
+  for (const it of spItemsAll) {
+    if (retryIds.has(it.id) && !candidates.includes(it)) candidates.push(it);
+  }
+
+  log(`• Candidates to process (within last ${recentLimit}${retryIds.size ? `, plus retries` : ''}): ${candidates.length}`);
+
+  let plan = await planSp2Yt(ctx, sortByAddedAtDesc(candidates));
+  plan.push(...removals.plan);
+
+  // Show plan
+  printSp2YtPlan(log, plan, pair.matching.escalateK, verbose);
+  if (prompt) plan = await approvePlan(prompt, plan, sp2ytApprovalHooks(ctx), log);
+  if (planRecorder) planRecorder.add(pair, MODES.SP2YT, plan, ytTitleLookup);
+
+  // Apply
+  if (!dryRun) {
+    const { added } = await applySp2YtPlan(ctx, plan, removals.staleMappings);
+    addedThisPair += added;
+
+    rememberOutcomes(cache, MODES.SP2YT, plan, sp2ytOutcomeKeys);
+    pruneOutcomes(cache, MODES.SP2YT, spItemsAll.map(i => i.id));
+
+    const deferredNow = plan.filter(p => p.action === 'defer');
+    cache.deferredTrackIds = deferredNow.map(p => p.s.id);
+    const overBudget = deferredNow.filter(p => p.reason === 'quota_budget').length;
+    const notReviewed = deferredNow.length - overBudget;
+    if (overBudget) log.warn(`• YouTube quota budget reached — ${overBudget} track(s) deferred to the next run`);
+    if (notReviewed) log(`• ${notReviewed} track(s) left unreviewed — they come up again next run`);
+
+    // Update baseline: mark ALL current Spotify tracks as seen so backlog is ignored
+    const newSeen = Array.from(new Set([...seen, ...spItemsAll.map(i => i.id)]));
+    cache.seenTrackIds = newSeen;
+    cache.lastSync = new Date().toISOString();
+    saveCache(pair, cache);
+    log(`• Cache updated. (+${addedThisPair} additions on YouTube)`);
+  } else {
+    log('• DRY-RUN: no changes applied. Run without --dry-run to sync.');
+  }
+
+  return addedThisPair;
 }
 
-// ====================== YOUTUBE → SPOTIFY ======================
-async function runYt2Sp({ dryRun, recentLimitOverride, verbose }) {
-  const [sp, yt] = await Promise.all([getSpotify(), getYouTube()]);
+async function runSp2Yt({ config, clients, dryRun, verbose, backfill, prompt, planRecorder }) {
+  const { sp, yt } = await connectClients(clients);
+
+  const addedByPair = new Map(); // returned for BOTH-mode bump
 
-  for (const pair of CONFIG.pairs) {
+  for (const pair of config.pairs) {
     const spId = pair.spotifyPlaylistId;
     const ytId = pair.youtubePlaylistId;
     const label = makePairLabel(pair);
     const log = makeLogger(label);
-    const vlog = (...xs) => { if (verbose) log(...xs); };
 
-    if (!spId || !ytId || spId === 'SPOTIFY_PLAYLIST_ID' || ytId === 'YOUTUBE_PLAYLIST_ID') {
-      log('⚠️  Set real playlist IDs in config.json');
+    if (pair.placeholder) {
+      log.warn('⚠️  Set real playlist IDs in config.json');
       continue;
     }
+    if (!pairRunsDirection(pair, MODES.SP2YT)) {
+      log(`• Direction "${pair.direction}" — skipping Spotify → YouTube`);
+      continue;
+    }
+
+    log(`🎯 Syncing Spotify (${spId}) → YouTube (${ytId}) ${dryRun ? '[DRY-RUN]' : ''}`);
 
-    const effectiveRecent = Number.isFinite(recentLimitOverride)
-      ? Math.max(0, recentLimitOverride)
-      : RECENT_YOUTUBE_LIMIT;
+    await withPairCache(pair, log, async cache => {
+      const endPairRun = startPairRun(log, MODES.SP2YT);
+      try {
+        addedByPair.set(pair, await syncPairSp2Yt({ sp, yt, pair, cache, log, dryRun, verbose, backfill, prompt, planRecorder }));
+      } catch (e) {
+        if (!(e instanceof QuotaExceededError)) throw e;
+        stopPairOnQuota({ pair, cache, log, dryRun, direction: MODES.SP2YT }, e);
+      } finally {
+        endPairRun();
+      }
+    });
+  }
 
-    log(`🎯 Syncing YouTube (${ytId}) → Spotify (${spId}) ${dryRun ? '[DRY-RUN]' : ''}`);
-    if (effectiveRecent !== RECENT_YOUTUBE_LIMIT) {
-      log(`• Adjusted recent window for YT→SP: ${RECENT_YOUTUBE_LIMIT} → ${effectiveRecent}`);
+  return { addedByPair };
+}
+
+// ====================== YOUTUBE → SPOTIFY ======================
+
+// Build the YT→SP plan for a list of YouTube items (newest-first, so apply can reverse it).
+async function planYt2Sp(ctx, items) {
+  const { sp, pair, cache, reverseMap, spItemsAll, spTrackSet, syncRemovals, verbose, vlog } = ctx;
+  const ov = pair.overrides || NO_OVERRIDES;
+  const softDupePool = spItemsAll.filter(t => !isBlockedTrack(ov, t.id));
+  const plan = [];
+  for (const v of items) {
+    if (verbose) {
+      vlog(`→ Inspect YT: "${v.title}" (${v.durationMs || '?'}ms)  channel="${v.channelTitle}"`);
+    }
+    if (ov.neverSyncVideos.has(v.id)) {
+      vlog('    marked never-sync in overrides — skip');
+      plan.push({ v, action: 'skip', reason: 'never_sync', override: true });
+      continue;
     }
 
-    const cache = loadCache(spId); // reuse same cache file keyed by Spotify playlist
-    if (!cache.map) cache.map = {};
+    // A pin wins over earlier mappings, soft-dupes and search
+    const mappedSp = reverseMap.get(v.id);
+    const pinned = ov.trackForVideo.get(v.id);
+    if (pinned && (mappedSp !== pinned || (!spTrackSet.has(pinned) && !syncRemovals))) {
+      vlog(`    pinned to spotify:track:${pinned}`);
+      plan.push({ v, action: spTrackSet.has(pinned) ? 'map-only' : 'add', spTrackId: pinned, reason: 'pinned', override: true });
+      continue;
+    }
 
-    // Build reverse map: ytVideoId -> spTrackId
-    const reverseMap = new Map();
-    for (const [spTrackId, ytVideoId] of Object.entries(cache.map)) {
-      if (ytVideoId) reverseMap.set(ytVideoId, spTrackId);
+    // Already mapped?
+    if (mappedSp) {
+      if (spTrackSet.has(mappedSp)) {
+        vlog('    already mapped & present on Spotify — skip');
+        continue; // already present
+      } else if (syncRemovals) {
+        vlog('    mapped-but-missing on Spotify → removed there; SP→YT propagates it — skip');
+        continue;
+      } else {
+        vlog(`    mapped-but-missing on Spotify → plan ADD spotify:track:${mappedSp}`);
+        plan.push({ v, action: 'add', spTrackId: mappedSp, reason: 'mapped-but-missing' });
+        continue;
+      }
     }
 
-    const [spItemsAll, ytItemsAll] = await Promise.all([
-      getAllPlaylistItems(sp, spId),
-      getYouTubePlaylistItems(yt, ytId)
-    ]);
+    // soft dupe check in Spotify playlist
+    const softDup = findSoftDupeInSpotify(v, softDupePool.filter(t => !isRejectedMatch(ov, t.id, v.id)), {
+      jaccardMin: pair.matching.softDupeJaccardMin,
+      scoring: pair.scoring,
+      verbose,
+      log: msg => vlog(msg)
+    });
+    if (softDup) {
+      plan.push({ v, action: 'map-only', spTrackId: softDup.id, reason: 'soft-dup-in-playlist' });
+      continue;
+    }
 
-    // Only look at last "effectiveRecent" YouTube additions
-    const ytItemsSorted = sortByAddedAtDesc(ytItemsAll);
-    const ytItems = ytItemsSorted.slice(0, Math.min(effectiveRecent, ytItemsSorted.length));
+    if (getQueued(cache, MODES.YT2SP, v.id)) {
+      vlog('    waiting in the review queue — not searching');
+      plan.push({ v, action: 'skip', reason: 'awaiting_review', remembered: true });
+      continue;
+    }
 
-    const spTrackSet = new Set(spItemsAll.map(i => i.id));
+    // A remembered miss waits out its backoff instead of being searched again
+    const skipped = getSkip(cache, MODES.YT2SP, v.id);
+    if (!isRetryDue(skipped)) {
+      vlog(`    remembered skip (${describeSkip(skipped, pair.skipMaxAttempts)}) — not searching`);
+      plan.push({ v, action: 'skip', reason: describeSkip(skipped, pair.skipMaxAttempts), remembered: true });
+      continue;
+    }
 
-    log(`• YouTube videos total: ${ytItemsAll.length}`);
-    log(`• Spotify tracks total: ${spItemsAll.length}`);
-    log(`• Limiting to last ${effectiveRecent} YouTube additions → ${ytItems.length} to inspect`);
+    // search Spotify (K=topK → escalate escalateK) with full debug
+    const { best, reason, via, inspected, escalated, score, candidates } =
+      await findBestSpotifyForYouTubeVideo(sp, v, {
+        slackSec: pair.durationSlackSec,
+        topK: pair.matching.topK,
+        escalateK: pair.matching.escalateK,
+        exclude: id => isBlockedTrack(ov, id) || isRejectedMatch(ov, id, v.id),
+        scoring: pair.scoring,
+        verbose,
+        log: msg => vlog(msg)
+      });
+
+    if (!best) {
+      vlog(`    no best match (${reason}); inspected=${inspected}${escalated ? ', escalated' : ''}`);
+      plan.push({ v, action: 'skip', reason: reason || 'no_match', inspected, escalated });
+      continue;
+    }
 
-    const plan = [];
-    for (const v of ytItems) {
-      if (verbose) {
-        vlog(`→ Inspect YT: "${v.title}" (${v.durationMs || '?'}ms)  channel="${v.channelTitle}"`);
-      }
-      // Already mapped?
-      const mappedSp = reverseMap.get(v.id);
-      if (mappedSp) {
-        if (spTrackSet.has(mappedSp)) {
-          vlog('    already mapped & present on Spotify — skip');
-          continue; // already present
-        } else {
-          vlog(`    mapped-but-missing on Spotify → plan ADD spotify:track:${mappedSp}`);
-          plan.push({ v, action: 'add', spTrackId: mappedSp, reason: 'mapped-but-missing' });
-          continue;
-        }
-      }
+    // An ISRC hit is exact; everything else has to clear the score thresholds
+    const verdict = via === 'isrc' ? 'accept' : judgeScore(pair.thresholds.yt2sp, score);
+    if (verdict === 'review') {
+      vlog(`    best: "${best.name}" score≈${score.toFixed(2)} below accept → REVIEW`);
+      plan.push({ v, action: 'review', spTrackId: best.id, score, candidates, inspected, escalated });
+    } else if (verdict === 'reject') {
+      vlog(`    best: "${best.name}" score≈${score.toFixed(2)} below review → SKIP`);
+      plan.push({ v, action: 'skip', reason: 'low_score', score, inspected, escalated });
+    } else if (spTrackSet.has(best.id)) {
+      vlog(`    best: "${best.name}" [present in playlist] → MAP-ONLY`);
+      plan.push({ v, action: 'map-only', spTrackId: best.id, reason: via, inspected, escalated, score, candidates });
+    } else {
+      vlog(`    best: "${best.name}" [NOT present] → ADD`);
+      plan.push({ v, action: 'add', spTrackId: best.id, reason: via, inspected, escalated, score, candidates });
+    }
+  }
+  return plan;
+}
 
-      // soft dupe check in Spotify playlist
-      const softDup = findSoftDupeInSpotify(v, spItemsAll, { verbose, log: msg => vlog(msg) });
-      if (softDup) {
-        plan.push({ v, action: 'map-only', spTrackId: softDup.id, reason: 'soft-dup-in-playlist' });
-        continue;
+// Removals: mapped YouTube videos that left the playlist take their Spotify track with them
+function planYt2SpRemovals(ctx, ytItemsAll) {
+  const { cache, spItemsAll, log } = ctx;
+  const plan = [];
+  const staleMappings = [];
+  const ytVideoIds = new Set(ytItemsAll.map(v => v.id));
+  const spById = new Map(spItemsAll.map(i => [i.id, i]));
+  const removals = Object.entries(cache.map)
+    .filter(([, videoId]) => videoId && !ytVideoIds.has(videoId));
+  if (removals.length && !ytItemsAll.length) {
+    log.warn('⚠️  YouTube playlist came back empty — refusing to propagate removals this run');
+    return { plan, staleMappings };
+  }
+  for (const [spTrackId, videoId] of removals) {
+    const s = spById.get(spTrackId);
+    if (!s) {
+      staleMappings.push(spTrackId); // gone on both sides: just forget the mapping
+      continue;
+    }
+    plan.push({ s, action: 'remove', spTrackId, videoId, reason: 'removed-on-youtube' });
+  }
+  return { plan, staleMappings };
+}
+
+function formatYt2SpEntry(p, escalateK, verbose) {
+  const labelEsc = p.escalated ? ` (escalated to ${escalateK})` : '';
+  const why = p.reason ? ` [${p.reason}]` : '';
+  const score = verbose && p.score != null ? ` [score≈${p.score.toFixed(2)}]` : '';
+  if (p.action === 'add') return `  + ADD  ${p.v.title}  →  spotify:track:${p.spTrackId}${why}${labelEsc}${score}`;
+  if (p.action === 'map-only') return `  = MAP  ${p.v.title}  ↔  spotify:track:${p.spTrackId}${why}${labelEsc}${score}`;
+  if (p.action === 'remove') return `  - DEL  ${p.s.artists[0] || ''} - ${p.s.title}  ✕  spotify:track:${p.spTrackId} [${p.reason}]`;
+  if (p.action === 'defer') return `  … DEFER ${p.v.title}  (${p.reason})`;
+  if (p.action === 'review') return `  ? REVIEW ${p.v.title}  →  spotify:track:${p.spTrackId} [score≈${p.score.toFixed(2)}]${labelEsc}`;
+  return `  ~ SKIP ${p.v.title}  (${p.reason})${labelEsc}`;
+}
+
+function printYt2SpPlan(log, plan, escalateK, verbose) {
+  if (!plan.length) {
+    log('  (Nothing to do)');
+    return;
+  }
+  for (const p of plan) log.event('planned', planEventFields(MODES.YT2SP, p), formatYt2SpEntry(p, escalateK, verbose));
+}
+
+// --interactive hooks, mirroring sp2ytApprovalHooks. Unanswered videos are deferred; the
+// recent window (or the backfill checkpoint) brings them back next run.
+function yt2spApprovalHooks(ctx) {
+  const { pair, spTrackSet, verbose } = ctx;
+  const toTrack = (p, spTrackId, reason) =>
+    ({ ...p, action: spTrackSet.has(spTrackId) ? 'map-only' : 'add', spTrackId, reason });
+  return {
+    format: p => formatYt2SpEntry(p, pair.matching.escalateK, verbose),
+    formatCandidate: c => `${(c.artists || []).join(', ')} - ${c.name}  spotify:track:${c.id}`,
+    targetOf: p => p.spTrackId,
+    accept: p => (p.action === 'review' ? toTrack(p, p.spTrackId, 'approved') : p),
+    retarget: (p, c) => toTrack(p, c.id, 'picked'),
+    reject: p => (p.action === 'remove' ? null : { v: p.v, action: 'skip', reason: 'rejected', score: p.score }),
+    postpone: p => (p.action === 'remove' ? null : { v: p.v, action: 'defer', reason: 'not_reviewed' })
+  };
+}
+
+// Apply — add **backwards** (oldest→newest). Returns the applied adds and the
+// YouTube video IDs that failed, so backfill can retry them next run.
+async function applyYt2SpPlan(ctx, plan, staleMappings = []) {
+  const { sp, spId, ytId, pair, cache, spTrackSet, log } = ctx;
+  const adds = plan.filter(p => p.action === 'add');
+  const maps = plan.filter(p => p.action === 'map-only');
+  const removes = plan.filter(p => p.action === 'remove');
+  const failedIds = new Set();
+
+  if (removes.length) {
+    try {
+      await removeTracksFromPlaylist(sp, spId, removes.map(p => p.spTrackId));
+      for (const p of removes) {
+        spTrackSet.delete(p.spTrackId);
+        setMapping(cache, pair, p.spTrackId, null);
       }
+      for (const p of removes) log.event('applied', planEventFields(MODES.YT2SP, p));
+      log(`  ✔ Removed ${removes.length} track(s) from Spotify`);
+    } catch (e) {
+      if (e instanceof QuotaExceededError) throw e;
+      for (const p of removes) log.event('failed', { ...planEventFields(MODES.YT2SP, p), error: e.message });
+      log.error(`  ! Failed to remove tracks from Spotify: ${e.message}`);
+    }
+  }
+  for (const spTrackId of staleMappings) setMapping(cache, pair, spTrackId, null);
+
+  for (const p of adds.slice().reverse()) {
+    try {
+      await addTracksToPlaylist(sp, spId, [p.spTrackId]);
+      journal('spotify.add', { spotifyPlaylistId: spId, youtubePlaylistId: ytId, spTrackId: p.spTrackId, videoId: p.v.id, title: p.v.title });
+      spTrackSet.add(p.spTrackId);
+      if (p.reason === 'pinned') dropOtherMappings(cache, pair, p.spTrackId, p.v.id);
+      setMapping(cache, pair, p.spTrackId, p.v.id); // record mapping
+      log.event('applied', planEventFields(MODES.YT2SP, p), `  ✔ Added → spotify:track:${p.spTrackId}`);
+    } catch (e) {
+      if (e instanceof QuotaExceededError) throw e;
+      failedIds.add(p.v.id);
+      log.event('failed', { ...planEventFields(MODES.YT2SP, p), error: e.message }, `  ! Failed to add ${p.v.title}: ${e.message}`, 'error');
+    }
+  }
 
-      // search Spotify (K=5 → escalate 10) with full debug
-      const { best, reason, inspected, escalated, score } =
-        await findBestSpotifyForYouTubeVideo(sp, v, {
-          slackSec: DEFAULT_DURATION_SLACK_SEC,
-          verbose,
-          log: msg => vlog(msg)
-        });
-
-      if (!best) {
-        vlog(`    no best match (${reason}); inspected=${inspected}${escalated ? ', escalated' : ''}`);
-        plan.push({ v, action: 'skip', reason: reason || 'no_match', inspected, escalated });
-        continue;
+  for (const p of maps) {
+    try {
+      if (p.reason === 'pinned') dropOtherMappings(cache, pair, p.spTrackId, p.v.id);
+      setMapping(cache, pair, p.spTrackId, p.v.id);
+      log.event('applied', planEventFields(MODES.YT2SP, p), '  ✔ Mapped only');
+    } catch (e) {
+      failedIds.add(p.v.id);
+      log.event('failed', { ...planEventFields(MODES.YT2SP, p), error: e.message }, `  ! Failed to map ${p.v.title}: ${e.message}`, 'error');
+    }
+  }
+
+  return { adds: adds.filter(p => !failedIds.has(p.v.id)), failedIds };
+}
+
+// Mark all current Spotify tracks (plus this run's additions) as seen
+function updateYt2SpBaseline(cache, spItemsAll, addedTrackIds) {
+  const seen = new Set(cache.seenTrackIds || []);
+  cache.seenTrackIds = Array.from(new Set([
+    ...seen,
+    ...spItemsAll.map(i => i.id),
+    ...addedTrackIds
+  ]));
+  cache.lastSync = new Date().toISOString();
+}
+
+// One pair's YT→SP sync; recentBump widens the recent window (BOTH mode)
+async function syncPairYt2Sp({ sp, yt, pair, cache, log, dryRun, verbose, backfill, recentBump, prompt, planRecorder }) {
+  const spId = pair.spotifyPlaylistId;
+  const ytId = pair.youtubePlaylistId;
+  const vlog = (...xs) => { if (verbose) log.debug(...xs); };
+  const syncRemovals = pair.syncRemovals;
+  const yt2spOutcomeKeys = outcomeKeysFor(MODES.YT2SP, pair);
+
+  const effectiveRecent = pair.recentYouTubeLimit + recentBump;
+
+  // Build reverse map: ytVideoId -> spTrackId
+  const reverseMap = new Map();
+  for (const [spTrackId, ytVideoId] of Object.entries(cache.map)) {
+    if (ytVideoId) reverseMap.set(ytVideoId, spTrackId);
+  }
+
+  const [spItemsAll, ytItemsAll] = await Promise.all([
+    getAllPlaylistItems(sp, spId),
+    getYouTubePlaylistItems(yt, ytId)
+  ]);
+
+  const spTrackSet = new Set(spItemsAll.map(i => i.id));
+  const ctx = { sp, spId, ytId, pair, cache, reverseMap, spItemsAll, spTrackSet, syncRemovals, verbose, vlog, log };
+  const spTitleLookup = id => spItemsAll.find(i => i.id === id);
+
+  log(`• YouTube videos total: ${ytItemsAll.length}${describeUnavailable(ytItemsAll)}`);
+  log(`• Spotify tracks total: ${spItemsAll.length}`);
+
+  // Unavailable (private/deleted) videos still count as present for removals, but have
+  // nothing to match on
+  const removals = syncRemovals ? planYt2SpRemovals(ctx, ytItemsAll) : { plan: [], staleMappings: [] };
+  const ytPlayable = ytItemsAll.filter(v => !v.unavailable);
+
+  const backfillState = resolveBackfillState(cache, MODES.YT2SP, { forced: backfill, optIn: pair.backfill });
+
+  if (backfillState) {
+    // Walk the whole playlist oldest→newest in chunks, checkpointing after each one
+    const done = new Set(backfillState.doneIds);
+    const pending = sortByAddedAtDesc(ytPlayable).reverse().filter(v => !done.has(v.id));
+    log(`• BACKFILL: ${done.size} done, ${pending.length} remaining (chunks of ${BACKFILL_CHUNK_SIZE})`);
+
+    const addedTrackIds = [];
+    let stopped = false;
+    // Removals ride along with the first chunk, so there is always at least one pass
+    for (let i = 0; i < Math.max(pending.length, 1); i += BACKFILL_CHUNK_SIZE) {
+      const chunk = pending.slice(i, i + BACKFILL_CHUNK_SIZE);
+      if (chunk.length) log(`• Backfill chunk ${i / BACKFILL_CHUNK_SIZE + 1}: ${chunk.length} videos`);
+
+      // Plans are built newest-first so the apply step can reverse them
+      let plan = await planYt2Sp(ctx, sortByAddedAtDesc(chunk));
+      if (i === 0) plan.push(...removals.plan);
+      printYt2SpPlan(log, plan, pair.matching.escalateK, verbose);
+      if (prompt) plan = await approvePlan(prompt, plan, yt2spApprovalHooks(ctx), log);
+      if (planRecorder) planRecorder.add(pair, MODES.YT2SP, plan, spTitleLookup);
+
+      if (dryRun) {
+        log('• DRY-RUN: showing the first backfill chunk only. Run without --dry-run to sync.');
+        stopped = true;
+        break;
       }
 
-      if (spTrackSet.has(best.id)) {
-        vlog(`    best: "${best.name}" [present in playlist] → MAP-ONLY`);
-        plan.push({ v, action: 'map-only', spTrackId: best.id, inspected, escalated, score });
-      } else {
-        vlog(`    best: "${best.name}" [NOT present] → ADD`);
-        plan.push({ v, action: 'add', spTrackId: best.id, inspected, escalated, score });
+      const { adds, failedIds } = await applyYt2SpPlan(ctx, plan, i === 0 ? removals.staleMappings : []);
+      const deferredIds = new Set(plan.filter(p => p.action === 'defer').map(p => p.v.id));
+      rememberOutcomes(cache, MODES.YT2SP, plan, yt2spOutcomeKeys);
+      addedTrackIds.push(...adds.map(p => p.spTrackId));
+      for (const v of chunk) {
+        if (failedIds.has(v.id) || deferredIds.has(v.id)) continue;
+        backfillState.doneIds.push(v.id);
+        const mapped = Object.keys(cache.map).find(k => cache.map[k] === v.id);
+        if (mapped) reverseMap.set(v.id, mapped); // later chunks see this chunk's mappings
+      }
+      saveCache(pair, cache); // checkpoint
+      if (failedIds.size || deferredIds.size) {
+        const why = failedIds.size ? `after ${failedIds.size} failure(s)` : 'with videos left for later';
+        log(`• Backfill paused ${why}; it resumes from here next run.`);
+        stopped = true;
+        break;
       }
     }
 
-    // Show plan
-    if (plan.length) {
-      for (const p of plan) {
-        const labelEsc = p.escalated ? ' (escalated to 10)' : '';
-        if (p.action === 'add') {
-          log(`  + ADD  ${p.v.title}  →  spotify:track:${p.spTrackId}${labelEsc}${verbose && p.score != null ? ` [score≈${p.score.toFixed(2)}]` : ''}`);
-        } else if (p.action === 'map-only') {
-          const why = p.reason ? ` [${p.reason}]` : '';
-          log(`  = MAP  ${p.v.title}  ↔  spotify:track:${p.spTrackId}${why}${labelEsc}${verbose && p.score != null ? ` [score≈${p.score.toFixed(2)}]` : ''}`);
-        } else {
-          log(`  ~ SKIP ${p.v.title}  (${p.reason})${labelEsc}`);
-        }
+    if (!stopped) {
+      backfillState.completedAt = new Date().toISOString();
+      backfillState.doneIds = []; // the seen baseline covers everything from here on
+      updateYt2SpBaseline(cache, spItemsAll, addedTrackIds);
+      saveCache(pair, cache);
+      log(`• Backfill complete. (+${addedTrackIds.length} additions on Spotify)`);
+    }
+    return;
+  }
+
+  if (effectiveRecent !== pair.recentYouTubeLimit) {
+    log(`• Adjusted recent window for YT→SP: ${pair.recentYouTubeLimit} → ${effectiveRecent}`);
+  }
+
+  // Only look at last "effectiveRecent" YouTube additions
+  const ytItemsSorted = sortByAddedAtDesc(ytPlayable);
+  const ytItems = ytItemsSorted.slice(0, Math.min(effectiveRecent, ytItemsSorted.length));
+
+  log(`• Limiting to last ${effectiveRecent} YouTube additions → ${ytItems.length} to inspect`);
+
+  // Remembered misses whose backoff elapsed and new pins are handled even outside the window
+  const dueIds = new Set([
+    ...dueSkipIds(cache, MODES.YT2SP),
+    ...unappliedPins(pair, cache).map(([, videoId]) => videoId)
+  ]);
+  const retries = ytItemsSorted.slice(ytItems.length).filter(v => dueIds.has(v.id));
+  if (retries.length) {
+    log(`• Retrying ${retries.length} item(s) outside the window (earlier skips, new pins)`);
+    ytItems.push(...retries);
+  }
+
+  let plan = await planYt2Sp(ctx, ytItems);
+  plan.push(...removals.plan);
+
+  // Show plan
+  printYt2SpPlan(log, plan, pair.matching.escalateK, verbose);
+  if (prompt) plan = await approvePlan(prompt, plan, yt2spApprovalHooks(ctx), log);
+  if (planRecorder) planRecorder.add(pair, MODES.YT2SP, plan, spTitleLookup);
+
+  // Apply
+  if (!dryRun) {
+    const { adds } = await applyYt2SpPlan(ctx, plan, removals.staleMappings);
+    rememberOutcomes(cache, MODES.YT2SP, plan, yt2spOutcomeKeys);
+    pruneOutcomes(cache, MODES.YT2SP, ytItemsAll.map(v => v.id));
+
+    updateYt2SpBaseline(cache, spItemsAll, adds.map(p => p.spTrackId));
+    saveCache(pair, cache);
+    log('• Cache updated.');
+  } else {
+    log('• DRY-RUN: no changes applied. Run without --dry-run to sync.');
+  }
+}
+
+// recentBumpByPair: extra YT→SP window per pair (BOTH mode passes the first leg's additions)
+async function runYt2Sp({ config, clients, dryRun, recentBumpByPair, verbose, backfill, prompt, planRecorder }) {
+  const { sp, yt } = await connectClients(clients);
+
+  for (const pair of config.pairs) {
+    const spId = pair.spotifyPlaylistId;
+    const ytId = pair.youtubePlaylistId;
+    const label = makePairLabel(pair);
+    const log = makeLogger(label);
+
+    if (pair.placeholder) {
+      log.warn('⚠️  Set real playlist IDs in config.json');
+      continue;
+    }
+    if (!pairRunsDirection(pair, MODES.YT2SP)) {
+      log(`• Direction "${pair.direction}" — skipping YouTube → Spotify`);
+      continue;
+    }
+
+    log(`🎯 Syncing YouTube (${ytId}) → Spotify (${spId}) ${dryRun ? '[DRY-RUN]' : ''}`);
+
+    await withPairCache(pair, log, async cache => {
+      const endPairRun = startPairRun(log, MODES.YT2SP);
+      try {
+        await syncPairYt2Sp({ sp, yt, pair, cache, log, dryRun, verbose, backfill, recentBump: recentBumpByPair?.get(pair) || 0, prompt, planRecorder });
+      } catch (e) {
+        if (!(e instanceof QuotaExceededError)) throw e;
+        stopPairOnQuota({ pair, cache, log, dryRun, direction: MODES.YT2SP }, e);
+      } finally {
+        endPairRun();
       }
+    });
+  }
+}
+
+// ====================== SAVED PLANS ======================
+
+// YouTube writes in a saved plan are checked against the quota budget up front; what
+// does not fit is refused, and applying the same plan again tomorrow picks it up.
+function reserveQuotaFor(resolved, log) {
+  let units = 0;
+  return resolved.filter(({ p, e }) => {
+    if (p.action !== 'add' && p.action !== 'remove') return true;
+    const cost = p.action === 'add' ? COSTS['playlistItems.insert'] : COSTS['playlistItems.delete'] * p.playlistItemIds.length;
+    if (canAfford(units + cost)) {
+      units += cost;
+      return true;
+    }
+    log.event('refused', { ...planEventFields(MODES.SP2YT, p), why: 'quota_budget' },
+      `  ✕ REFUSED ${describeSavedEntry(e)} — over the YouTube quota budget`, 'warn');
+    return false;
+  });
+}
+
+// Resolve a direction's saved entries; logs and counts the refused ones
+function resolveSavedEntries(entries, direction, resolve, live, log) {
+  const resolved = [];
+  let refused = 0;
+  for (const e of entries) {
+    const { p, stale } = resolve(e, live);
+    if (p) {
+      resolved.push({ p, e });
     } else {
-      log('  (Nothing to do)');
-    }
-
-    // Apply — add **backwards** (oldest→newest)
-    if (!dryRun) {
-      const adds = plan.filter(p => p.action === 'add');
-      const maps = plan.filter(p => p.action === 'map-only');
-
-      for (const p of adds.slice().reverse()) {
-        try {
-          await addTracksToPlaylist(sp, spId, [p.spTrackId]);
-          spTrackSet.add(p.spTrackId);
-          cache.map[p.spTrackId] = p.v.id; // record mapping
-          log(`  ✔ Added → spotify:track:${p.spTrackId}`);
-        } catch (e) {
-          log(`  ! Failed to add ${p.v.title}: ${e.message}`);
-        }
+      refused += 1;
+      log.event('refused', { direction, action: e.action, source: e.source.id, target: e.target?.id || null, why: stale },
+        `  ✕ STALE ${describeSavedEntry(e)} — ${stale}`, 'warn');
+    }
+  }
+  return { resolved, refused };
+}
+
+// One pair's saved plan: SP→YT first, then YT→SP, like --mode=both. Returns the number of
+// refused entries.
+async function applySavedPairPlan({ sp, yt, pair, cache, log }, saved) {
+  const spId = pair.spotifyPlaylistId;
+  const ytId = pair.youtubePlaylistId;
+  const overrides = pair.overrides || NO_OVERRIDES;
+  let refused = 0;
+  // The leg being applied, named when the quota runs out
+  let leg = saved.sp2yt.length ? MODES.SP2YT : MODES.YT2SP;
+
+  try {
+    const [spItemsAll, ytItems] = await Promise.all([
+      getAllPlaylistItems(sp, spId),
+      getYouTubePlaylistItems(yt, ytId)
+    ]);
+    const spById = new Map(spItemsAll.map(i => [i.id, i]));
+    const ytById = new Map();
+    for (const v of ytItems) ytById.set(v.id, [...(ytById.get(v.id) || []), v]);
+    const ytVideoSet = new Set(ytItems.map(v => v.id));
+    const spTrackSet = new Set(spItemsAll.map(i => i.id));
+
+    if (saved.sp2yt.length) {
+      const endPairRun = startPairRun(log, MODES.SP2YT);
+      try {
+        log(`• Spotify → YouTube: ${saved.sp2yt.length} saved entr${saved.sp2yt.length === 1 ? 'y' : 'ies'}`);
+        const live = { spById, ytById, ytVideoSet, cache, overrides };
+        const result = resolveSavedEntries(saved.sp2yt, MODES.SP2YT, resolveSp2YtEntry, live, log);
+        const affordable = reserveQuotaFor(result.resolved, log);
+        refused += result.refused + result.resolved.length - affordable.length;
+        const plan = affordable.map(r => r.p);
+
+        printSp2YtPlan(log, plan, pair.matching.escalateK, false);
+        await applySp2YtPlan({ yt, spId, ytId, pair, cache, ytVideoSet, log }, plan);
+        rememberOutcomes(cache, MODES.SP2YT, plan, outcomeKeysFor(MODES.SP2YT, pair));
+
+        // Only the planned tracks join the seen baseline: tracks added since the plan was
+        // made are still picked up by the next regular run
+        const handled = plan.filter(p => p.s).map(p => p.s.id);
+        const deferred = plan.filter(p => p.action === 'defer').map(p => p.s.id);
+        cache.seenTrackIds = Array.from(new Set([...(cache.seenTrackIds || []), ...handled]));
+        cache.deferredTrackIds = Array.from(new Set([
+          ...(cache.deferredTrackIds || []).filter(id => !handled.includes(id)),
+          ...deferred
+        ]));
+        saveCache(pair, cache);
+      } finally {
+        endPairRun();
       }
+    }
 
-      for (const p of maps) {
-        try {
-          cache.map[p.spTrackId] = p.v.id;
-          log('  ✔ Mapped only');
-        } catch (e) {
-          log(`  ! Failed to map ${p.v.title}: ${e.message}`);
-        }
+    if (saved.yt2sp.length) {
+      leg = MODES.YT2SP;
+      const endPairRun = startPairRun(log, MODES.YT2SP);
+      try {
+        log(`• YouTube → Spotify: ${saved.yt2sp.length} saved entr${saved.yt2sp.length === 1 ? 'y' : 'ies'}`);
+        const reverseMap = new Map(Object.entries(cache.map).filter(([, videoId]) => videoId).map(([t, v]) => [v, t]));
+        const live = { ytById, spById, spTrackSet, ytVideoSet, reverseMap, cache, overrides };
+        const result = resolveSavedEntries(saved.yt2sp, MODES.YT2SP, resolveYt2SpEntry, live, log);
+        refused += result.refused;
+        const plan = result.resolved.map(r => r.p);
+
+        printYt2SpPlan(log, plan, pair.matching.escalateK, false);
+        const { adds } = await applyYt2SpPlan({ sp, spId, ytId, pair, cache, spTrackSet, log }, plan);
+        rememberOutcomes(cache, MODES.YT2SP, plan, outcomeKeysFor(MODES.YT2SP, pair));
+
+        // Keep SP→YT from mirroring this run's additions back to YouTube
+        cache.seenTrackIds = Array.from(new Set([...(cache.seenTrackIds || []), ...adds.map(p => p.spTrackId)]));
+        saveCache(pair, cache);
+      } finally {
+        endPairRun();
       }
+    }
+  } catch (e) {
+    if (!(e instanceof QuotaExceededError)) throw e;
+    stopPairOnQuota({ pair, cache, log, dryRun: false, direction: leg }, e);
+  }
 
-      // Update baseline: mark all current Spotify tracks as seen
-      const seen = new Set(cache.seenTrackIds || []);
-      const newSeen = Array.from(new Set([
-        ...seen,
-        ...spItemsAll.map(i => i.id),
-        ...adds.map(p => p.spTrackId)
-      ]));
-      cache.seenTrackIds = newSeen;
-      cache.lastSync = new Date().toISOString();
-      saveCache(spId, cache);
-      log('• Cache updated.');
-    } else {
-      log('• DRY-RUN: no changes applied. Run without --dry-run to sync.');
+  return refused;
+}
+
+// --apply-plan: execute a plan written by --plan-out, without searching.
+// Returns the number of refused entries.
+async function runApplyPlan({ config, clients, planPath }) {
+  const doc = readPlanFile(planPath);
+  runLog(`• Applying plan ${planPath} (created ${doc.createdAt || 'at an unknown time'})`);
+  const { sp, yt } = await connectClients(clients);
+  let refused = 0;
+
+  for (const saved of doc.pairs) {
+    const pair = config.pairs.find(p =>
+      p.spotifyPlaylistId === saved.spotifyPlaylistId && p.youtubePlaylistId === saved.youtubePlaylistId);
+    const log = makeLogger(pair ? makePairLabel(pair) : (saved.pair || saved.spotifyPlaylistId));
+    const total = saved.sp2yt.length + saved.yt2sp.length;
+
+    if (!pair || pair.placeholder) {
+      log.warn(`⚠️  Pair is no longer in config.json — refusing its ${total} entr${total === 1 ? 'y' : 'ies'}`);
+      refused += total;
+      continue;
     }
+
+    log(`🎯 Applying saved plan: Spotify (${pair.spotifyPlaylistId}) ⇄ YouTube (${pair.youtubePlaylistId})`);
+    const opened = await withPairCache(pair, log, async cache => {
+      refused += await applySavedPairPlan({ sp, yt, pair, cache, log }, saved);
+      return true;
+    });
+    if (!opened) refused += total;
+  }
+
+  return { refused };
+}
+
+// API summary and quota at the end of a run; also closes the run report
+function finishRun(report) {
+  const apiCalls = getApiStats();
+  runLog.event('run_end', { apiCalls, quotaUsedToday: quotaUsedToday() }, `\n• API summary — ${formatApiStats(apiCalls)}`);
+  runLog(`• ${formatQuota()}`);
+  const reportPath = report.finish({ apiCalls, quotaUsedToday: quotaUsedToday() });
+  runLog.debug(`• Run report: ${reportPath}`);
+  if (!report.dryRun) runLog(`• Run ID: ${report.runId} (undo its additions with: undo --run=${report.runId})`);
+}
+
+// One sync run of `mode` over config.pairs, journaled and reported. Returns the run report
+// (finishRun closes it; a run that throws closes its own).
+async function runSync({ config, clients = null, mode, dryRun, verbose, backfill, prompt = null, planRecorder = null }) {
+  resetApiStats();
+  clients = await connectClients(clients);
+  // Additions are journaled under the run ID so `undo --run=<id>` can take them back
+  const runId = newRunId();
+  if (!dryRun) beginJournalRun(runId);
+  const report = startRunReport({ runId, mode, dryRun });
+  try {
+    if (mode === MODES.SP2YT) {
+      await runSp2Yt({ config, clients, dryRun, verbose, backfill, prompt, planRecorder });
+    } else if (mode === MODES.YT2SP) {
+      await runYt2Sp({ config, clients, dryRun, verbose, backfill, prompt, planRecorder });
+    } else if (mode === MODES.BOTH) {
+      // 1) Run SP→YT
+      const { addedByPair } = await runSp2Yt({ config, clients, dryRun, verbose, backfill, prompt, planRecorder });
+      // 2) Bump each pair's YT→SP recent window by its *actual* additions
+      await runYt2Sp({ config, clients, dryRun, recentBumpByPair: addedByPair, verbose, backfill, prompt, planRecorder });
+    }
+  } catch (e) {
+    // A failed run still gets its summary and report (which also detaches the report's log sink)
+    finishRun(report);
+    throw e;
+  } finally {
+    // Search results are kept even on dry runs and failures: they cost quota to fetch
+    flushSearchCache();
+    endJournalRun();
+  }
+  return report;
+}
+
+// Runs fn while holding the sync lock; returns false (after saying so) when another
+// process holds it
+async function withSyncLock(fn) {
+  const lock = tryLock(SYNC_LOCK);
+  if (!lock.release) {
+    runLog.error(`❌ Another sync is running (${describeHolder(lock.holder)}) — try again when it is done`);
+    process.exitCode = 1;
+    return false;
+  }
+  try {
+    await fn();
+  } finally {
+    lock.release();
   }
+  return true;
 }
 
 // ====================== MAIN ======================
-(async () => {
+async function main() {
   const dryRun = args.includes('--dry-run');
   const verbose = args.includes('--verbose');
+  const backfill = args.includes('--backfill');
+  const interactive = args.includes('--interactive');
+  const planOut = argValue('--plan-out');
+  const applyPlan = argValue('--apply-plan');
+  // --verbose implies debug output unless a level is given explicitly
+  try {
+    configureLogging({ level: argValue('--log-level') || (verbose ? 'debug' : 'info'), format: argValue('--log-format') || 'text' });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exitCode = 1;
+    return;
+  }
+  let config = null; // loaded (and validated) the first time a sync mode runs
+
+  if (args.includes('--validate-config')) {
+    process.exitCode = runValidateConfig(CONFIG_PATH);
+    return;
+  }
+
+  const searchCacheArg = args.find(a => a === '--search-cache' || a.startsWith('--search-cache='));
+  if (searchCacheArg) {
+    const match = (args.find(a => a.startsWith('--match=')) || '').slice('--match='.length);
+    process.exitCode = runSearchCache(searchCacheArg.split('=')[1] || 'list', { match, expired: args.includes('--expired') });
+    return;
+  }
+
+  if (args.includes('--skips')) {
+    process.exitCode = runSkips(CONFIG_PATH, { givenUpOnly: args.includes('--given-up') });
+    return;
+  }
+
+  if (args.includes('--review')) {
+    process.exitCode = await runReview(CONFIG_PATH);
+    return;
+  }
+
+  if (args[0] === 'undo') {
+    await withSyncLock(async () => {
+      process.exitCode = await runUndo(CONFIG_PATH, { runId: argValue('--run'), dryRun });
+    });
+    return;
+  }
+
+  if (args[0] === 'cache') {
+    process.exitCode = await runCache(CONFIG_PATH, args[1] && !args[1].startsWith('--') ? args[1] : 'list', {
+      pair: argValue('--pair'),
+      track: argValue('--track'),
+      video: argValue('--video'),
+      dryRun
+    });
+    return;
+  }
+
+  if (args[0] === 'eval') {
+    process.exitCode = await runEval(CONFIG_PATH, args[1] && !args[1].startsWith('--') ? args[1] : null, {
+      pair: argValue('--pair'),
+      baseline: argValue('--baseline')
+    });
+    return;
+  }
+
+  if (args[0] === 'migrate-cache') {
+    await withSyncLock(async () => {
+      process.exitCode = await runMigrateCache(CONFIG_PATH, { force: args.includes('--force'), dryRun });
+    });
+    return;
+  }
+
+  if (applyPlan) {
+    config = loadSyncConfig();
+    await withSyncLock(async () => {
+      resetApiStats();
+      const runId = newRunId();
+      beginJournalRun(runId);
+      const report = startRunReport({ runId, mode: 'apply-plan', dryRun: false });
+      let refused;
+      try {
+        ({ refused } = await runApplyPlan({ config, planPath: applyPlan }));
+      } finally {
+        flushSearchCache();
+        endJournalRun();
+      }
+      finishRun(report);
+      if (refused) runLog.warn(`⚠️  Refused ${refused} entr${refused === 1 ? 'y' : 'ies'} — make a fresh plan for what is still missing`);
+      runLog('\nDone.');
+      process.exitCode = refused ? 1 : 0;
+    });
+    return;
+  }
+
+  if (args.includes('--watch')) {
+    const clashing = ['--dry-run', '--interactive', '--plan-out', '--backfill'].filter(f => args.some(a => a === f || a.startsWith(`${f}=`)));
+    if (clashing.length) {
+      runLog.error(`❌ --watch cannot be combined with ${clashing.join(', ')}`);
+      process.exitCode = 1;
+      return;
+    }
+    config = loadSyncConfig();
+    // Without --mode each pair runs in its own "direction"; a one-way --mode only watches
+    // the pairs that run that way
+    const cliMode = parseModeFromArgs();
+    const modeOf = pair => (cliMode && cliMode !== MODES.BOTH ? cliMode : pair.direction);
+    const pairs = config.pairs.filter(pair => !pair.placeholder && pair.direction !== 'off' &&
+      (!cliMode || cliMode === MODES.BOTH || pairRunsDirection(pair, cliMode)));
+    if (!pairs.length) {
+      runLog.error('❌ --watch: no pair to sync (set real playlist IDs in config.json)');
+      process.exitCode = 1;
+      return;
+    }
+    await runWatch({
+      pairs,
+      modeOf,
+      labelOf: makePairLabel,
+      runPair: async pair => finishRun(await runSync({ config: { ...config, pairs: [pair] }, mode: modeOf(pair), verbose, backfill: false }))
+    });
+    return;
+  }
 
   let mode = parseModeFromArgs();
-  
+
   // Interactive loop - keep showing menu until user exits
   while (true) {
     if (!mode) {
@@ -622,19 +1704,32 @@ async function runYt2Sp({ dryRun, recentLimitOverride, verbose }) {
       await runYouTubeTokenScript();
       mode = null; // Reset to show menu again
       continue;
-    } else if (mode === MODES.SP2YT) {
-      await runSp2Yt({ dryRun, verbose });
-    } else if (mode === MODES.YT2SP) {
-      await runYt2Sp({ dryRun, verbose });
-    } else if (mode === MODES.BOTH) {
-      // 1) Run SP→YT
-      const { addedCount } = await runSp2Yt({ dryRun, verbose });
-      // 2) Bump the YT→SP recent window by the number of *actual* additions
-      const bumpedWindow = RECENT_YOUTUBE_LIMIT + (addedCount || 0);
-      await runYt2Sp({ dryRun, recentLimitOverride: bumpedWindow, verbose });
     }
 
-    console.log('\nDone.');
+    if (!config) config = loadSyncConfig();
+
+    // Nothing is applied on a dry run, so there is nothing to approve
+    if (interactive && dryRun) runLog.warn('⚠️  --interactive has no effect with --dry-run');
+    const planRecorder = planOut ? createPlanRecorder() : null;
+
+    const ran = await withSyncLock(async () => {
+      const prompt = interactive && !dryRun ? createPrompt() : null;
+      let report;
+      try {
+        report = await runSync({ config, mode, dryRun, verbose, backfill, prompt, planRecorder });
+      } finally {
+        if (prompt) prompt.close();
+      }
+
+      if (planRecorder) {
+        writePlanFile(planOut, planRecorder, { dryRun });
+        runLog(`\n• Plan written to ${planOut} (${planRecorder.count()} entries) — apply it with --apply-plan=${planOut}`);
+      }
+
+      finishRun(report);
+      runLog('\nDone.');
+    });
+    if (!ran) break;
     
     // If mode was passed via CLI args, exit after one run
     // Otherwise reset to show menu again
@@ -643,7 +1738,16 @@ async function runYt2Sp({ dryRun, recentLimitOverride, verbose }) {
     }
     mode = null;
   }
-})().catch(e => {
-  console.error(e);
-  process.exit(1);
-});
\ No newline at end of file
+}
+
+// The sync runs are exported for the end-to-end tests (test/e2e.test.js), which drive them
+// with fake clients and a config built in memory (parseConfig + applySyncConfig)
+module.exports = { MODES, applySyncConfig, runSp2Yt, runYt2Sp, runApplyPlan, runSync };
+
+if (require.main === module) {
+  main().catch(e => {
+    const known = [ConfigError, PlanFileError, CacheError, LockedError].some(E => e instanceof E);
+    console.error(known ? `❌ ${e.message}` : e);
+    process.exit(1);
+  });
+}
@@ -1,33 +1,169 @@
+// Sync state per pair (Spotify playlist + YouTube playlist), in a pluggable store picked
+// by the top-level "storage" setting in config.json:
+//   json    one file per pair, .cache/pair_<spotifyId>_<youtubeId>.json (default; see cacheStoreJson.js)
+//   sqlite  one database, .cache/state.sqlite (see cacheStoreSqlite.js)
+// A store has { name, describe(key), load(key) → state | null, save(key, state), keys(), remove(key) }.
+// Both throw CacheError when stored state can't be read.
 const fs = require('fs');
 const path = require('path');
+const { isLikedSongsId } = require('./likedSongs');
 
 const CACHE_DIR = path.join(process.cwd(), '.cache');
 if (!fs.existsSync(CACHE_DIR)) fs.mkdirSync(CACHE_DIR);
 
-function cachePath(playlistId) {
-  return path.join(CACHE_DIR, `sp2yt_${playlistId}.json`);
+const STORAGE_BACKENDS = ['json', 'sqlite'];
+const DEFAULT_STORAGE = 'json';
+
+// Required on first use: the SQLite store needs an optional native package
+const STORE_MODULES = {
+  json: () => require('./cacheStoreJson'),
+  sqlite: () => require('./cacheStoreSqlite')
+};
+
+let storageName = DEFAULT_STORAGE;
+let store = null;
+
+// Thrown when stored state exists but can't be read. Loading never falls back to an empty
+// cache: the next run would treat every playlist item as new.
+class CacheError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CacheError';
+  }
+}
+
+function configureStorage(name = DEFAULT_STORAGE) {
+  if (!STORAGE_BACKENDS.includes(name)) throw new Error(`Unknown storage "${name}" (use ${STORAGE_BACKENDS.join(' or ')})`);
+  if (name !== storageName) store = null;
+  storageName = name;
+}
+
+function getStore(name = storageName) {
+  if (name !== storageName) return STORE_MODULES[name]().openStore();
+  if (!store) store = STORE_MODULES[name]().openStore();
+  return store;
+}
+
+const safeId = id => String(id).replace(/[^\w-]/g, '-');
+
+// Key of a pair's state in every store (and in its lock name), safe as a file name.
+// Liked Songs aliases (liked, me:liked, …) name one library, so they share one key.
+function pairKey(pair) {
+  const spId = isLikedSongsId(pair.spotifyPlaylistId) ? 'liked_songs' : pair.spotifyPlaylistId;
+  return `${safeId(spId)}_${safeId(pair.youtubePlaylistId)}`;
+}
+
+// Where state for a Liked Songs alias was kept before aliases shared a key; null when that
+// is the key itself
+function aliasPairKey(pair) {
+  const key = `${safeId(pair.spotifyPlaylistId)}_${safeId(pair.youtubePlaylistId)}`;
+  return key === pairKey(pair) ? null : key;
+}
+
+// Before state was keyed by pair: one file per Spotify playlist (see `migrate-cache`)
+function legacyCachePath(spotifyPlaylistId) {
+  return path.join(CACHE_DIR, `sp2yt_${spotifyPlaylistId}.json`);
+}
+
+function emptyCache() {
+  return { lastSync: null, seenTrackIds: [], map: {} };
+}
+
+function loadCache(pair) {
+  const alias = aliasPairKey(pair);
+  const state = getStore().load(pairKey(pair)) || (alias && getStore().load(alias));
+  if (state) return { ...emptyCache(), ...state };
+  const legacy = legacyCachePath(pair.spotifyPlaylistId);
+  if (fs.existsSync(legacy)) {
+    throw new CacheError(`${legacy} is from an older version and not imported yet — run "node src/index.js migrate-cache" first`);
+  }
+  return emptyCache();
+}
+
+// Callers hold the pair's cache lock (see lock.js) between loading and saving
+function saveCache(pair, data) {
+  getStore().save(pairKey(pair), {
+    ...data,
+    pair: { spotifyPlaylistId: pair.spotifyPlaylistId, youtubePlaylistId: pair.youtubePlaylistId }
+  });
+  const alias = aliasPairKey(pair);
+  if (alias) getStore().remove(alias); // now kept under the shared key
+}
+
+const BACKUP_COUNT = 3; // <file>.bak (newest), <file>.bak.1, <file>.bak.2
+
+// Shifts <file>.bak → .bak.1 → .bak.2 …, dropping the oldest, then copies the file to <file>.bak
+function rotateBackups(filePath) {
+  const backup = n => (n ? `${filePath}.bak.${n}` : `${filePath}.bak`);
+  for (let n = BACKUP_COUNT - 1; n > 0; n--) {
+    if (fs.existsSync(backup(n - 1))) fs.renameSync(backup(n - 1), backup(n));
+  }
+  fs.copyFileSync(filePath, backup(0));
+}
+
+// Writes through a temp file and a rename, so a crash mid-write leaves the old file intact.
+// With keepBackup the version being replaced is kept as <file>.bak, and older ones rotate
+// through <file>.bak.1 … (BACKUP_COUNT in all).
+function writeFileAtomic(filePath, text, { keepBackup = false } = {}) {
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  try {
+    const fd = fs.openSync(tmp, 'w');
+    try {
+      fs.writeFileSync(fd, text, 'utf8');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    if (keepBackup && fs.existsSync(filePath)) rotateBackups(filePath);
+    fs.renameSync(tmp, filePath);
+  } finally {
+    fs.rmSync(tmp, { force: true });
+  }
 }
 
-function loadCache(playlistId) {
-  const p = cachePath(playlistId);
-  if (!fs.existsSync(p)) return { lastSync: null, seenTrackIds: [], map: {} };
+// Side files in ./.cache that are not tied to one pair (quota ledger, etc.). A missing file
+// gives the fallback; an unreadable one is a CacheError, since starting over would reset
+// the quota count for the day.
+function readCacheFile(name, fallback) {
+  const p = path.join(CACHE_DIR, name);
+  if (!fs.existsSync(p)) return fallback;
   try {
-    const parsed = JSON.parse(fs.readFileSync(p, 'utf8'));
-    return { lastSync: null, seenTrackIds: [], map: {}, ...parsed };
-  } catch {
-    return { lastSync: null, seenTrackIds: [], map: {} };
+    return JSON.parse(fs.readFileSync(p, 'utf8'));
+  } catch (e) {
+    const backup = `${p}.bak`;
+    throw new CacheError(
+      `${p} could not be parsed (${e.message}). It was left as is: ` +
+      (fs.existsSync(backup) ? `restore the previous version from ${backup}, or delete it to start over.` : 'fix or delete it to start over.')
+    );
   }
 }
 
-function saveCache(playlistId, data) {
-  const p = cachePath(playlistId);
-  fs.writeFileSync(p, JSON.stringify(data, null, 2), 'utf8');
+function writeCacheFile(name, data) {
+  writeFileAtomic(path.join(CACHE_DIR, name), JSON.stringify(data, null, 2), { keepBackup: true });
 }
 
-module.exports = { loadCache, saveCache };
-// Stores per-playlist cache in ./.cache
+module.exports = {
+  CACHE_DIR,
+  STORAGE_BACKENDS,
+  CacheError,
+  configureStorage,
+  getStore,
+  pairKey,
+  legacyCachePath,
+  loadCache,
+  saveCache,
+  writeFileAtomic,
+  readCacheFile,
+  writeCacheFile
+};
+// State of one pair:
 // {
+//   pair: { spotifyPlaylistId, youtubePlaylistId },
 //   lastSync: ISO string | null,
 //   seenTrackIds: string[],
-//   map: { [spotifyTrackId: string]: youtubeVideoId }
-// }
\ No newline at end of file
+//   map: { [spotifyTrackId: string]: youtubeVideoId },
+//   backfill?: { [direction: 'sp2yt'|'yt2sp']: { startedAt, doneIds: string[], completedAt: ISO string | null } },
+//   deferredTrackIds?: string[],  // SP→YT candidates postponed by the YouTube quota budget
+//   skips?: { [direction]: { [itemId]: { reason, attempts, nextAttemptAt, givenUp, … } } },  // see skips.js
+//   review?: { [direction]: { [itemId]: { item, proposed, score, candidates, … } } }         // see reviewQueue.js
+// }
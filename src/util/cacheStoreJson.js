@@ -0,0 +1,46 @@
+// JSON store: one file per pair, .cache/pair_<key>.json.
+// Saves are atomic and keep the previous version as pair_<key>.json.bak (older ones as .bak.1, .bak.2).
+const fs = require('fs');
+const path = require('path');
+const { CACHE_DIR, CacheError, writeFileAtomic } = require('./cache');
+
+const FILE_RE = /^pair_(.+)\.json$/;
+
+function filePath(key) {
+  return path.join(CACHE_DIR, `pair_${key}.json`);
+}
+
+function openStore() {
+  return {
+    name: 'json',
+    describe: key => filePath(key),
+
+    load(key) {
+      const p = filePath(key);
+      if (!fs.existsSync(p)) return null;
+      try {
+        return JSON.parse(fs.readFileSync(p, 'utf8'));
+      } catch (e) {
+        const backup = `${p}.bak`;
+        throw new CacheError(
+          `Cache file ${p} could not be parsed (${e.message}). It was left as is: ` +
+          (fs.existsSync(backup) ? `restore the previous version from ${backup}, or delete it to start over.` : 'fix or delete it to start over.')
+        );
+      }
+    },
+
+    save(key, state) {
+      writeFileAtomic(filePath(key), JSON.stringify(state, null, 2), { keepBackup: true });
+    },
+
+    keys() {
+      return fs.readdirSync(CACHE_DIR).map(f => FILE_RE.exec(f)?.[1]).filter(Boolean).sort();
+    },
+
+    remove(key) {
+      fs.rmSync(filePath(key), { force: true });
+    }
+  };
+}
+
+module.exports = { openStore };
@@ -0,0 +1,124 @@
+// SQLite store: all pairs in .cache/state.sqlite, through the optional better-sqlite3
+// package (npm install better-sqlite3). The seen set and the track → video map get
+// their own tables; the rest of a pair's state (backfill, skips, review, …) is one JSON column.
+//
+//   pairs (key PK, spotify_playlist_id, youtube_playlist_id, last_sync, state, updated_at)
+//   seen  (pair_key, track_id)                    PK (pair_key, track_id)
+//   map   (pair_key, spotify_track_id, video_id)  PK (pair_key, spotify_track_id)
+//
+// Each save is one transaction, so a crash leaves the previous state in place.
+const path = require('path');
+const { CACHE_DIR, CacheError } = require('./cache');
+
+const DB_FILE = path.join(CACHE_DIR, 'state.sqlite');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS pairs (
+    key TEXT PRIMARY KEY,
+    spotify_playlist_id TEXT,
+    youtube_playlist_id TEXT,
+    last_sync TEXT,
+    state TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS seen (
+    pair_key TEXT NOT NULL,
+    track_id TEXT NOT NULL,
+    PRIMARY KEY (pair_key, track_id)
+  ) WITHOUT ROWID;
+  CREATE TABLE IF NOT EXISTS map (
+    pair_key TEXT NOT NULL,
+    spotify_track_id TEXT NOT NULL,
+    video_id TEXT NOT NULL,
+    PRIMARY KEY (pair_key, spotify_track_id)
+  ) WITHOUT ROWID;
+`;
+
+function openDatabase() {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (e) {
+    if (e.code !== 'MODULE_NOT_FOUND') throw e;
+    throw new CacheError('"storage": "sqlite" needs the better-sqlite3 package — run "npm install better-sqlite3"');
+  }
+  try {
+    const db = new Database(DB_FILE);
+    db.exec(SCHEMA);
+    return db;
+  } catch (e) {
+    throw new CacheError(`Cannot open ${DB_FILE} (${e.message}). It was left as is: fix or delete it to start over.`);
+  }
+}
+
+function openStore() {
+  const db = openDatabase();
+  const q = {
+    pair: db.prepare('SELECT last_sync, state FROM pairs WHERE key = ?'),
+    seen: db.prepare('SELECT track_id FROM seen WHERE pair_key = ?').pluck(),
+    map: db.prepare('SELECT spotify_track_id, video_id FROM map WHERE pair_key = ?'),
+    keys: db.prepare('SELECT key FROM pairs ORDER BY key').pluck(),
+    upsertPair: db.prepare(`
+      INSERT INTO pairs (key, spotify_playlist_id, youtube_playlist_id, last_sync, state, updated_at)
+      VALUES (@key, @spotifyPlaylistId, @youtubePlaylistId, @lastSync, @state, @updatedAt)
+      ON CONFLICT (key) DO UPDATE SET
+        spotify_playlist_id = excluded.spotify_playlist_id,
+        youtube_playlist_id = excluded.youtube_playlist_id,
+        last_sync = excluded.last_sync,
+        state = excluded.state,
+        updated_at = excluded.updated_at`),
+    insertSeen: db.prepare('INSERT INTO seen (pair_key, track_id) VALUES (?, ?)'),
+    insertMap: db.prepare('INSERT INTO map (pair_key, spotify_track_id, video_id) VALUES (?, ?, ?)'),
+    clearSeen: db.prepare('DELETE FROM seen WHERE pair_key = ?'),
+    clearMap: db.prepare('DELETE FROM map WHERE pair_key = ?'),
+    deletePair: db.prepare('DELETE FROM pairs WHERE key = ?')
+  };
+
+  const save = db.transaction((key, { lastSync = null, seenTrackIds = [], map = {}, ...rest }) => {
+    q.upsertPair.run({
+      key,
+      spotifyPlaylistId: rest.pair?.spotifyPlaylistId ?? null,
+      youtubePlaylistId: rest.pair?.youtubePlaylistId ?? null,
+      lastSync,
+      state: JSON.stringify(rest),
+      updatedAt: new Date().toISOString()
+    });
+    q.clearSeen.run(key);
+    for (const id of new Set(seenTrackIds)) q.insertSeen.run(key, id);
+    q.clearMap.run(key);
+    for (const [spTrackId, videoId] of Object.entries(map)) {
+      if (videoId != null) q.insertMap.run(key, spTrackId, videoId);
+    }
+  });
+
+  const remove = db.transaction(key => {
+    q.clearSeen.run(key);
+    q.clearMap.run(key);
+    q.deletePair.run(key);
+  });
+
+  return {
+    name: 'sqlite',
+    describe: key => `${DB_FILE} (${key})`,
+
+    load(key) {
+      const row = q.pair.get(key);
+      if (!row) return null;
+      let rest;
+      try {
+        rest = JSON.parse(row.state);
+      } catch (e) {
+        throw new CacheError(`State of ${key} in ${DB_FILE} could not be parsed (${e.message}). Fix or remove the row to start over.`);
+      }
+      const map = {};
+      for (const { spotify_track_id: spTrackId, video_id: videoId } of q.map.all(key)) map[spTrackId] = videoId;
+      return { ...rest, lastSync: row.last_sync, seenTrackIds: q.seen.all(key), map };
+    },
+
+    save: (key, state) => save(key, state),
+    keys: () => q.keys.all(),
+    remove: key => remove(key)
+  };
+}
+
+module.exports = { DB_FILE, openStore };
@@ -0,0 +1,356 @@
+// Loads config.json, validates it against a small schema and resolves
+// per-pair settings on top of the global defaults.
+const fs = require('fs');
+const { isLikedSongsId } = require('./likedSongs');
+const { STORAGE_BACKENDS, pairKey } = require('./cache');
+const { DEFAULT_SCORING, mergeScoring } = require('./scoring');
+const { GLOBAL_SCOPE, SCOPE_SCHEMA, overridesPathFor, readOverridesFile, scopesForPair, compileOverrides } = require('./overrides');
+
+const DIRECTIONS = ['sp2yt', 'yt2sp', 'both', 'off'];
+
+// Global defaults (overridable via a top-level "defaults" block, then per pair)
+const DEFAULTS = {
+  direction: 'both',          // which legs run for this pair (CLI mode still picks the legs of the run)
+  recentSpotifyLimit: 10,     // only inspect last-L from Spotify when doing SP→YT
+  recentYouTubeLimit: 10,     // only inspect last-L from YouTube when doing YT→SP
+  durationSlackSec: 7,
+  syncRemovals: false,
+  backfill: false,
+  skipMaxAttempts: 5,         // unmatched items are retried on a backoff, then given up
+  watchIntervalMinutes: 60,   // --watch: time between runs of this pair (before backoff)
+  matching: {
+    softDupeJaccardMin: 0.45, // title similarity needed for a soft duplicate
+    topK: 5,                  // candidates checked first…
+    escalateK: 10,            // …and once more if nothing passed
+    maxQueries: 4,            // SP→YT: searches per track (each costs YouTube quota)…
+    confidentScore: 8         // …stopping at the first candidate scoring this much
+  },
+  // Per direction score thresholds: ≥ accept is applied, ≥ review is queued for review,
+  // lower is skipped. Unset accept applies every match; unset review queues everything below accept.
+  thresholds: {
+    sp2yt: {},
+    yt2sp: {}
+  },
+  // Named feature weights and soft-duplicate settings of both matchers (see util/scoring.js)
+  scoring: DEFAULT_SCORING
+};
+
+// type: 'string' | 'boolean' | 'integer' | 'number' | 'object' | 'array'
+// arrays: "items" is the element type, "itemProperties" the schema of object elements
+const MATCHING_SCHEMA = {
+  softDupeJaccardMin: { type: 'number', min: 0, max: 1 },
+  topK: { type: 'integer', min: 1, max: 50 },
+  escalateK: { type: 'integer', min: 1, max: 50 },
+  maxQueries: { type: 'integer', min: 1, max: 10 },
+  confidentScore: { type: 'number', min: 0 }
+};
+
+const THRESHOLD_SCHEMA = {
+  accept: { type: 'number', min: 0 },
+  review: { type: 'number', min: 0 }
+};
+
+// Every weight of DEFAULT_SCORING may be set; unknown names are typos
+const weightsSchema = weights => Object.fromEntries(Object.keys(weights).map(name => [name, { type: 'number', min: 0 }]));
+
+const SCORING_SCHEMA = {
+  sp2yt: { type: 'object', properties: { weights: { type: 'object', properties: weightsSchema(DEFAULT_SCORING.sp2yt.weights) } } },
+  yt2sp: {
+    type: 'object',
+    properties: {
+      weights: { type: 'object', properties: weightsSchema(DEFAULT_SCORING.yt2sp.weights) },
+      exactTitle: { type: 'object', properties: weightsSchema(DEFAULT_SCORING.yt2sp.exactTitle) }
+    }
+  },
+  softDupe: {
+    type: 'object',
+    properties: {
+      minSlackSec: { type: 'number', min: 0 },
+      slackRatio: { type: 'number', min: 0, max: 1 },
+      weights: { type: 'object', properties: weightsSchema(DEFAULT_SCORING.softDupe.weights) }
+    }
+  }
+};
+
+const SETTINGS_SCHEMA = {
+  direction: { type: 'string', enum: DIRECTIONS },
+  recentSpotifyLimit: { type: 'integer', min: 0 },
+  recentYouTubeLimit: { type: 'integer', min: 0 },
+  durationSlackSec: { type: 'number', min: 0, max: 120 },
+  syncRemovals: { type: 'boolean' },
+  backfill: { type: 'boolean' },
+  skipMaxAttempts: { type: 'integer', min: 1 },
+  watchIntervalMinutes: { type: 'integer', min: 1 },
+  matching: { type: 'object', properties: MATCHING_SCHEMA },
+  thresholds: {
+    type: 'object',
+    properties: {
+      sp2yt: { type: 'object', properties: THRESHOLD_SCHEMA },
+      yt2sp: { type: 'object', properties: THRESHOLD_SCHEMA }
+    }
+  },
+  scoring: { type: 'object', properties: SCORING_SCHEMA }
+};
+
+// Top-level keys besides "pairs" and "defaults"
+const GLOBAL_SCHEMA = {
+  youtubeQuotaBudget: { type: 'integer', min: 0 },    // daily YouTube units this tool may spend
+  searchCacheTtlDays: { type: 'integer', min: 0 },    // how long search results are reused (0 = off)
+  storage: { type: 'string', enum: STORAGE_BACKENDS } // where pair state lives (see util/cache.js)
+};
+
+const PAIR_SCHEMA = {
+  nickname: { type: 'string' },
+  spotifyPlaylistId: { type: 'string', required: true },
+  youtubePlaylistId: { type: 'string', required: true },
+  ...SETTINGS_SCHEMA
+};
+
+const SPOTIFY_ID_RE = /^[0-9A-Za-z]{22}$/;            // base62 playlist/track ID
+const VIDEO_ID_RE = /^[\w-]{11}$/;                    // YouTube video ID
+const YOUTUBE_ID_RE = /^(?:PL[0-9A-Za-z_-]{16,}|LL)$/; // user playlist or Liked videos
+// Shipped examples ("YOUR_…") and the old "SPOTIFY_PLAYLIST_ID" style placeholders
+const PLACEHOLDER_RE = /^(?:YOUR_[A-Z_]+|SPOTIFY_PLAYLIST_ID|YOUTUBE_PLAYLIST_ID)$/;
+
+class ConfigError extends Error {
+  constructor(problems, warnings = []) {
+    super(`Invalid config:\n${problems.map(p => `  • ${p}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+    this.warnings = warnings;
+  }
+}
+
+function typeOk(type, v) {
+  if (type === 'integer') return Number.isInteger(v);
+  if (type === 'number') return typeof v === 'number' && Number.isFinite(v);
+  if (type === 'object') return v !== null && typeof v === 'object' && !Array.isArray(v);
+  if (type === 'array') return Array.isArray(v);
+  return typeof v === type;
+}
+
+function describeType(type) {
+  return type === 'integer' || type === 'object' || type === 'array' ? `an ${type}` : `a ${type}`;
+}
+
+// Returns a list of human-readable problems, each prefixed with `where`
+function validateObject(obj, schema, where) {
+  const problems = [];
+  for (const key of Object.keys(obj)) {
+    if (!schema[key]) problems.push(`${where}: unknown key "${key}"`);
+  }
+  for (const [key, rule] of Object.entries(schema)) {
+    const v = obj[key];
+    if (v === undefined) {
+      if (rule.required) problems.push(`${where}: "${key}" is required`);
+      continue;
+    }
+    if (!typeOk(rule.type, v)) {
+      problems.push(`${where}: "${key}" must be ${describeType(rule.type)}`);
+      continue;
+    }
+    if (rule.enum && !rule.enum.includes(v)) {
+      problems.push(`${where}: "${key}" must be one of ${rule.enum.join(' | ')} (got "${v}")`);
+    }
+    if (rule.min != null && v < rule.min) problems.push(`${where}: "${key}" must be ≥ ${rule.min}`);
+    if (rule.max != null && v > rule.max) problems.push(`${where}: "${key}" must be ≤ ${rule.max}`);
+    if (rule.properties) problems.push(...validateObject(v, rule.properties, `${where} → ${key}`));
+    if (rule.items) {
+      v.forEach((item, i) => {
+        const at = `${where} → ${key}[${i}]`;
+        if (!typeOk(rule.items, item)) problems.push(`${at}: must be ${describeType(rule.items)}`);
+        else if (rule.itemProperties) problems.push(...validateObject(item, rule.itemProperties, at));
+      });
+    }
+  }
+  return problems;
+}
+
+function describePair(pair, index) {
+  const nick = pair && typeof pair.nickname === 'string' && pair.nickname.trim();
+  return nick ? `Pair "${nick}"` : `Pair #${index + 1}`;
+}
+
+// Merge defaults ← config.defaults ← pair, one level deep for "matching", per direction for
+// "thresholds", all the way down for "scoring"
+function resolvePair(pair, defaults) {
+  const thresholds = {};
+  for (const dir of ['sp2yt', 'yt2sp']) {
+    thresholds[dir] = { ...defaults.thresholds?.[dir], ...pair.thresholds?.[dir] };
+  }
+  return {
+    ...defaults,
+    ...pair,
+    matching: { ...defaults.matching, ...(pair.matching || {}) },
+    thresholds,
+    scoring: mergeScoring(defaults.scoring, pair.scoring)
+  };
+}
+
+function checkResolved(resolved, where) {
+  const problems = [];
+  const { topK, escalateK } = resolved.matching;
+  if (escalateK < topK) problems.push(`${where}: "matching.escalateK" (${escalateK}) must be ≥ "matching.topK" (${topK})`);
+  for (const [dir, { accept, review }] of Object.entries(resolved.thresholds)) {
+    if (accept != null && review != null && review > accept) {
+      problems.push(`${where}: "thresholds.${dir}.review" (${review}) must be ≤ "thresholds.${dir}.accept" (${accept})`);
+    }
+  }
+  return problems;
+}
+
+function checkIds(pair, where) {
+  const problems = [];
+  const { spotifyPlaylistId: spId, youtubePlaylistId: ytId } = pair;
+  if (!isLikedSongsId(spId) && !SPOTIFY_ID_RE.test(spId)) {
+    problems.push(`${where}: "spotifyPlaylistId" "${spId}" is not a 22-character Spotify ID or a Liked Songs alias (liked_songs, liked, me:liked, library:liked)`);
+  }
+  if (!YOUTUBE_ID_RE.test(ytId)) {
+    problems.push(`${where}: "youtubePlaylistId" "${ytId}" is not a YouTube playlist ID (PL… or LL)`);
+  }
+  return problems;
+}
+
+// Duplicate pairs and nickname collisions are errors. Pairs may share a playlist: their
+// sync state is kept per pair.
+function checkAcrossPairs(pairs) {
+  const problems = [];
+  const byNickname = new Map();
+  const byPair = new Map();
+
+  pairs.forEach(({ pair, where }) => {
+    const nick = typeof pair.nickname === 'string' ? pair.nickname.trim().toLowerCase() : '';
+    if (nick) {
+      if (byNickname.has(nick)) problems.push(`${where}: nickname collides with ${byNickname.get(nick)}`);
+      else byNickname.set(nick, where);
+    }
+
+    // Same key as the pair's stored state, so Liked Songs aliases count as one playlist
+    const key = pairKey(pair);
+    if (byPair.has(key)) {
+      problems.push(`${where}: duplicates ${byPair.get(key)} (same Spotify and YouTube playlists)`);
+      return;
+    }
+    byPair.set(key, where);
+  });
+
+  return problems;
+}
+
+// Problems and warnings for a parsed overrides.json; scopes that match no pair only warn
+function checkOverrides(rawOverrides, pairs) {
+  const problems = [];
+  const warnings = [];
+  if (!typeOk('object', rawOverrides)) return { problems: ['overrides.json must contain a JSON object'], warnings };
+
+  const known = new Set([GLOBAL_SCOPE]);
+  for (const pair of pairs) {
+    if (pair?.nickname) known.add(pair.nickname);
+    if (pair?.spotifyPlaylistId) known.add(pair.spotifyPlaylistId);
+  }
+  for (const [scope, body] of Object.entries(rawOverrides)) {
+    const where = `overrides "${scope}"`;
+    if (!known.has(scope)) warnings.push(`${where}: matches no pair nickname or Spotify playlist ID — ignored`);
+    if (!typeOk('object', body)) {
+      problems.push(`${where}: must be an object`);
+      continue;
+    }
+    const own = validateObject(body, SCOPE_SCHEMA, where);
+    problems.push(...own);
+    if (own.length) continue;
+    (body.pins || []).forEach((pin, i) => {
+      if (!SPOTIFY_ID_RE.test(pin.spotify)) problems.push(`${where} → pins[${i}]: "${pin.spotify}" is not a Spotify track ID`);
+      if (!VIDEO_ID_RE.test(pin.youtube)) problems.push(`${where} → pins[${i}]: "${pin.youtube}" is not a YouTube video ID`);
+    });
+    (body.rejects || []).forEach((r, i) => {
+      if (!SPOTIFY_ID_RE.test(r.spotify)) problems.push(`${where} → rejects[${i}]: "${r.spotify}" is not a Spotify track ID`);
+      if (!VIDEO_ID_RE.test(r.youtube)) problems.push(`${where} → rejects[${i}]: "${r.youtube}" is not a YouTube video ID`);
+    });
+  }
+  return { problems, warnings };
+}
+
+// Validate a parsed config object; returns { pairs, defaults, warnings, ...globals } or throws ConfigError.
+// Pairs still holding placeholder IDs are kept but flagged "placeholder" (runs skip them).
+// rawOverrides (parsed overrides.json, optional) is compiled into each pair's "overrides".
+function parseConfig(raw, rawOverrides = null) {
+  const problems = [];
+  const warnings = [];
+  if (!typeOk('object', raw)) throw new ConfigError(['config.json must contain a JSON object']);
+  if (!Array.isArray(raw.pairs)) throw new ConfigError(['"pairs" must be an array']);
+
+  const { pairs: rawPairs, defaults: rawDefaults, ...globals } = raw;
+  problems.push(...validateObject(globals, GLOBAL_SCHEMA, 'config'));
+
+  let defaults = DEFAULTS;
+  if (raw.defaults !== undefined) {
+    if (!typeOk('object', raw.defaults)) {
+      problems.push('"defaults" must be an object');
+    } else {
+      problems.push(...validateObject(raw.defaults, SETTINGS_SCHEMA, 'defaults'));
+      defaults = resolvePair(raw.defaults, DEFAULTS);
+    }
+  }
+
+  const configured = [];
+  const pairs = raw.pairs.map((pair, i) => {
+    const where = describePair(pair, i);
+    if (!typeOk('object', pair)) {
+      problems.push(`${where}: must be an object`);
+      return null;
+    }
+    const own = validateObject(pair, PAIR_SCHEMA, where);
+    problems.push(...own);
+    if (own.length) return null;
+    const resolved = resolvePair(pair, defaults);
+    problems.push(...checkResolved(resolved, where));
+
+    if (PLACEHOLDER_RE.test(pair.spotifyPlaylistId) || PLACEHOLDER_RE.test(pair.youtubePlaylistId)) {
+      warnings.push(`${where}: still has placeholder playlist IDs — skipped until you set real ones`);
+      resolved.placeholder = true;
+      return resolved;
+    }
+    problems.push(...checkIds(pair, where));
+    configured.push({ pair, where });
+    return resolved;
+  });
+
+  problems.push(...checkAcrossPairs(configured));
+  if (rawOverrides != null) {
+    const ov = checkOverrides(rawOverrides, raw.pairs);
+    problems.push(...ov.problems);
+    warnings.push(...ov.warnings);
+  }
+  if (!problems.length && raw.pairs.length && !configured.length) {
+    problems.push('no configured pairs — every pair still has placeholder playlist IDs');
+  }
+
+  if (problems.length) throw new ConfigError(problems, warnings);
+  for (const pair of pairs) pair.overrides = compileOverrides(scopesForPair(rawOverrides, pair));
+  return { ...globals, defaults, pairs, warnings };
+}
+
+// Reads config.json plus the optional overrides.json next to it
+function loadConfig(configPath) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (e) {
+    throw new ConfigError([`Cannot read ${configPath}: ${e.message}`]);
+  }
+  const overridesPath = overridesPathFor(configPath);
+  let rawOverrides;
+  try {
+    rawOverrides = readOverridesFile(overridesPath);
+  } catch (e) {
+    throw new ConfigError([`Cannot read ${overridesPath}: ${e.message}`]);
+  }
+  return parseConfig(raw, rawOverrides);
+}
+
+// Whether a pair's "direction" allows the given leg ('sp2yt' | 'yt2sp')
+function pairRunsDirection(pair, leg) {
+  return pair.direction === 'both' || pair.direction === leg;
+}
+
+module.exports = { loadConfig, parseConfig, pairRunsDirection, ConfigError, DEFAULTS, SPOTIFY_ID_RE, VIDEO_ID_RE };
@@ -0,0 +1,59 @@
+// Append-only journal of what sync runs added (.cache/journal.jsonl), read by `undo`.
+// One JSON object per line, each stamped with the run that wrote it:
+//
+//   { runId, seq, at, op: 'youtube.insert', spotifyPlaylistId, youtubePlaylistId, spTrackId, videoId, playlistItemId }
+//   { runId, seq, at, op: 'spotify.add',    spotifyPlaylistId, youtubePlaylistId, spTrackId, videoId, title }  // title of the video
+//   { runId, seq, at, op: 'map',            spotifyPlaylistId, youtubePlaylistId, spTrackId, before, after }   // cache.map change
+//   { runId, seq, at, op: 'undone',         ref }                                             // written by undo
+//
+// ref = "<runId>#<seq>" of the entry that was reverted. Playlist removals are not journaled
+// (undo only takes back additions), but the mappings they drop are.
+const fs = require('fs');
+const path = require('path');
+const { CACHE_DIR } = require('./cache');
+
+const JOURNAL_FILE = path.join(CACHE_DIR, 'journal.jsonl');
+
+let currentRun = null; // { runId, seq } while a run that writes is in progress
+
+// Sortable, file-name safe ID for a run, from its start time
+function newRunId(now = new Date()) {
+  return now.toISOString().replace(/[:.]/g, '-');
+}
+
+// Entries are only written between beginJournalRun and endJournalRun (not on dry runs)
+function beginJournalRun(runId) {
+  currentRun = { runId, seq: 0 };
+}
+
+function endJournalRun() {
+  currentRun = null;
+}
+
+function journal(op, fields) {
+  if (!currentRun) return;
+  currentRun.seq += 1;
+  const entry = { runId: currentRun.runId, seq: currentRun.seq, at: new Date().toISOString(), op, ...fields };
+  fs.appendFileSync(JOURNAL_FILE, `${JSON.stringify(entry)}\n`, 'utf8');
+}
+
+function entryRef(entry) {
+  return `${entry.runId}#${entry.seq}`;
+}
+
+// All entries, oldest first. A torn last line (crash mid-write) is skipped.
+function readJournal() {
+  if (!fs.existsSync(JOURNAL_FILE)) return [];
+  const entries = [];
+  for (const line of fs.readFileSync(JOURNAL_FILE, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // ignore
+    }
+  }
+  return entries;
+}
+
+module.exports = { JOURNAL_FILE, newRunId, beginJournalRun, endJournalRun, journal, entryRef, readJournal };
@@ -0,0 +1,10 @@
+// Liked Songs: the user's library, named in config.json by an alias instead of a playlist ID.
+
+// Accept a few friendly aliases for Liked Songs
+function isLikedSongsId(id) {
+  if (!id) return false;
+  const x = String(id).toLowerCase().trim();
+  return x === 'liked_songs' || x === 'liked' || x === 'me:liked' || x === 'library:liked';
+}
+
+module.exports = { isLikedSongsId };
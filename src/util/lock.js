@@ -0,0 +1,113 @@
+// Lock files in ./.cache, so two processes never sync at the same time
+// (a --watch daemon and a cron run, two terminals, …).
+// A lock file holds { pid, host, acquiredAt }. A lock left behind by a process that no
+// longer runs on this host is stale and taken over.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CACHE_DIR } = require('./cache');
+
+const SYNC_LOCK = 'sync'; // held while a run (one-shot, --watch cycle, --apply-plan, undo) changes playlists
+
+class LockedError extends Error {
+  constructor(what, holder) {
+    super(`${what} is locked by ${describeHolder(holder)}`);
+    this.name = 'LockedError';
+    this.holder = holder;
+  }
+}
+
+// Held from loading a playlist's cache file to its last save, by anything that writes it
+// (sync legs, --review, undo), so concurrent writers can't overwrite each other's changes
+function cacheLockName(key) {
+  return `cache_${key}`; // key: pairKey() from cache.js
+}
+
+function lockPath(name) {
+  return path.join(CACHE_DIR, `${name}.lock`);
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0); // signal 0 only checks that the process exists
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+function readHolder(p) {
+  try {
+    return JSON.parse(fs.readFileSync(p, 'utf8'));
+  } catch {
+    return null; // unreadable or half-written: treated as held, never stale
+  }
+}
+
+function isStale(holder) {
+  return !!holder && holder.host === os.hostname() && Number.isInteger(holder.pid) && !isAlive(holder.pid);
+}
+
+function holderRecord() {
+  return JSON.stringify({ pid: process.pid, host: os.hostname(), acquiredAt: new Date().toISOString() });
+}
+
+function isMine(holder) {
+  return !!holder && holder.pid === process.pid && holder.host === os.hostname();
+}
+
+// A stale lock is replaced in one rename (never deleted first, which would let a second
+// process create it in between); whoever's record is in the file afterwards holds it
+function takeOver(p) {
+  const tmp = `${p}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tmp, holderRecord());
+    fs.renameSync(tmp, p);
+  } finally {
+    fs.rmSync(tmp, { force: true });
+  }
+  return isMine(readHolder(p));
+}
+
+// Returns { release } when the lock was acquired, or { holder } describing who has it
+function tryLock(name) {
+  const p = lockPath(name);
+  let acquired = false;
+  try {
+    const fd = fs.openSync(p, 'wx'); // fails if the file exists
+    fs.writeSync(fd, holderRecord());
+    fs.closeSync(fd);
+    acquired = true;
+  } catch (e) {
+    if (e.code !== 'EEXIST') throw e;
+    acquired = isStale(readHolder(p)) && takeOver(p);
+  }
+  if (!acquired) return { holder: readHolder(p) || { pid: null, host: null, acquiredAt: null } };
+
+  let released = false;
+  return {
+    release: () => {
+      if (released) return;
+      released = true;
+      if (isMine(readHolder(p))) fs.rmSync(p, { force: true });
+    }
+  };
+}
+
+// Runs fn while holding the lock; throws LockedError when someone else has it
+async function withLock(name, what, fn) {
+  const lock = tryLock(name);
+  if (!lock.release) throw new LockedError(what, lock.holder);
+  try {
+    return await fn();
+  } finally {
+    lock.release();
+  }
+}
+
+function describeHolder(holder) {
+  const who = holder.pid ? `pid ${holder.pid}${holder.host ? ` on ${holder.host}` : ''}` : 'another process';
+  return `${who}${holder.acquiredAt ? ` since ${holder.acquiredAt}` : ''}`;
+}
+
+module.exports = { SYNC_LOCK, LockedError, cacheLockName, lockPath, tryLock, withLock, describeHolder };
@@ -0,0 +1,61 @@
+// Leveled logging for sync runs.
+// Text output keeps the familiar "[pair] message" lines; --log-format=json prints one JSON
+// object per line instead ({ ts, level, pair, event?, msg, …fields }), for cron and log
+// shippers. Structured events (log.event) also reach every registered sink, whatever the
+// level, which is how the per-run report is built.
+const util = require('util');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FORMATS = ['text', 'json'];
+
+const settings = { level: 'info', format: 'text' };
+const sinks = new Set();
+
+function configureLogging({ level, format } = {}) {
+  if (level != null) {
+    if (!(level in LEVELS)) throw new Error(`Unknown --log-level "${level}" (expected one of: ${Object.keys(LEVELS).join(', ')})`);
+    settings.level = level;
+  }
+  if (format != null) {
+    if (!FORMATS.includes(format)) throw new Error(`Unknown --log-format "${format}" (expected one of: ${FORMATS.join(', ')})`);
+    settings.format = format;
+  }
+}
+
+// fn(record) is called for every record; returns a function that removes it again
+function addLogSink(fn) {
+  sinks.add(fn);
+  return () => sinks.delete(fn);
+}
+
+function write(level, label, message, event, fields) {
+  const record = { ts: new Date().toISOString(), level };
+  if (label) record.pair = label;
+  if (event) record.event = event;
+  Object.assign(record, fields);
+  if (message != null) record.msg = message.trim();
+  for (const sink of sinks) sink(record);
+
+  if (LEVELS[level] < LEVELS[settings.level]) return;
+  if (settings.format === 'json') {
+    console.log(JSON.stringify(record));
+  } else if (message != null) {
+    console.log(label ? `[${label}] ${message}` : message);
+  }
+}
+
+// log(...) logs at info; log.debug/info/warn/error pick the level, and
+// log.event(name, fields, message?, level?) records a structured event.
+// label prefixes every line ("[gym] …") and becomes the "pair" field; null for run-wide lines.
+function createLogger(label) {
+  const at = level => (...args) => write(level, label, util.format(...args));
+  const log = at('info');
+  log.debug = at('debug');
+  log.info = log;
+  log.warn = at('warn');
+  log.error = at('error');
+  log.event = (event, fields = {}, message = null, level = 'info') => write(level, label, message, event, fields);
+  return log;
+}
+
+module.exports = { LEVELS, FORMATS, configureLogging, addLogSink, createLogger };
@@ -0,0 +1,163 @@
+// Manual match overrides from overrides.json (next to config.json, optional).
+// Scopes are keyed by pair nickname or Spotify playlist ID; "*" applies to every pair.
+//
+// {
+//   "*":   { "block": { "youtubeChannels": ["Karaoke Hits"] } },
+//   "gym": {
+//     "pins": [{ "spotify": "<trackId>", "youtube": "<videoId>", "note": "not the cover" }],
+//     "block": { "youtubeVideos": [], "youtubeChannels": [], "spotifyTracks": [] },
+//     "neverSync": { "spotifyTracks": [], "youtubeVideos": [] },
+//     "rejects": [{ "spotify": "<trackId>", "youtube": "<videoId>" }]
+//   }
+// }
+//
+// pins      map a track and a video to each other in both directions, without searching
+// block     keeps videos, channels (name or UC… ID) and tracks from ever being chosen
+// neverSync keeps source items from being mirrored at all
+// rejects   keep one track and one video from being matched to each other (both stay usable otherwise)
+const fs = require('fs');
+const path = require('path');
+const { norm } = require('./text');
+
+const OVERRIDES_FILE = 'overrides.json';
+const GLOBAL_SCOPE = '*';
+
+const ID_LIST = { type: 'array', items: 'string' };
+
+const PIN_SCHEMA = {
+  spotify: { type: 'string', required: true },
+  youtube: { type: 'string', required: true },
+  note: { type: 'string' }
+};
+
+const SCOPE_SCHEMA = {
+  pins: { type: 'array', items: 'object', itemProperties: PIN_SCHEMA },
+  block: {
+    type: 'object',
+    properties: { youtubeVideos: ID_LIST, youtubeChannels: ID_LIST, spotifyTracks: ID_LIST }
+  },
+  neverSync: {
+    type: 'object',
+    properties: { spotifyTracks: ID_LIST, youtubeVideos: ID_LIST }
+  },
+  rejects: { type: 'array', items: 'object', itemProperties: PIN_SCHEMA }
+};
+
+function overridesPathFor(configPath) {
+  return path.join(path.dirname(configPath), OVERRIDES_FILE);
+}
+
+// Raw file contents, or null when there is no overrides file
+function readOverridesFile(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Scope a command writes decisions to: the pair's nickname, else its Spotify playlist ID
+function scopeKeyForPair(pair) {
+  return pair.nickname || pair.spotifyPlaylistId;
+}
+
+// Read-modify-write of one scope; mutate(scope) edits it in place
+function updateOverridesFile(filePath, scopeKey, mutate) {
+  const raw = readOverridesFile(filePath) || {};
+  if (!raw[scopeKey]) raw[scopeKey] = {};
+  mutate(raw[scopeKey]);
+  fs.writeFileSync(filePath, JSON.stringify(raw, null, 2) + '\n', 'utf8');
+}
+
+// Pin a track ↔ video, replacing any pin either of them had in this scope
+function recordPin(filePath, scopeKey, { spotify, youtube, note }) {
+  updateOverridesFile(filePath, scopeKey, scope => {
+    scope.pins = (scope.pins || []).filter(p => p.spotify !== spotify && p.youtube !== youtube);
+    scope.pins.push(note ? { spotify, youtube, note } : { spotify, youtube });
+  });
+}
+
+// Never match this track and video to each other again
+function recordReject(filePath, scopeKey, { spotify, youtube, note }) {
+  updateOverridesFile(filePath, scopeKey, scope => {
+    scope.rejects = scope.rejects || [];
+    if (scope.rejects.some(r => r.spotify === spotify && r.youtube === youtube)) return;
+    scope.rejects.push(note ? { spotify, youtube, note } : { spotify, youtube });
+  });
+}
+
+// section: 'block' | 'neverSync'; list: e.g. 'youtubeVideos', 'spotifyTracks'
+function recordListEntry(filePath, scopeKey, section, list, id) {
+  updateOverridesFile(filePath, scopeKey, scope => {
+    if (!scope[section]) scope[section] = {};
+    const ids = scope[section][list] || [];
+    if (!ids.includes(id)) ids.push(id);
+    scope[section][list] = ids;
+  });
+}
+
+// Scopes that apply to a pair, global first
+function scopesForPair(raw, pair) {
+  if (!raw) return [];
+  const keys = [GLOBAL_SCOPE, pair.nickname, pair.spotifyPlaylistId].filter(Boolean);
+  return [...new Set(keys)].map(k => raw[k]).filter(Boolean);
+}
+
+// Flatten the applicable scopes into lookup tables; later scopes win on conflicting pins
+function compileOverrides(scopes) {
+  const ov = {
+    videoForTrack: new Map(),
+    trackForVideo: new Map(),
+    blockedVideos: new Set(),
+    blockedChannels: new Set(),
+    blockedTracks: new Set(),
+    neverSyncTracks: new Set(),
+    neverSyncVideos: new Set(),
+    rejectedMatches: new Set() // "<trackId>:<videoId>"
+  };
+  for (const scope of scopes) {
+    for (const pin of scope.pins || []) {
+      ov.videoForTrack.set(pin.spotify, pin.youtube);
+      ov.trackForVideo.set(pin.youtube, pin.spotify);
+    }
+    for (const id of scope.block?.youtubeVideos || []) ov.blockedVideos.add(id);
+    for (const ch of scope.block?.youtubeChannels || []) ov.blockedChannels.add(/^UC[\w-]{22}$/.test(ch) ? ch : norm(ch));
+    for (const id of scope.block?.spotifyTracks || []) ov.blockedTracks.add(id);
+    for (const id of scope.neverSync?.spotifyTracks || []) ov.neverSyncTracks.add(id);
+    for (const id of scope.neverSync?.youtubeVideos || []) ov.neverSyncVideos.add(id);
+    for (const r of scope.rejects || []) ov.rejectedMatches.add(`${r.spotify}:${r.youtube}`);
+  }
+  return ov;
+}
+
+const NO_OVERRIDES = compileOverrides([]);
+
+// v: canonical video or search candidate ({ id, channelTitle, channelId? })
+function isBlockedVideo(ov, v) {
+  return ov.blockedVideos.has(v.id) ||
+    (v.channelId && ov.blockedChannels.has(v.channelId)) ||
+    (!!v.channelTitle && ov.blockedChannels.has(norm(v.channelTitle)));
+}
+
+function isBlockedTrack(ov, trackId) {
+  return ov.blockedTracks.has(trackId);
+}
+
+function isRejectedMatch(ov, trackId, videoId) {
+  return ov.rejectedMatches.has(`${trackId}:${videoId}`);
+}
+
+module.exports = {
+  OVERRIDES_FILE,
+  GLOBAL_SCOPE,
+  SCOPE_SCHEMA,
+  NO_OVERRIDES,
+  overridesPathFor,
+  readOverridesFile,
+  scopeKeyForPair,
+  recordPin,
+  recordReject,
+  recordListEntry,
+  scopesForPair,
+  compileOverrides,
+  isBlockedVideo,
+  isBlockedTrack,
+  isRejectedMatch
+};
@@ -0,0 +1,75 @@
+// --interactive: step through a sync plan before it is applied. Each add / map / remove /
+// review entry is shown with the candidates already fetched for it, and the user accepts it,
+// rejects it, picks another candidate, or answers for the rest of the plan at once.
+const APPROVABLE = new Set(['add', 'map-only', 'remove', 'review']);
+
+// hooks (direction specific):
+//   format(p)          plan line for the entry
+//   formatCandidate(c) one candidate line
+//   targetOf(p)        ID the entry currently points at
+//   accept(p)          entry to apply (a review entry becomes an add or map)
+//   retarget(p, c)     entry pointing at candidate c instead
+//   reject(p)          replacement entry, or null to drop it
+//   postpone(p)        replacement entry for "skip rest", or null to drop it
+// Returns the approved plan; entries that need no approval pass through unchanged.
+async function approvePlan(prompt, plan, hooks, log) {
+  if (!plan.some(p => APPROVABLE.has(p.action))) return plan;
+  log('• Approve each action ([y]es / [n]o / number = use that candidate):');
+  const approved = [];
+  const keep = p => { if (p) approved.push(p); };
+  const counts = { accepted: 0, rejected: 0, postponed: 0 };
+  let rest = null; // 'apply' | 'skip' once the user answered for the rest
+
+  for (const p of plan) {
+    if (!APPROVABLE.has(p.action)) {
+      approved.push(p);
+      continue;
+    }
+    if (rest === 'apply') {
+      keep(hooks.accept(p));
+      counts.accepted += 1;
+      continue;
+    }
+    if (rest === 'skip') {
+      keep(hooks.postpone(p));
+      counts.postponed += 1;
+      continue;
+    }
+
+    log(hooks.format(p));
+    const candidates = p.candidates || [];
+    candidates.forEach((c, i) => {
+      const star = c.id === hooks.targetOf(p) ? '★' : ' ';
+      log(`      ${star}${i + 1}) ${hooks.formatCandidate(c)}  score≈${c.score.toFixed(2)}`);
+    });
+    const pick = !candidates.length ? '' : ` / [${candidates.length > 1 ? `1-${candidates.length}` : 1}] pick`;
+
+    for (;;) {
+      const answer = await prompt.ask(`    [y]es / [n]o${pick} / [a]pply rest / [s]kip rest: `);
+      const a = answer == null ? 's' : answer.toLowerCase(); // input ended: leave the rest for later
+      if (a === 'y' || a === 'a') {
+        keep(hooks.accept(p));
+        counts.accepted += 1;
+        if (a === 'a') rest = 'apply';
+      } else if (a === 'n') {
+        keep(hooks.reject(p));
+        counts.rejected += 1;
+      } else if (/^\d+$/.test(a) && candidates[Number(a) - 1]) {
+        keep(hooks.retarget(p, candidates[Number(a) - 1]));
+        counts.accepted += 1;
+      } else if (a === 's') {
+        keep(hooks.postpone(p));
+        counts.postponed += 1;
+        rest = 'skip';
+      } else {
+        continue; // unrecognized: ask again
+      }
+      break;
+    }
+  }
+
+  log(`• Approved ${counts.accepted}, rejected ${counts.rejected}, left for later ${counts.postponed}`);
+  return approved;
+}
+
+module.exports = { approvePlan };
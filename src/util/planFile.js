@@ -0,0 +1,233 @@
+// Saved sync plans: --plan-out writes what a run planned, --apply-plan executes it later
+// without searching again. Every entry is re-checked against the playlists as they are at
+// apply time, and entries that no longer hold are refused instead of applied.
+//
+// {
+//   "version": 1,
+//   "createdAt": ISO string,
+//   "dryRun": true,
+//   "pairs": [{
+//     "pair": "gym", "spotifyPlaylistId": "…", "youtubePlaylistId": "…",
+//     "sp2yt": [entry…], "yt2sp": [entry…]
+//   }]
+// }
+//
+// entry = {
+//   action: 'add' | 'map-only' | 'remove' | 'review' | 'skip' | 'defer',
+//   source: { id, title, … },         // Spotify track (sp2yt) or YouTube video (yt2sp)
+//   target: { id, title, … } | null,  // chosen counterpart; for 'remove', the item removed
+//   score, reason, escalated,
+//   remembered?, override?, candidates?
+// }
+const fs = require('fs');
+const { isBlockedVideo, isBlockedTrack, isRejectedMatch } = require('./overrides');
+
+const PLAN_VERSION = 1;
+const ACTIONS = new Set(['add', 'map-only', 'remove', 'review', 'skip', 'defer']);
+const DIRECTIONS = ['sp2yt', 'yt2sp'];
+
+class PlanFileError extends Error {
+  constructor(filePath, problems) {
+    super(`Invalid plan file ${filePath}:\n${problems.map(p => `  • ${p}`).join('\n')}`);
+    this.name = 'PlanFileError';
+    this.problems = problems;
+  }
+}
+
+// ---------- Writing ----------
+
+function spTrackJson(s) {
+  return { id: s.id, title: s.title, artists: s.artists, album: s.album, durationMs: s.durationMs };
+}
+
+function ytVideoJson(v) {
+  return { id: v.id, title: v.title, channelTitle: v.channelTitle, channelId: v.channelId, durationMs: v.durationMs };
+}
+
+// lookupTarget(id) → display details for a target that is not among the candidates
+function entryJson(direction, p, lookupTarget) {
+  const sp2yt = direction === 'sp2yt';
+  let source;
+  let targetId;
+  if (p.action === 'remove') {
+    source = { id: sp2yt ? p.spTrackId : p.videoId };
+    targetId = sp2yt ? p.videoId : p.spTrackId;
+  } else {
+    source = sp2yt ? spTrackJson(p.s) : ytVideoJson(p.v);
+    targetId = sp2yt ? p.videoId : p.spTrackId;
+  }
+
+  let target = null;
+  if (targetId) {
+    const candidate = (p.candidates || []).find(c => c.id === targetId);
+    const known = candidate || lookupTarget(targetId) || (p.action === 'remove' ? (p.v || p.s) : null);
+    target = known
+      ? (sp2yt ? ytVideoJson(known) : { id: targetId, title: known.title || known.name, artists: known.artists })
+      : { id: targetId };
+  }
+
+  const json = {
+    action: p.action,
+    source,
+    target,
+    score: p.score ?? null,
+    reason: p.reason || null,
+    escalated: !!p.escalated
+  };
+  if (p.remembered) json.remembered = true;
+  if (p.override) json.override = true;
+  if (p.candidates) json.candidates = p.candidates;
+  return json;
+}
+
+// Collects the plans of one run, grouped by pair
+function createPlanRecorder() {
+  const pairs = [];
+
+  function add(pair, direction, plan, lookupTarget = () => null) {
+    let entry = pairs.find(e =>
+      e.spotifyPlaylistId === pair.spotifyPlaylistId && e.youtubePlaylistId === pair.youtubePlaylistId);
+    if (!entry) {
+      entry = {
+        pair: pair.nickname || null,
+        spotifyPlaylistId: pair.spotifyPlaylistId,
+        youtubePlaylistId: pair.youtubePlaylistId,
+        sp2yt: [],
+        yt2sp: []
+      };
+      pairs.push(entry);
+    }
+    entry[direction].push(...plan.map(p => entryJson(direction, p, lookupTarget)));
+  }
+
+  function count() {
+    return pairs.reduce((n, e) => n + e.sp2yt.length + e.yt2sp.length, 0);
+  }
+
+  return { add, count, toJSON: () => pairs };
+}
+
+function writePlanFile(filePath, recorder, { dryRun }) {
+  const doc = { version: PLAN_VERSION, createdAt: new Date().toISOString(), dryRun: !!dryRun, pairs: recorder.toJSON() };
+  fs.writeFileSync(filePath, JSON.stringify(doc, null, 2));
+}
+
+// ---------- Reading ----------
+
+function readPlanFile(filePath) {
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    throw new PlanFileError(filePath, [e.code === 'ENOENT' ? 'file not found' : e.message]);
+  }
+
+  const problems = [];
+  if (doc?.version !== PLAN_VERSION) problems.push(`unsupported version ${JSON.stringify(doc?.version)} (expected ${PLAN_VERSION})`);
+  if (!Array.isArray(doc?.pairs)) problems.push('"pairs" must be an array');
+  for (const [i, pair] of (Array.isArray(doc?.pairs) ? doc.pairs : []).entries()) {
+    const where = `pairs[${i}]`;
+    if (!pair?.spotifyPlaylistId || !pair?.youtubePlaylistId) problems.push(`${where}: missing playlist IDs`);
+    for (const direction of DIRECTIONS) {
+      if (!Array.isArray(pair?.[direction])) {
+        problems.push(`${where}.${direction} must be an array`);
+        continue;
+      }
+      pair[direction].forEach((e, j) => {
+        if (!ACTIONS.has(e?.action)) problems.push(`${where}.${direction}[${j}]: unknown action ${JSON.stringify(e?.action)}`);
+        if (!e?.source?.id) problems.push(`${where}.${direction}[${j}]: missing source.id`);
+        if (['add', 'map-only', 'remove', 'review'].includes(e?.action) && !e?.target?.id) {
+          problems.push(`${where}.${direction}[${j}]: missing target.id`);
+        }
+      });
+    }
+  }
+  if (problems.length) throw new PlanFileError(filePath, problems);
+  return doc;
+}
+
+// ---------- Resolving against the playlists as they are now ----------
+// Each resolver returns { p } (a plan entry the apply step understands) or { stale: reason }.
+
+// live = { spById, ytById, ytVideoSet, cache, overrides }
+function resolveSp2YtEntry(e, { spById, ytById, ytVideoSet, cache, overrides }) {
+  const videoId = e.target?.id;
+
+  if (e.action === 'remove') {
+    const spTrackId = e.source.id;
+    if (spById.has(spTrackId)) return { stale: 'track is back in the Spotify playlist' };
+    if (cache.map[spTrackId] !== videoId) return { stale: 'mapping changed since the plan was made' };
+    if (!ytVideoSet.has(videoId)) return { stale: 'video already gone from YouTube' };
+    const entries = ytById.get(videoId);
+    return { p: { action: 'remove', spTrackId, videoId, v: entries[0], playlistItemIds: entries.map(v => v.playlistItemId), reason: e.reason } };
+  }
+
+  const s = spById.get(e.source.id);
+  if (!s) return { stale: 'track no longer in the Spotify playlist' };
+  const p = { s, action: e.action, reason: e.reason || undefined, score: e.score ?? undefined, escalated: e.escalated };
+  if (e.remembered) p.remembered = true;
+  if (e.override) p.override = true;
+  if (e.candidates) p.candidates = e.candidates;
+  if (e.action === 'skip' || e.action === 'defer') return { p };
+  if (overrides.neverSyncTracks.has(s.id)) return { stale: 'track is now marked never-sync' };
+
+  const mapped = cache.map[s.id];
+  if (mapped && ytVideoSet.has(mapped) && (mapped === videoId || e.reason !== 'pinned')) {
+    return { stale: `already mapped to ${mapped}` };
+  }
+  if (e.reason !== 'pinned' && isBlockedVideo(overrides, e.target)) return { stale: `video ${videoId} is now blocked` };
+  if (e.reason !== 'pinned' && isRejectedMatch(overrides, s.id, videoId)) return { stale: `match with video ${videoId} was rejected since` };
+  if (e.action === 'add' && ytVideoSet.has(videoId)) return { stale: 'video already in the YouTube playlist' };
+  if (e.action === 'map-only' && !ytVideoSet.has(videoId)) return { stale: 'video no longer in the YouTube playlist' };
+  return { p: { ...p, videoId } };
+}
+
+// live = { ytById, spById, spTrackSet, ytVideoSet, reverseMap, cache, overrides }
+function resolveYt2SpEntry(e, { ytById, spById, spTrackSet, ytVideoSet, reverseMap, cache, overrides }) {
+  const spTrackId = e.target?.id;
+
+  if (e.action === 'remove') {
+    const videoId = e.source.id;
+    if (ytVideoSet.has(videoId)) return { stale: 'video is back in the YouTube playlist' };
+    if (cache.map[spTrackId] !== videoId) return { stale: 'mapping changed since the plan was made' };
+    if (!spTrackSet.has(spTrackId)) return { stale: 'track already gone from Spotify' };
+    return { p: { s: spById.get(spTrackId), action: 'remove', spTrackId, videoId, reason: e.reason } };
+  }
+
+  const v = ytVideoSet.has(e.source.id) ? ytById.get(e.source.id)?.[0] : null;
+  if (!v) return { stale: 'video no longer in the YouTube playlist' };
+  const p = { v, action: e.action, reason: e.reason || undefined, score: e.score ?? undefined, escalated: e.escalated };
+  if (e.remembered) p.remembered = true;
+  if (e.override) p.override = true;
+  if (e.candidates) p.candidates = e.candidates;
+  if (e.action === 'skip' || e.action === 'defer') return { p };
+  if (overrides.neverSyncVideos.has(v.id)) return { stale: 'video is now marked never-sync' };
+
+  const mapped = reverseMap.get(v.id);
+  if (mapped && spTrackSet.has(mapped) && (mapped === spTrackId || e.reason !== 'pinned')) {
+    return { stale: `already mapped to spotify:track:${mapped}` };
+  }
+  if (e.reason !== 'pinned' && isBlockedTrack(overrides, spTrackId)) return { stale: `track ${spTrackId} is now blocked` };
+  if (e.reason !== 'pinned' && isRejectedMatch(overrides, spTrackId, v.id)) return { stale: `match with track ${spTrackId} was rejected since` };
+  if (e.action === 'add' && spTrackSet.has(spTrackId)) return { stale: 'track already in the Spotify playlist' };
+  if (e.action === 'map-only' && !spTrackSet.has(spTrackId)) return { stale: 'track no longer in the Spotify playlist' };
+  return { p: { ...p, spTrackId } };
+}
+
+// One line for a saved entry, used when it is refused
+function describeSavedEntry(e) {
+  const source = e.source.title ? `${e.source.title} (${e.source.id})` : e.source.id;
+  const target = e.target ? `  →  ${e.target.title ? `${e.target.title} (${e.target.id})` : e.target.id}` : '';
+  return `${e.action.toUpperCase()} ${source}${target}`;
+}
+
+module.exports = {
+  PLAN_VERSION,
+  PlanFileError,
+  createPlanRecorder,
+  writePlanFile,
+  readPlanFile,
+  resolveSp2YtEntry,
+  resolveYt2SpEntry,
+  describeSavedEntry
+};
@@ -0,0 +1,37 @@
+// Line prompts on stdin/stdout for the interactive commands.
+// ask() resolves to the trimmed answer, or null once input has ended (Ctrl-D, closed pipe).
+// Lines that arrive before they are asked for are buffered, so answers can be piped in.
+const readline = require('readline');
+
+function createPrompt() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const buffered = [];
+  let waiting = null;
+  let closed = false;
+
+  rl.on('line', line => {
+    if (waiting) {
+      const resolve = waiting;
+      waiting = null;
+      resolve(line.trim());
+    } else {
+      buffered.push(line.trim());
+    }
+  });
+  rl.on('close', () => {
+    closed = true;
+    if (waiting) waiting(null);
+    waiting = null;
+  });
+
+  function ask(question) {
+    process.stdout.write(question);
+    if (buffered.length) return Promise.resolve(buffered.shift());
+    if (closed) return Promise.resolve(null);
+    return new Promise(resolve => { waiting = resolve; });
+  }
+
+  return { ask, close: () => rl.close() };
+}
+
+module.exports = { createPrompt };
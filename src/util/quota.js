@@ -0,0 +1,83 @@
+// YouTube Data API quota accounting.
+// Every YouTube call is charged by its documented unit cost into a daily ledger in
+// .cache/youtube_quota.json. The day rolls over at midnight Pacific time, like Google's quota.
+const { readCacheFile, writeCacheFile } = require('./cache');
+
+const LEDGER_FILE = 'youtube_quota.json';
+const DEFAULT_DAILY_BUDGET = 10000;
+
+// Unit cost per call (https://developers.google.com/youtube/v3/determine_quota_cost)
+const COSTS = {
+  'search.list': 100,
+  'videos.list': 1,
+  'playlistItems.list': 1,
+  'playlistItems.insert': 50,
+  'playlistItems.delete': 50
+};
+
+// What one SP→YT lookup can cost: search + details, plus the insert if it matches
+const SEARCH_UNITS = COSTS['search.list'] + COSTS['videos.list'] + COSTS['playlistItems.insert'];
+
+let budget = DEFAULT_DAILY_BUDGET;
+let metering = true;
+
+function setQuotaBudget(units) {
+  budget = units;
+}
+
+// Offline replays (the eval command) talk to stand-in clients: nothing to charge
+function setQuotaMetering(on) {
+  metering = on;
+}
+
+function quotaDay(now = new Date()) {
+  // en-CA formats as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Los_Angeles' }).format(now);
+}
+
+function loadLedger() {
+  const today = quotaDay();
+  const ledger = readCacheFile(LEDGER_FILE, null);
+  if (!ledger || ledger.day !== today) return { day: today, used: 0, byOp: {} };
+  return ledger;
+}
+
+function chargeQuota(op) {
+  const cost = COSTS[op];
+  if (cost == null) throw new Error(`Unknown YouTube quota cost for "${op}"`);
+  if (!metering) return;
+  const ledger = loadLedger();
+  ledger.used += cost;
+  ledger.byOp[op] = (ledger.byOp[op] || 0) + cost;
+  writeCacheFile(LEDGER_FILE, ledger);
+}
+
+function quotaUsedToday() {
+  return loadLedger().used;
+}
+
+function quotaRemaining() {
+  return Math.max(0, budget - quotaUsedToday());
+}
+
+function canAfford(units) {
+  return quotaRemaining() >= units;
+}
+
+function formatQuota() {
+  return `YouTube quota today: ${quotaUsedToday()} / ${budget} units`;
+}
+
+module.exports = {
+  COSTS,
+  SEARCH_UNITS,
+  DEFAULT_DAILY_BUDGET,
+  setQuotaBudget,
+  setQuotaMetering,
+  chargeQuota,
+  quotaDay,
+  quotaUsedToday,
+  quotaRemaining,
+  canAfford,
+  formatQuota
+};
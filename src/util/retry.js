@@ -0,0 +1,114 @@
+// Shared request wrapper for Spotify and YouTube API calls:
+// exponential backoff with jitter on 429 / 5xx / network errors, Spotify Retry-After,
+// and YouTube quotaExceeded surfaced as a non-retryable QuotaExceededError. So is a rate limit
+// whose Retry-After is too long to wait out, so that only the current pair stops.
+
+const MAX_RETRIES = 5;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 30000;
+const MAX_RETRY_AFTER_SEC = 300; // a longer Retry-After means "come back later", not "retry"
+
+const NETWORK_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH']);
+const YT_QUOTA_REASONS = new Set(['quotaExceeded', 'dailyLimitExceeded']);
+const YT_RATE_REASONS = new Set(['rateLimitExceeded', 'userRateLimitExceeded']);
+
+class QuotaExceededError extends Error {
+  constructor(service, op, cause, retryAfterSec = null) {
+    super(retryAfterSec != null
+      ? `${service} rate limit during ${op} (Retry-After ${retryAfterSec}s)`
+      : `${service} quota exceeded during ${op}`);
+    this.name = 'QuotaExceededError';
+    this.service = service;
+    this.op = op;
+    this.cause = cause;
+    this.retryAfterSec = retryAfterSec;
+  }
+}
+
+// Per-run counters, reported in the run summary
+const stats = {};
+function statsFor(service) {
+  if (!stats[service]) stats[service] = { calls: 0, retries: 0, failures: 0 };
+  return stats[service];
+}
+function getApiStats() {
+  return JSON.parse(JSON.stringify(stats));
+}
+function resetApiStats() {
+  for (const k of Object.keys(stats)) delete stats[k];
+}
+
+// spotify-web-api-node errors carry statusCode/headers; gaxios errors carry response/errors
+function statusOf(e) {
+  if (Number.isInteger(e?.statusCode)) return e.statusCode;
+  if (Number.isInteger(e?.response?.status)) return e.response.status;
+  if (Number.isInteger(e?.code)) return e.code;
+  return null;
+}
+
+function youtubeReasons(e) {
+  const errs = e?.errors || e?.response?.data?.error?.errors || [];
+  return errs.map(x => x?.reason).filter(Boolean);
+}
+
+function retryAfterSec(e) {
+  const h = e?.headers || e?.response?.headers || {};
+  const v = Number(h['retry-after'] ?? h['Retry-After']);
+  return Number.isFinite(v) && v >= 0 ? v : null;
+}
+
+// Returns { retry: boolean, delayMs?: number, quota?: true, retryAfterSec?: number }
+function classify(service, e, { idempotent }) {
+  const status = statusOf(e);
+  const reasons = service === 'youtube' ? youtubeReasons(e) : [];
+
+  if (reasons.some(r => YT_QUOTA_REASONS.has(r))) return { retry: false, quota: true };
+
+  // Rate limits mean the request was rejected, so even non-idempotent calls can retry
+  if (status === 429 || reasons.some(r => YT_RATE_REASONS.has(r))) {
+    const after = retryAfterSec(e);
+    if (after != null && after > MAX_RETRY_AFTER_SEC) return { retry: false, quota: true, retryAfterSec: after };
+    return { retry: true, delayMs: after != null ? after * 1000 : null };
+  }
+
+  // 5xx and network errors may have been applied server-side; only retry safe calls
+  if (!idempotent) return { retry: false };
+  if (status && status >= 500 && status <= 599) return { retry: true };
+  if (e?.code && NETWORK_CODES.has(e.code)) return { retry: true };
+  return { retry: false };
+}
+
+function backoffMs(attempt) {
+  const cap = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+  return Math.floor(cap / 2 + Math.random() * cap / 2); // "equal jitter"
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run fn() with retries. `op` names the call (e.g. 'search.list') for errors and accounting.
+// Pass { idempotent: false } for writes: they retry only when explicitly rate limited.
+async function withRetry(service, op, fn, { idempotent = true, maxRetries = MAX_RETRIES } = {}) {
+  const s = statsFor(service);
+  for (let attempt = 0; ; attempt++) {
+    s.calls += 1;
+    try {
+      return await fn();
+    } catch (e) {
+      const { retry, delayMs, quota, retryAfterSec } = classify(service, e, { idempotent });
+      if (!retry || attempt >= maxRetries) {
+        s.failures += 1;
+        throw quota ? new QuotaExceededError(service, op, e, retryAfterSec) : e;
+      }
+      s.retries += 1;
+      await sleep(delayMs != null ? delayMs : backoffMs(attempt));
+    }
+  }
+}
+
+function formatApiStats(st = getApiStats()) {
+  const parts = Object.entries(st).map(([service, { calls, retries, failures }]) =>
+    `${service}: ${calls} call(s), ${retries} retr${retries === 1 ? 'y' : 'ies'}${failures ? `, ${failures} failed` : ''}`);
+  return parts.length ? parts.join(' · ') : 'no API calls';
+}
+
+module.exports = { withRetry, QuotaExceededError, statusOf, getApiStats, resetApiStats, formatApiStats };
@@ -0,0 +1,46 @@
+// Score thresholds and the persistent review queue for matches that are neither
+// clearly right nor clearly wrong. The queue lives in the pair cache:
+//
+// cache.review[direction][sourceItemId] = {
+//   item: { title, … },              // source item, for display
+//   proposed: targetId,              // best candidate
+//   score: number,
+//   candidates: [{ id, score, breakdown, … }],   // top candidates, best first
+//   queuedAt: ISO string
+// }
+
+// 'accept' | 'review' | 'reject' for a match score under { accept?, review? }
+function judgeScore(thresholds, score) {
+  const { accept, review } = thresholds || {};
+  if (accept == null || score >= accept) return 'accept';
+  if (review == null || score >= review) return 'review';
+  return 'reject';
+}
+
+function queueFor(cache, direction) {
+  return cache.review?.[direction] || {};
+}
+
+function getQueued(cache, direction, id) {
+  return queueFor(cache, direction)[id] || null;
+}
+
+function enqueueReview(cache, direction, id, { item, proposed, score, candidates }) {
+  if (!cache.review) cache.review = {};
+  if (!cache.review[direction]) cache.review[direction] = {};
+  cache.review[direction][id] = { item, proposed, score, candidates, queuedAt: new Date().toISOString() };
+}
+
+function dequeueReview(cache, direction, id) {
+  if (cache.review?.[direction]) delete cache.review[direction][id];
+}
+
+// Forget queued items that left the source playlist
+function pruneReviewQueue(cache, direction, presentIds) {
+  const present = new Set(presentIds);
+  for (const id of Object.keys(queueFor(cache, direction))) {
+    if (!present.has(id)) dequeueReview(cache, direction, id);
+  }
+}
+
+module.exports = { judgeScore, queueFor, getQueued, enqueueReview, dequeueReview, pruneReviewQueue };
@@ -0,0 +1,93 @@
+// Per-run report in .cache/runs/<runId>.json, built from the structured log events:
+//
+// {
+//   runId, startedAt, finishedAt, durationMs, mode, dryRun,
+//   apiCalls: { spotify: { calls, retries, failures }, youtube: { … } },
+//   quotaUsedToday,
+//   pairs: {
+//     [pairLabel]: {
+//       [direction]: {
+//         planned: { add, 'map-only', … },   // per action, before any --interactive decisions
+//         added, mapped, removed, failures,
+//         skips: { [reason]: count },        // remembered skips are counted as 'remembered'
+//         apiCalls: { spotify, youtube },
+//         durationMs,
+//         stopped?: reason                    // e.g. quota
+//       }
+//     }
+//   }
+// }
+const fs = require('fs');
+const path = require('path');
+const { CACHE_DIR } = require('./cache');
+const { addLogSink } = require('./logger');
+
+const RUNS_DIR = path.join(CACHE_DIR, 'runs');
+const APPLIED_COUNTERS = { add: 'added', 'map-only': 'mapped', remove: 'removed' };
+
+function emptySection() {
+  return { planned: {}, added: 0, mapped: 0, removed: 0, failures: 0, skips: {}, apiCalls: {}, durationMs: 0 };
+}
+
+function skipBucket(fields) {
+  return fields.remembered && fields.reason !== 'awaiting_review' ? 'remembered' : fields.reason || 'unknown';
+}
+
+// runId also names the run in the journal (see journal.js), so `undo --run=<runId>` matches
+function startRunReport({ runId, mode, dryRun }) {
+  const startedAt = new Date();
+  const pairs = {};
+  const sectionFor = (label, direction) => {
+    if (!pairs[label]) pairs[label] = {};
+    if (!pairs[label][direction]) pairs[label][direction] = emptySection();
+    return pairs[label][direction];
+  };
+
+  const removeSink = addLogSink(record => {
+    if (!record.event || !record.pair || !record.direction) return;
+    const section = sectionFor(record.pair, record.direction);
+    if (record.event === 'planned') {
+      section.planned[record.action] = (section.planned[record.action] || 0) + 1;
+      if (record.action === 'skip') {
+        const bucket = skipBucket(record);
+        section.skips[bucket] = (section.skips[bucket] || 0) + 1;
+      }
+    } else if (record.event === 'applied' && APPLIED_COUNTERS[record.action]) {
+      section[APPLIED_COUNTERS[record.action]] += 1;
+    } else if (record.event === 'failed') {
+      section.failures += 1;
+    } else if (record.event === 'stopped') {
+      section.stopped = record.reason;
+    } else if (record.event === 'pair_end') {
+      section.durationMs += record.durationMs;
+      for (const [service, calls] of Object.entries(record.apiCalls || {})) {
+        section.apiCalls[service] = (section.apiCalls[service] || 0) + calls;
+      }
+    }
+  });
+
+  // Writes the report and returns its path
+  function finish({ apiCalls, quotaUsedToday }) {
+    removeSink();
+    const finishedAt = new Date();
+    const report = {
+      runId,
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt,
+      mode,
+      dryRun: !!dryRun,
+      apiCalls,
+      quotaUsedToday,
+      pairs
+    };
+    if (!fs.existsSync(RUNS_DIR)) fs.mkdirSync(RUNS_DIR);
+    const filePath = path.join(RUNS_DIR, `${runId}.json`);
+    fs.writeFileSync(filePath, JSON.stringify(report, null, 2), 'utf8');
+    return filePath;
+  }
+
+  return { runId, dryRun: !!dryRun, finish };
+}
+
+module.exports = { RUNS_DIR, startRunReport };
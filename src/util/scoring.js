@@ -0,0 +1,161 @@
+// Scoring engine shared by both matchers (clients/youtube.js for SP→YT, clients/spotify.js
+// for YT→SP). A matcher is a set of named hard filters and named features:
+//   - a candidate failing any filter is rejected (all filters are checked, so the
+//     explanation lists every failed one)
+//   - a surviving candidate scores Σ weight × feature value
+// Weights come from DEFAULT_SCORING, overridden per pair by "scoring" in config.json.
+// A matcher may also name, per filter, an explain(cand) giving the detail of a failure
+// (e.g. the duration difference against the slack).
+//
+// Every lookup returns an explanation:
+//   { direction, queries, escalated, chosen, via, reason,
+//     candidates: [{ id, label, failed: [filter], why: { [filter]: detail }, features: { [name]: { value, weight, points } }, score }] }
+
+const DEFAULT_SCORING = {
+  sp2yt: {
+    weights: {
+      trust: 2.0,      // channel trust: artist's own 3, Topic/VEVO 2.6, contains the artist 2.2, other 1
+      title: 1.6,      // title word overlap (Jaccard)
+      artist: 1.0,     // artist named in the title or channel
+      duration: 1.4,   // 1 at the same length, 0 at the slack
+      type: 0.6,       // "official audio" / Topic / "official video"
+      popularity: 0.4, // log views, halved for uploads younger than 30 days
+      category: 0.3    // YouTube "Music" category
+    }
+  },
+  yt2sp: {
+    weights: {
+      title: 1.6,      // title word overlap (Jaccard) with the video's core title
+      duration: 1.6,   // 1 at the same length, 0 at the slack
+      artist: 1.0,     // trusted artist matches (never for music-video tracks)
+      popularity: 0.6, // Spotify popularity / 100
+      mv: 0.3,         // track named like a music video
+      album: 0.5       // same album as the Topic upload
+    },
+    // Among exact title matches (which win outright), the tie-break
+    exactTitle: {
+      duration: 1.0,
+      popularity: 0.5,
+      album: 0.5
+    }
+  },
+  // Soft duplicates: the item already sits in the target playlist under another ID
+  softDupe: {
+    minSlackSec: 12,   // duration slack: the larger of minSlackSec…
+    slackRatio: 0.04,  // …and this share of the track's length
+    weights: {
+      trust: 2.0,      // SP→YT: channel trust of the playlist video
+      title: 1.0,      // title word overlap
+      artist: 1.0,     // YT→SP: trusted artist matches
+      mv: 0.05,        // YT→SP: nudge toward music-video tracks when ambiguous
+      album: 0.3       // YT→SP: same album as the Topic upload
+    }
+  }
+};
+
+// Pair settings (config.json "scoring"): every level merges over the defaults
+function mergeScoring(base, over) {
+  if (!over) return base;
+  const out = { ...base };
+  for (const [key, value] of Object.entries(over)) {
+    out[key] = value && typeof value === 'object' && !Array.isArray(value) ? mergeScoring(base[key] || {}, value) : value;
+  }
+  return out;
+}
+
+function evaluate(cand, { filters, features, weights, explain = {} }) {
+  const failed = Object.entries(filters).filter(([, passes]) => !passes(cand)).map(([name]) => name);
+  if (failed.length) {
+    const why = Object.fromEntries(failed.filter(name => explain[name]).map(name => [name, explain[name](cand)]));
+    return { cand, failed, why, features: null, score: null };
+  }
+  const parts = {};
+  let score = 0;
+  for (const [name, feature] of Object.entries(features)) {
+    const value = feature(cand);
+    const weight = weights[name] ?? 0;
+    parts[name] = { value, weight, points: value * weight };
+    score += value * weight;
+  }
+  return { cand, failed, why: {}, features: parts, score };
+}
+
+// Filters the first topK candidates, or the first escalateK when none of those passes, and
+// ranks what passed by score. Returns { ranked, evaluated, escalated, inspected }.
+function rankCandidates(all, matcher, { topK, escalateK }) {
+  const evaluated = all.slice(0, topK).map(c => evaluate(c, matcher));
+  let escalated = false;
+  if (!evaluated.some(e => !e.failed.length)) {
+    evaluated.push(...all.slice(topK, escalateK).map(c => evaluate(c, matcher)));
+    escalated = true;
+  }
+  const ranked = evaluated.filter(e => !e.failed.length).sort((a, b) => b.score - a.score);
+  const inspected = Math.min(escalated ? escalateK : topK, all.length);
+  return { ranked, evaluated, escalated, inspected };
+}
+
+// { feature: points } of an evaluation (what review and saved plans keep)
+function breakdownOf(evaluation) {
+  return Object.fromEntries(Object.entries(evaluation.features || {}).map(([name, f]) => [name, f.points]));
+}
+
+function explanation(direction, { queries, evaluated = [], escalated = false, chosen = null, via = null, reason, labelOf }) {
+  return {
+    direction,
+    queries,
+    escalated,
+    chosen,
+    via,
+    reason,
+    candidates: evaluated.map(e => ({
+      id: e.cand.id,
+      label: labelOf(e.cand),
+      failed: e.failed,
+      why: e.why,
+      features: e.features,
+      score: e.score
+    }))
+  };
+}
+
+const fmt = x => (Math.round(x * 100) / 100).toString();
+
+// Log lines for --verbose: the rejected candidates with their failed filters, then the top
+// passing ones with each feature's value × weight
+function formatExplanation(ex, { top = 3 } = {}) {
+  const lines = [];
+  if (ex.queries?.length) lines.push(`queries: ${ex.queries.map(q => `"${q}"`).join(' | ')}`);
+  const passed = ex.candidates.filter(c => !c.failed.length).sort((a, b) => b.score - a.score);
+  const rejected = ex.candidates.filter(c => c.failed.length);
+  lines.push(`${ex.candidates.length} candidate(s) checked${ex.escalated ? ' (escalated)' : ''}: ${passed.length} passed the hard filters`);
+  for (const c of rejected) {
+    const failed = c.failed.map(name => (c.why?.[name] ? `${name} (${c.why[name]})` : name));
+    lines.push(`  ✖ ${c.label} — failed ${failed.join(', ')}`);
+  }
+  for (const c of passed.slice(0, top)) {
+    const parts = Object.entries(c.features)
+      .filter(([, f]) => f.points)
+      .map(([name, f]) => `${name} ${fmt(f.value)}×${fmt(f.weight)}`);
+    lines.push(`  ${c.id === ex.chosen ? '★' : '·'} ${c.label}  score ${c.score.toFixed(2)} = ${parts.join(' + ') || '0'}`);
+  }
+  lines.push(ex.chosen ? `→ chose ${ex.candidates.find(c => c.id === ex.chosen)?.label || ex.chosen}${ex.via ? ` (${ex.via})` : ''}` : `→ no match (${ex.reason})`);
+  return lines;
+}
+
+// Duration check for soft duplicates: looser than the search slack
+function relaxedDurationOk(trackMs, candMs, softDupe = DEFAULT_SCORING.softDupe) {
+  if (!trackMs || !candMs) return false;
+  const slackMs = Math.max(softDupe.minSlackSec * 1000, Math.floor(softDupe.slackRatio * trackMs));
+  return Math.abs(trackMs - candMs) <= slackMs;
+}
+
+module.exports = {
+  DEFAULT_SCORING,
+  mergeScoring,
+  evaluate,
+  rankCandidates,
+  breakdownOf,
+  explanation,
+  formatExplanation,
+  relaxedDurationOk
+};
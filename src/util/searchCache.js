@@ -0,0 +1,97 @@
+// Persistent search-result cache in .cache/search_cache.json.
+// Entries are keyed by service + query (case and spacing ignored) and hold the raw (slimmed)
+// candidates a search returned, so re-evaluating a skipped track costs no API quota until the TTL runs out.
+const { readCacheFile, writeCacheFile } = require('./cache');
+
+const CACHE_FILE = 'search_cache.json';
+const DEFAULT_TTL_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let ttlDays = DEFAULT_TTL_DAYS;
+let store = null; // { entries: { [key]: { service, query, limit, fetchedAt, expiresAt, results[] } } }
+let dirty = false;
+
+// 0 disables the cache (nothing is read or written)
+function setSearchCacheTtl(days) {
+  ttlDays = days;
+}
+
+function load() {
+  if (!store) {
+    store = readCacheFile(CACHE_FILE, null) || {};
+    if (!store.entries) store.entries = {};
+  }
+  return store;
+}
+
+// Lossless apart from case and whitespace: norm() drops words like "official audio" and
+// "remastered", and queries that differ only in those must not share results
+function searchKey(service, query) {
+  return `${service}:${String(query).toLowerCase().replace(/\s+/g, ' ').trim()}`;
+}
+
+function isExpired(entry, now = Date.now()) {
+  return !entry.expiresAt || new Date(entry.expiresAt).getTime() <= now;
+}
+
+// Cached results for a query, or null. An entry fetched with a smaller limit is a miss.
+function getCachedSearch(service, query, limit) {
+  if (!ttlDays) return null;
+  const entry = load().entries[searchKey(service, query)];
+  if (!entry || isExpired(entry) || entry.limit < limit) return null;
+  return entry.results.slice(0, limit);
+}
+
+function putCachedSearch(service, query, limit, results) {
+  if (!ttlDays) return;
+  const now = Date.now();
+  load().entries[searchKey(service, query)] = {
+    service,
+    query,
+    limit,
+    fetchedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlDays * DAY_MS).toISOString(),
+    results
+  };
+  dirty = true;
+}
+
+// Written once per run (and by the purge command) rather than after every search.
+// Expired entries are dropped on the way out, so the file does not grow without bound.
+function flushSearchCache() {
+  if (!dirty) return;
+  const { entries } = load();
+  for (const [key, entry] of Object.entries(entries)) {
+    if (isExpired(entry)) delete entries[key];
+  }
+  writeCacheFile(CACHE_FILE, load());
+  dirty = false;
+}
+
+function listSearchEntries() {
+  return Object.entries(load().entries).map(([key, entry]) => ({ key, ...entry, expired: isExpired(entry) }));
+}
+
+// Remove entries for which predicate(entry) is true; returns how many were removed
+function purgeSearchEntries(predicate = () => true) {
+  const { entries } = load();
+  let removed = 0;
+  for (const [key, entry] of Object.entries(entries)) {
+    if (!predicate({ key, ...entry, expired: isExpired(entry) })) continue;
+    delete entries[key];
+    removed++;
+  }
+  if (removed) dirty = true;
+  flushSearchCache();
+  return removed;
+}
+
+module.exports = {
+  DEFAULT_TTL_DAYS,
+  setSearchCacheTtl,
+  getCachedSearch,
+  putCachedSearch,
+  flushSearchCache,
+  listSearchEntries,
+  purgeSearchEntries
+};
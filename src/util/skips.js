@@ -0,0 +1,121 @@
+// Negative-result memory: items the matcher could not place are remembered per direction in
+// the pair cache, so they are retried on an increasing backoff instead of on every run.
+//
+// cache.skips[direction][itemId] = {
+//   title, reason, attempts, firstSkippedAt, lastAttemptAt,
+//   nextAttemptAt: ISO string | null,   // null once given up
+//   givenUp: boolean
+// }
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Wait before attempt n+1 (the last step repeats until maxAttempts)
+const RETRY_BACKOFF_DAYS = [1, 3, 7, 14, 30];
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+function skipsFor(cache, direction) {
+  return cache.skips?.[direction] || {};
+}
+
+function getSkip(cache, direction, id) {
+  return skipsFor(cache, direction)[id] || null;
+}
+
+// True when the item may be searched again (never skipped, or its backoff elapsed)
+function isRetryDue(entry, now = Date.now()) {
+  if (!entry) return true;
+  if (entry.givenUp) return false;
+  return !entry.nextAttemptAt || new Date(entry.nextAttemptAt).getTime() <= now;
+}
+
+function recordSkip(cache, direction, id, { title, reason }, { maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+  if (!cache.skips) cache.skips = {};
+  if (!cache.skips[direction]) cache.skips[direction] = {};
+  const now = new Date();
+  const prev = cache.skips[direction][id];
+  const attempts = (prev?.attempts || 0) + 1;
+  const givenUp = attempts >= maxAttempts;
+  const waitDays = RETRY_BACKOFF_DAYS[Math.min(attempts, RETRY_BACKOFF_DAYS.length) - 1];
+  const entry = {
+    title,
+    reason,
+    attempts,
+    firstSkippedAt: prev?.firstSkippedAt || now.toISOString(),
+    lastAttemptAt: now.toISOString(),
+    nextAttemptAt: givenUp ? null : new Date(now.getTime() + waitDays * DAY_MS).toISOString(),
+    givenUp
+  };
+  cache.skips[direction][id] = entry;
+  return entry;
+}
+
+// An item to search again on the next run (e.g. its proposed match was rejected in review),
+// without counting an attempt
+function markRetryDue(cache, direction, id, { title, reason }) {
+  if (!cache.skips) cache.skips = {};
+  if (!cache.skips[direction]) cache.skips[direction] = {};
+  const now = new Date().toISOString();
+  const prev = cache.skips[direction][id];
+  const entry = {
+    title,
+    reason,
+    attempts: prev?.attempts || 0,
+    firstSkippedAt: prev?.firstSkippedAt || now,
+    lastAttemptAt: prev?.lastAttemptAt || now,
+    nextAttemptAt: now,
+    givenUp: false
+  };
+  cache.skips[direction][id] = entry;
+  return entry;
+}
+
+// An item the user took back (e.g. its addition was undone): given up at once, so syncs leave
+// it alone until its entry is deleted
+function giveUpSkip(cache, direction, id, { title, reason }) {
+  if (!cache.skips) cache.skips = {};
+  if (!cache.skips[direction]) cache.skips[direction] = {};
+  const now = new Date().toISOString();
+  const prev = cache.skips[direction][id];
+  const entry = {
+    title,
+    reason,
+    attempts: prev?.attempts || 0,
+    firstSkippedAt: prev?.firstSkippedAt || now,
+    lastAttemptAt: prev?.lastAttemptAt || now,
+    nextAttemptAt: null,
+    givenUp: true
+  };
+  cache.skips[direction][id] = entry;
+  return entry;
+}
+
+function clearSkip(cache, direction, id) {
+  if (cache.skips?.[direction]) delete cache.skips[direction][id];
+}
+
+// Forget skips for items that left the source playlist
+function pruneSkips(cache, direction, presentIds) {
+  const present = new Set(presentIds);
+  for (const id of Object.keys(skipsFor(cache, direction))) {
+    if (!present.has(id)) clearSkip(cache, direction, id);
+  }
+}
+
+// Short human description for plan lines and listings
+function describeSkip(entry, maxAttempts = DEFAULT_MAX_ATTEMPTS) {
+  if (entry.givenUp) return entry.attempts ? `given up after ${entry.attempts} attempt(s): ${entry.reason}` : `given up: ${entry.reason}`;
+  return `${entry.reason}, attempt ${entry.attempts}/${maxAttempts}, next try ${entry.nextAttemptAt.slice(0, 10)}`;
+}
+
+module.exports = {
+  RETRY_BACKOFF_DAYS,
+  DEFAULT_MAX_ATTEMPTS,
+  skipsFor,
+  getSkip,
+  isRetryDue,
+  recordSkip,
+  markRetryDue,
+  giveUpSkip,
+  clearSkip,
+  pruneSkips,
+  describeSkip
+};
@@ -0,0 +1,48 @@
+// Structured metadata from YouTube video descriptions.
+
+// ISRC: CC-XXX-YY-NNNNN (country, registrant, year, designation); dashes and spaces optional
+const ISRC_RE = /\bISRC\s*[:#]?\s*([A-Z]{2})[\s-]?([A-Z0-9]{3})[\s-]?(\d{2})[\s-]?(\d{5})\b/i;
+
+// Normalized ISRC ("USRC11700123") or null
+function extractIsrc(description) {
+  const m = ISRC_RE.exec(description || '');
+  return m ? m.slice(1).join('').toUpperCase() : null;
+}
+
+// Topic-channel uploads are auto-generated with a fixed layout:
+//
+//   Provided to YouTube by <distributor>
+//
+//   <title> · <artist> · <artist>…
+//
+//   <album>
+//
+//   ℗ <year> <label>
+//
+//   Released on: <YYYY-MM-DD>
+//   …
+//
+// Returns { title, artists[], album, label, releaseDate, provider } or null when the
+// description does not follow it. Missing optional lines come back as null.
+function parseProvidedToYouTube(description) {
+  const lines = (description || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  const start = lines.findIndex(l => /^provided to youtube by\b/i.test(l));
+  if (start < 0) return null;
+
+  const provider = lines[start].replace(/^provided to youtube by\s*/i, '').trim() || null;
+  const [title, ...artists] = (lines[start + 1] || '').split(/\s+·\s+/).map(x => x.trim()).filter(Boolean);
+  if (!title || !artists.length) return null;
+
+  // The album line is optional; the next line may already be ℗/© or "Released on"
+  const next = lines[start + 2] || '';
+  const album = next && !/^(?:℗|©|\(p\)|released on:|auto-generated by youtube)/i.test(next) ? next : null;
+
+  const labelLine = lines.find(l => /^(?:℗|\(p\))/i.test(l));
+  const label = labelLine ? labelLine.replace(/^(?:℗|\(p\))\s*(?:\d{4}\s+)?/i, '').trim() || null : null;
+
+  const released = lines.map(l => /^released on:\s*(\d{4}-\d{2}-\d{2})/i.exec(l)).find(Boolean);
+
+  return { title, artists, album, label, releaseDate: released ? released[1] : null, provider };
+}
+
+module.exports = { extractIsrc, parseProvidedToYouTube };
@@ -0,0 +1,159 @@
+// Pair state stores (JSON files and SQLite), their backups and locks, and `migrate-cache`,
+// which imports older cache files into the configured store.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DOTENV_CONFIG_QUIET = 'true';
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'sp-yt-sync-test-')));
+
+const { CACHE_DIR, configureStorage, getStore, pairKey, loadCache, saveCache } = require('../src/util/cache');
+const { lockPath, tryLock } = require('../src/util/lock');
+const { runMigrateCache } = require('../src/commands/migrateCache');
+
+const PAIR = { nickname: 'gym', spotifyPlaylistId: '3cEYpjA9oz9GiPac4AsH4n', youtubePlaylistId: 'PLfixtureSp2YtPlaylist' };
+const LEGACY_FILE = path.join(CACHE_DIR, `sp2yt_${PAIR.spotifyPlaylistId}.json`);
+const STATE = {
+  lastSync: '2026-01-02T03:04:05.000Z',
+  seenTrackIds: ['0VjIjW4GlUZAMYd2vXMi3b', '2Fxmhks0bxGSBdJ92vM42m'],
+  map: { '0VjIjW4GlUZAMYd2vXMi3b': '4NRXx6U8ABQ' },
+  skips: { sp2yt: { '463CkQjx2Zk1yXoBuierM9': { title: 'Levitating', reason: 'no_candidate_passed_filters', attempts: 1, givenUp: false } } },
+  backfill: { sp2yt: { startedAt: '2026-01-01T00:00:00.000Z', doneIds: [], completedAt: '2026-01-01T00:10:00.000Z' } }
+};
+
+let hasSqlite = true;
+try {
+  require('better-sqlite3');
+} catch {
+  hasSqlite = false;
+}
+
+function writeConfig(raw) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sp-yt-sync-config-'));
+  const configPath = path.join(dir, 'config.json');
+  fs.writeFileSync(configPath, JSON.stringify({ pairs: [PAIR], ...raw }));
+  return configPath;
+}
+
+// No stored state for PAIR in either store and no leftover legacy files
+function reset(t) {
+  t.mock.method(console, 'log', () => {});
+  t.after(() => configureStorage('json'));
+  for (const name of hasSqlite ? ['json', 'sqlite'] : ['json']) getStore(name).remove(pairKey(PAIR));
+  for (const f of fs.readdirSync(CACHE_DIR).filter(f => f.startsWith('sp2yt_') || f.endsWith('.migrated'))) {
+    fs.rmSync(path.join(CACHE_DIR, f));
+  }
+}
+
+function roundTrip(storage) {
+  configureStorage(storage);
+  saveCache(PAIR, STATE);
+  const loaded = loadCache(PAIR);
+  assert.equal(loaded.lastSync, STATE.lastSync);
+  assert.deepEqual(loaded.seenTrackIds.slice().sort(), STATE.seenTrackIds.slice().sort());
+  assert.deepEqual(loaded.map, STATE.map);
+  assert.deepEqual(loaded.skips, STATE.skips);
+  assert.deepEqual(loaded.backfill, STATE.backfill);
+  assert.deepEqual(loaded.pair, { spotifyPlaylistId: PAIR.spotifyPlaylistId, youtubePlaylistId: PAIR.youtubePlaylistId });
+  assert.deepEqual(getStore().keys(), [pairKey(PAIR)]);
+}
+
+test('the JSON store gives back what was saved', t => {
+  reset(t);
+  roundTrip('json');
+});
+
+test('the SQLite store gives back what was saved', { skip: !hasSqlite && 'better-sqlite3 is not installed' }, t => {
+  reset(t);
+  roundTrip('sqlite');
+  getStore().remove(pairKey(PAIR));
+  assert.equal(getStore().load(pairKey(PAIR)), null);
+});
+
+test('migrate-cache imports a legacy file and marks it migrated', async t => {
+  reset(t);
+  fs.writeFileSync(LEGACY_FILE, JSON.stringify(STATE));
+  assert.throws(() => loadCache(PAIR), /migrate-cache/);
+
+  assert.equal(await runMigrateCache(writeConfig({})), 0);
+  assert.deepEqual(loadCache(PAIR).map, STATE.map);
+  assert.ok(!fs.existsSync(LEGACY_FILE));
+  assert.ok(fs.existsSync(`${LEGACY_FILE}.migrated`));
+});
+
+test('migrate-cache --dry-run changes nothing', async t => {
+  reset(t);
+  fs.writeFileSync(LEGACY_FILE, JSON.stringify(STATE));
+
+  assert.equal(await runMigrateCache(writeConfig({}), { dryRun: true }), 0);
+  assert.equal(getStore().load(pairKey(PAIR)), null);
+  assert.ok(fs.existsSync(LEGACY_FILE));
+});
+
+test('migrate-cache keeps a skipped file for a later --force run', async t => {
+  reset(t);
+  const configPath = writeConfig({});
+  saveCache(PAIR, { lastSync: null, seenTrackIds: [], map: {} });
+  fs.writeFileSync(LEGACY_FILE, JSON.stringify(STATE));
+
+  assert.equal(await runMigrateCache(configPath), 0);
+  assert.deepEqual(loadCache(PAIR).map, {}, 'existing state is left alone');
+  assert.ok(fs.existsSync(LEGACY_FILE), 'the skipped file is not marked migrated');
+
+  assert.equal(await runMigrateCache(configPath, { force: true }), 0);
+  assert.deepEqual(loadCache(PAIR).map, STATE.map);
+  assert.ok(fs.existsSync(`${LEGACY_FILE}.migrated`));
+});
+
+test('migrate-cache moves the JSON store into SQLite', { skip: !hasSqlite && 'better-sqlite3 is not installed' }, async t => {
+  reset(t);
+  configureStorage('json');
+  saveCache(PAIR, STATE);
+  const jsonFile = getStore('json').describe(pairKey(PAIR));
+
+  assert.equal(await runMigrateCache(writeConfig({ storage: 'sqlite' })), 0);
+  assert.deepEqual(getStore('sqlite').load(pairKey(PAIR)).map, STATE.map);
+  assert.ok(!fs.existsSync(jsonFile));
+  assert.ok(fs.existsSync(`${jsonFile}.migrated`));
+});
+
+test('JSON saves keep the last three versions as rotating backups', t => {
+  reset(t);
+  configureStorage('json');
+  for (let n = 1; n <= 5; n++) saveCache(PAIR, { ...STATE, lastSync: `save ${n}` });
+  const file = getStore().describe(pairKey(PAIR));
+  const lastSyncOf = f => JSON.parse(fs.readFileSync(f, 'utf8')).lastSync;
+  assert.equal(lastSyncOf(file), 'save 5');
+  assert.equal(lastSyncOf(`${file}.bak`), 'save 4');
+  assert.equal(lastSyncOf(`${file}.bak.1`), 'save 3');
+  assert.equal(lastSyncOf(`${file}.bak.2`), 'save 2');
+  assert.ok(!fs.existsSync(`${file}.bak.3`));
+});
+
+test('a stale lock is taken over; a live one is not', () => {
+  const p = lockPath('test');
+  const record = pid => JSON.stringify({ pid, host: os.hostname(), acquiredAt: new Date().toISOString() });
+
+  fs.writeFileSync(p, record(2 ** 30)); // no such process
+  const lock = tryLock('test');
+  assert.ok(lock.release);
+  assert.equal(JSON.parse(fs.readFileSync(p, 'utf8')).pid, process.pid);
+  assert.ok(!fs.readdirSync(CACHE_DIR).some(f => f.endsWith('.tmp')));
+  lock.release();
+  assert.ok(!fs.existsSync(p));
+
+  fs.writeFileSync(p, record(process.ppid));
+  assert.equal(tryLock('test').holder.pid, process.ppid);
+  fs.rmSync(p);
+});
+
+test('releasing a lock that was taken over leaves the new holder\'s file', () => {
+  const p = lockPath('test');
+  const lock = tryLock('test');
+  fs.writeFileSync(p, JSON.stringify({ pid: process.ppid, host: os.hostname(), acquiredAt: new Date().toISOString() }));
+  lock.release();
+  assert.ok(fs.existsSync(p));
+  fs.rmSync(p);
+});
@@ -0,0 +1,490 @@
+// End-to-end: the sync runs against the fake clients in test/fakes, with a config built in
+// memory. State (.cache) goes to a temp directory, so this file must chdir before loading src/.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DOTENV_CONFIG_QUIET = 'true';
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'sp-yt-sync-test-')));
+
+const { parseConfig, loadConfig, ConfigError } = require('../src/util/config');
+const { CACHE_DIR, CacheError, getStore, pairKey, loadCache, saveCache } = require('../src/util/cache');
+const { quotaUsedToday, setQuotaBudget, DEFAULT_DAILY_BUDGET } = require('../src/util/quota');
+const { RUNS_DIR } = require('../src/util/runReport');
+const { setSearchCacheTtl, getCachedSearch, putCachedSearch, flushSearchCache, purgeSearchEntries } = require('../src/util/searchCache');
+const { QuotaExceededError } = require('../src/util/retry');
+const { skipsFor } = require('../src/util/skips');
+const { queueFor } = require('../src/util/reviewQueue');
+const { readJournal } = require('../src/util/journal');
+const { MODES, applySyncConfig, runSp2Yt, runYt2Sp, runApplyPlan, runSync } = require('../src/index');
+const { createPlanRecorder, writePlanFile } = require('../src/util/planFile');
+const { addLogSink } = require('../src/util/logger');
+const { runReview } = require('../src/commands/review');
+const { runWatch } = require('../src/commands/watch');
+const { runUndo } = require('../src/commands/undo');
+const { createFakeSpotify } = require('./fakes/spotify');
+const { createFakeYouTube } = require('./fakes/youtube');
+
+const SP2YT_PAIR = { nickname: 'sp2yt', spotifyPlaylistId: '3cEYpjA9oz9GiPac4AsH4n', youtubePlaylistId: 'PLfixtureSp2YtPlaylist' };
+const YT2SP_PAIR = { nickname: 'yt2sp', spotifyPlaylistId: '5FJXhjdILmRA2z5bvz4nzf', youtubePlaylistId: 'PLfixtureYt2SpPlaylist' };
+
+const TRACKS = {
+  blindingLights: '0VjIjW4GlUZAMYd2vXMi3b',
+  levitating: '463CkQjx2Zk1yXoBuierM9',
+  badGuy: '2Fxmhks0bxGSBdJ92vM42m',
+  heatWaves: '3USxtqRwSYz57Ewm6wWRMp',
+  yellow: '3AJwUDP919kvQ9QcozQPxg',
+  someoneLikeYou: '1zwMYTA5nlNjZxYrvBB2pV'
+};
+const VIDEOS = {
+  blindingLightsAudio: '4NRXx6U8ABQ',
+  levitatingSpedUp: 'kL6mN7oP8qR',
+  badGuy: 'DyDfgMOUjCI',
+  heatWavesTopic: 'mRD0-GxqHVo',
+  yellow: 'yKNxeF4KMsY',
+  unintelligible: 'Zz9-_Yy8Xx7',
+  someoneLikeYou: 'hLQl3WQQoQ0'
+};
+
+// Fresh fakes and no stored state for the pairs; the search cache is off so every lookup
+// reaches the fakes
+function setup(pairs) {
+  const config = applySyncConfig(parseConfig({ searchCacheTtlDays: 0, pairs }));
+  for (const pair of pairs) getStore().remove(pairKey(pair));
+  return { config, clients: { sp: createFakeSpotify('spotify'), yt: createFakeYouTube('youtube') } };
+}
+
+test('SP→YT adds the matching upload, maps soft duplicates and remembers misses', async () => {
+  const { config, clients } = setup([SP2YT_PAIR]);
+  await runSp2Yt({ config, clients });
+
+  assert.deepEqual(clients.yt.calls.inserted, [{ playlistId: SP2YT_PAIR.youtubePlaylistId, videoId: VIDEOS.blindingLightsAudio }]);
+  assert.deepEqual(clients.yt.videoIds(SP2YT_PAIR.youtubePlaylistId), [VIDEOS.badGuy, VIDEOS.blindingLightsAudio]);
+
+  const cache = loadCache(SP2YT_PAIR);
+  assert.deepEqual(cache.map, {
+    [TRACKS.blindingLights]: VIDEOS.blindingLightsAudio,
+    [TRACKS.badGuy]: VIDEOS.badGuy // already in the playlist: mapped, not inserted again
+  });
+  // Only a sped-up upload exists for Levitating
+  assert.equal(skipsFor(cache, MODES.SP2YT)[TRACKS.levitating]?.reason, 'no_candidate_passed_filters');
+  assert.equal(cache.seenTrackIds.length, 3);
+  assert.ok(cache.lastSync);
+});
+
+test('SP→YT second run adds nothing and does not search for remembered misses', async () => {
+  const { config, clients } = setup([SP2YT_PAIR]);
+  await runSp2Yt({ config, clients });
+  const searches = clients.yt.calls.searches.length;
+
+  await runSp2Yt({ config, clients });
+  assert.equal(clients.yt.calls.inserted.length, 1);
+  assert.equal(clients.yt.calls.searches.length, searches);
+});
+
+// config.json (and so overrides.json) in a directory of its own, for the commands that read them
+function writeConfig(raw, overrides = null) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sp-yt-sync-config-'));
+  const configPath = path.join(dir, 'config.json');
+  fs.writeFileSync(configPath, JSON.stringify({ searchCacheTtlDays: 0, ...raw }));
+  if (overrides) fs.writeFileSync(path.join(dir, 'overrides.json'), JSON.stringify(overrides));
+  return configPath;
+}
+
+// A prompt that gives the scripted answers in turn
+function scriptedPrompt(answers) {
+  return { ask: async () => answers.shift() ?? null, close() {} };
+}
+
+test('SP→YT review reject blocks the proposal and the next sync searches the track again', async t => {
+  t.mock.method(console, 'log', () => {});
+  const configPath = writeConfig({ pairs: [{ ...SP2YT_PAIR, thresholds: { sp2yt: { accept: 100, review: 0 } } }] });
+  getStore().remove(pairKey(SP2YT_PAIR));
+  const clients = { sp: createFakeSpotify('spotify'), yt: createFakeYouTube('youtube') };
+
+  await runSp2Yt({ config: applySyncConfig(loadConfig(configPath)), clients });
+  assert.equal(queueFor(loadCache(SP2YT_PAIR), MODES.SP2YT)[TRACKS.blindingLights]?.proposed, VIDEOS.blindingLightsAudio);
+
+  assert.equal(await runReview(configPath, { prompt: scriptedPrompt(['r']) }), 0);
+  const searches = clients.yt.calls.searches.length;
+
+  await runSp2Yt({ config: applySyncConfig(loadConfig(configPath)), clients });
+  assert.ok(clients.yt.calls.searches.length > searches, 'the rejected track is searched again');
+  assert.deepEqual(clients.yt.calls.inserted, []);
+  const cache = loadCache(SP2YT_PAIR);
+  assert.equal(queueFor(cache, MODES.SP2YT)[TRACKS.blindingLights], undefined);
+  // Only the live and cover uploads are left once the official audio is blocked
+  assert.equal(skipsFor(cache, MODES.SP2YT)[TRACKS.blindingLights]?.reason, 'no_candidate_passed_filters');
+});
+
+test('YT→SP review reject turns down only that video ↔ track match', async t => {
+  t.mock.method(console, 'log', () => {});
+  const configPath = writeConfig({ pairs: [{ ...YT2SP_PAIR, thresholds: { yt2sp: { accept: 100, review: 0 } } }] });
+  getStore().remove(pairKey(YT2SP_PAIR));
+  const clients = { sp: createFakeSpotify('spotify'), yt: createFakeYouTube('youtube') };
+
+  await runYt2Sp({ config: applySyncConfig(loadConfig(configPath)), clients });
+  assert.deepEqual(Object.keys(queueFor(loadCache(YT2SP_PAIR), MODES.YT2SP)), [VIDEOS.yellow]);
+  assert.equal(queueFor(loadCache(YT2SP_PAIR), MODES.YT2SP)[VIDEOS.yellow].proposed, TRACKS.yellow);
+
+  assert.equal(await runReview(configPath, { prompt: scriptedPrompt(['r']) }), 0);
+  const overrides = JSON.parse(fs.readFileSync(path.join(path.dirname(configPath), 'overrides.json'), 'utf8'));
+  assert.deepEqual(overrides[YT2SP_PAIR.nickname].rejects, [{ spotify: TRACKS.yellow, youtube: VIDEOS.yellow, note: 'review' }]);
+  assert.equal(overrides[YT2SP_PAIR.nickname].block, undefined, 'the track is not blocked for the whole pair');
+
+  const searches = clients.sp.calls.searches.length;
+  await runYt2Sp({ config: applySyncConfig(loadConfig(configPath)), clients });
+  assert.ok(clients.sp.calls.searches.length > searches, 'the video is searched again');
+  assert.deepEqual(clients.sp.calls.added.map(a => a.trackId), [TRACKS.heatWaves]);
+  const cache = loadCache(YT2SP_PAIR);
+  assert.equal(queueFor(cache, MODES.YT2SP)[VIDEOS.yellow], undefined);
+  // Only the live version is left without the studio track, and it fails the filters
+  assert.equal(skipsFor(cache, MODES.YT2SP)[VIDEOS.yellow]?.reason, 'no_candidate_passed_filters');
+});
+
+test('SP→YT removal sync deletes the video of a track that left Spotify and journals the mapping', async () => {
+  const pair = { ...SP2YT_PAIR, syncRemovals: true };
+  const { config, clients } = setup([pair]);
+  await runSync({ config, clients, mode: MODES.SP2YT });
+  assert.equal(loadCache(pair).map[TRACKS.badGuy], VIDEOS.badGuy);
+
+  await clients.sp.removeTracksFromPlaylist(pair.spotifyPlaylistId, [{ uri: `spotify:track:${TRACKS.badGuy}` }]);
+  const { runId } = await runSync({ config, clients, mode: MODES.SP2YT });
+
+  assert.deepEqual(clients.yt.calls.deleted.map(d => d.videoId), [VIDEOS.badGuy]);
+  assert.equal(loadCache(pair).map[TRACKS.badGuy], undefined);
+  const dropped = readJournal().filter(e => e.runId === runId && e.op === 'map');
+  assert.deepEqual(dropped.map(e => [e.spTrackId, e.before, e.after]), [[TRACKS.badGuy, VIDEOS.badGuy, null]]);
+});
+
+test('SP→YT removal sync counts a retried delete that already went through as removed', async () => {
+  const pair = { ...SP2YT_PAIR, syncRemovals: true };
+  const { config, clients } = setup([pair]);
+  await runSync({ config, clients, mode: MODES.SP2YT });
+  await clients.sp.removeTracksFromPlaylist(pair.spotifyPlaylistId, [{ uri: `spotify:track:${TRACKS.badGuy}` }]);
+
+  // The first attempt deletes the entry but answers 503, so the retry sees a 404
+  const del = clients.yt.playlistItems.delete;
+  let attempts = 0;
+  clients.yt.playlistItems.delete = async req => {
+    attempts++;
+    const res = await del(req);
+    if (attempts === 1) throw Object.assign(new Error('Backend Error'), { code: 503 });
+    return res;
+  };
+  await runSync({ config, clients, mode: MODES.SP2YT });
+
+  assert.equal(attempts, 2);
+  assert.deepEqual(clients.yt.videoIds(pair.youtubePlaylistId), [VIDEOS.blindingLightsAudio]);
+  assert.equal(loadCache(pair).map[TRACKS.badGuy], undefined);
+});
+
+test('SP→YT backfill applies removals even when no track is left to backfill', async () => {
+  const pair = { ...SP2YT_PAIR, syncRemovals: true };
+  const { config, clients } = setup([pair]);
+  await runSync({ config, clients, mode: MODES.SP2YT });
+  await clients.sp.removeTracksFromPlaylist(pair.spotifyPlaylistId, [{ uri: `spotify:track:${TRACKS.badGuy}` }]);
+
+  // A backfill that got through every remaining track before it was interrupted
+  const cache = loadCache(pair);
+  const doneIds = clients.sp.trackIds(pair.spotifyPlaylistId);
+  cache.backfill = { sp2yt: { startedAt: new Date().toISOString(), doneIds, completedAt: null } };
+  saveCache(pair, cache);
+  await runSync({ config, clients, mode: MODES.SP2YT });
+
+  assert.deepEqual(clients.yt.calls.deleted.map(d => d.videoId), [VIDEOS.badGuy]);
+  assert.equal(loadCache(pair).map[TRACKS.badGuy], undefined);
+  assert.ok(loadCache(pair).backfill.sp2yt.completedAt);
+});
+
+test('SP→YT backfill walks the whole playlist, whatever the recent window', async () => {
+  const pair = { ...SP2YT_PAIR, backfill: true, recentSpotifyLimit: 0 };
+  const { config, clients } = setup([pair]);
+  await runSync({ config, clients, mode: MODES.SP2YT });
+
+  assert.deepEqual(clients.yt.calls.inserted.map(i => i.videoId), [VIDEOS.blindingLightsAudio]);
+  const cache = loadCache(pair);
+  assert.ok(cache.backfill.sp2yt.completedAt);
+  assert.deepEqual(cache.backfill.sp2yt.doneIds, []);
+  assert.deepEqual(cache.seenTrackIds.slice().sort(), [TRACKS.badGuy, TRACKS.blindingLights, TRACKS.levitating].sort());
+
+  // Done once: the next run is a regular one and inspects nothing
+  const searches = clients.yt.calls.searches.length;
+  await runSync({ config, clients, mode: MODES.SP2YT });
+  assert.equal(clients.yt.calls.searches.length, searches);
+});
+
+test('SP→YT pins skip the search and never-sync tracks are left out', async () => {
+  const configPath = writeConfig({ pairs: [SP2YT_PAIR] }, {
+    [SP2YT_PAIR.nickname]: {
+      pins: [{ spotify: TRACKS.levitating, youtube: VIDEOS.levitatingSpedUp }],
+      neverSync: { spotifyTracks: [TRACKS.blindingLights] }
+    }
+  });
+  const config = applySyncConfig(loadConfig(configPath));
+  const { clients } = setup([SP2YT_PAIR]);
+  await runSync({ config, clients, mode: MODES.SP2YT });
+
+  assert.deepEqual(clients.yt.calls.inserted.map(i => i.videoId), [VIDEOS.levitatingSpedUp]);
+  assert.deepEqual(clients.yt.calls.searches, [], 'the pin replaces the search; the never-sync track is not looked up');
+  const cache = loadCache(SP2YT_PAIR);
+  assert.equal(cache.map[TRACKS.levitating], VIDEOS.levitatingSpedUp);
+  assert.equal(cache.map[TRACKS.blindingLights], undefined);
+});
+
+test('SP→YT dry run changes neither the playlist nor the stored state', async () => {
+  const { config, clients } = setup([SP2YT_PAIR]);
+  await runSp2Yt({ config, clients, dryRun: true });
+
+  assert.deepEqual(clients.yt.calls.inserted, []);
+  assert.equal(getStore().load(pairKey(SP2YT_PAIR)), null);
+});
+
+test('YT→SP adds ISRC and title matches, maps soft duplicates and skips unusable titles', async () => {
+  const { config, clients } = setup([YT2SP_PAIR]);
+  await runYt2Sp({ config, clients });
+
+  const added = clients.sp.calls.added.map(a => a.trackId).sort();
+  assert.deepEqual(added, [TRACKS.heatWaves, TRACKS.yellow].sort());
+  assert.ok(clients.sp.calls.searches.includes('isrc:GBUM72000433'), 'the Topic upload is looked up by its ISRC');
+
+  const cache = loadCache(YT2SP_PAIR);
+  assert.deepEqual(cache.map, {
+    [TRACKS.heatWaves]: VIDEOS.heatWavesTopic,
+    [TRACKS.yellow]: VIDEOS.yellow, // the studio track, not "Yellow - Live in Buenos Aires"
+    [TRACKS.someoneLikeYou]: VIDEOS.someoneLikeYou
+  });
+  assert.equal(skipsFor(cache, MODES.YT2SP)[VIDEOS.unintelligible]?.reason, 'unintelligible_query');
+});
+
+test('YT→SP stops the pair at a quota error instead of trying the next track', async () => {
+  const { config, clients } = setup([YT2SP_PAIR]);
+  let attempts = 0;
+  clients.sp.addTracksToPlaylist = async () => {
+    attempts++;
+    throw new QuotaExceededError('spotify', 'addTracksToPlaylist');
+  };
+  await runYt2Sp({ config, clients });
+
+  assert.equal(attempts, 1);
+  assert.equal(skipsFor(loadCache(YT2SP_PAIR), MODES.YT2SP)[VIDEOS.heatWavesTopic], undefined);
+});
+
+test('YT→SP removal sync keeps the track of a video that turned private', async () => {
+  const pair = { ...YT2SP_PAIR, syncRemovals: true };
+  const { config, clients } = setup([pair]);
+  await runYt2Sp({ config, clients });
+  assert.equal(loadCache(pair).map[TRACKS.yellow], VIDEOS.yellow);
+
+  clients.yt.makeUnavailable(VIDEOS.yellow);
+  await runYt2Sp({ config, clients });
+
+  assert.deepEqual(clients.sp.calls.removed, []);
+  assert.ok(clients.sp.trackIds(pair.spotifyPlaylistId).includes(TRACKS.yellow));
+  assert.equal(loadCache(pair).map[TRACKS.yellow], VIDEOS.yellow);
+});
+
+test('SP→YT undo removes a run\'s videos and restores its mappings', async t => {
+  t.mock.method(console, 'log', () => {});
+  const configPath = writeConfig({ pairs: [SP2YT_PAIR] });
+  const config = applySyncConfig(loadConfig(configPath));
+  const { clients } = setup([SP2YT_PAIR]);
+  const { runId } = await runSync({ config, clients, mode: MODES.SP2YT });
+
+  const undoClients = { sp: async () => clients.sp, yt: async () => clients.yt };
+  assert.equal(await runUndo(configPath, { runId, clients: undoClients }), 0);
+  assert.deepEqual(clients.yt.videoIds(SP2YT_PAIR.youtubePlaylistId), [VIDEOS.badGuy]);
+  assert.deepEqual(loadCache(SP2YT_PAIR).map, {});
+
+  // Undoing again finds nothing left to do
+  assert.equal(await runUndo(configPath, { runId, clients: undoClients }), 0);
+  assert.equal(clients.yt.calls.deleted.length, 1);
+});
+
+test('undo --dry-run says what it would do and changes nothing', async t => {
+  const lines = [];
+  t.mock.method(console, 'log', line => lines.push(line));
+  const configPath = writeConfig({ pairs: [SP2YT_PAIR] });
+  const config = applySyncConfig(loadConfig(configPath));
+  const { clients } = setup([SP2YT_PAIR]);
+  const { runId } = await runSync({ config, clients, mode: MODES.SP2YT });
+  lines.length = 0;
+
+  const undoClients = { sp: async () => clients.sp, yt: async () => clients.yt };
+  assert.equal(await runUndo(configPath, { runId, dryRun: true, clients: undoClients }), 0);
+  assert.deepEqual(clients.yt.calls.deleted, []);
+  assert.equal(loadCache(SP2YT_PAIR).map[TRACKS.blindingLights], VIDEOS.blindingLightsAudio);
+  assert.ok(lines.some(l => l.includes(`Would remove → ${VIDEOS.blindingLightsAudio}`)));
+  assert.ok(!lines.some(l => l.includes('✔')), 'nothing is reported as done');
+});
+
+test('YT→SP undo takes back a run\'s additions and the next sync leaves those videos alone', async t => {
+  t.mock.method(console, 'log', () => {});
+  const configPath = writeConfig({ pairs: [YT2SP_PAIR] });
+  const config = applySyncConfig(loadConfig(configPath));
+  const { clients } = setup([YT2SP_PAIR]);
+  const { runId } = await runSync({ config, clients, mode: MODES.YT2SP });
+  assert.equal(clients.sp.calls.added.length, 2);
+
+  const undoClients = { sp: async () => clients.sp, yt: async () => clients.yt };
+  assert.equal(await runUndo(configPath, { runId, clients: undoClients }), 0);
+  assert.deepEqual(clients.sp.trackIds(YT2SP_PAIR.spotifyPlaylistId), [TRACKS.someoneLikeYou]);
+  const cache = loadCache(YT2SP_PAIR);
+  assert.deepEqual(cache.map, {}); // the run's soft-duplicate mapping is taken back too
+  assert.equal(skipsFor(cache, MODES.YT2SP)[VIDEOS.yellow]?.reason, 'undone');
+  assert.equal(skipsFor(cache, MODES.YT2SP)[VIDEOS.yellow]?.title, 'Coldplay - Yellow (Official Video)');
+
+  await runSync({ config, clients, mode: MODES.YT2SP });
+  assert.equal(clients.sp.calls.added.length, 2, 'the undone videos are not added again');
+});
+
+// A dry run of `mode` saved as a plan file, for --apply-plan
+async function savePlan({ config, clients, mode }) {
+  const planRecorder = createPlanRecorder();
+  await runSync({ config, clients, mode, dryRun: true, planRecorder });
+  const planPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sp-yt-sync-plan-')), 'plan.json');
+  writePlanFile(planPath, planRecorder, { dryRun: true });
+  return planPath;
+}
+
+test('apply-plan applies a saved SP→YT plan without searching again', async t => {
+  t.mock.method(console, 'log', () => {});
+  const { config, clients } = setup([SP2YT_PAIR]);
+  const planPath = await savePlan({ config, clients, mode: MODES.SP2YT });
+  assert.deepEqual(clients.yt.calls.inserted, []);
+  const searches = clients.yt.calls.searches.length;
+
+  const { refused } = await runApplyPlan({ config, clients, planPath });
+  assert.equal(refused, 0);
+  assert.equal(clients.yt.calls.searches.length, searches);
+  assert.deepEqual(clients.yt.calls.inserted.map(i => i.videoId), [VIDEOS.blindingLightsAudio]);
+  assert.equal(loadCache(SP2YT_PAIR).map[TRACKS.blindingLights], VIDEOS.blindingLightsAudio);
+});
+
+test('apply-plan names the YT→SP leg when the quota stops it', async t => {
+  t.mock.method(console, 'log', () => {});
+  const { config, clients } = setup([YT2SP_PAIR]);
+  const planPath = await savePlan({ config, clients, mode: MODES.YT2SP });
+  clients.sp.addTracksToPlaylist = async () => { throw new QuotaExceededError('spotify', 'addTracksToPlaylist'); };
+
+  const stopped = [];
+  t.after(addLogSink(record => { if (record.event === 'stopped') stopped.push(record); }));
+  await runApplyPlan({ config, clients, planPath });
+  assert.deepEqual(stopped.map(r => [r.direction, r.reason]), [[MODES.YT2SP, 'quota']]);
+});
+
+test('a sync run in both directions leaves both pairs in step', async () => {
+  const pairs = [SP2YT_PAIR, YT2SP_PAIR];
+  const { config, clients } = setup(pairs);
+  const report = await runSync({ config, clients, mode: MODES.BOTH });
+  assert.ok(report.runId);
+
+  assert.deepEqual(clients.yt.calls.inserted.map(i => i.videoId), [VIDEOS.blindingLightsAudio]);
+  assert.deepEqual(clients.sp.calls.added.map(a => a.trackId).sort(), [TRACKS.heatWaves, TRACKS.yellow].sort());
+  assert.deepEqual(clients.sp.calls.removed, []);
+  assert.deepEqual(clients.yt.calls.deleted, []);
+});
+
+test('a long Spotify Retry-After stops only the pair it hit', async t => {
+  t.mock.method(console, 'log', () => {});
+  const { config, clients } = setup([SP2YT_PAIR, YT2SP_PAIR]);
+  const getPlaylistTracks = clients.sp.getPlaylistTracks;
+  clients.sp.getPlaylistTracks = async (id, opts) => {
+    if (id === SP2YT_PAIR.spotifyPlaylistId) {
+      throw Object.assign(new Error('Too Many Requests'), { statusCode: 429, headers: { 'retry-after': '3600' } });
+    }
+    return getPlaylistTracks(id, opts);
+  };
+
+  await runSync({ config, clients, mode: MODES.BOTH });
+  assert.deepEqual(clients.yt.calls.inserted, []);
+  assert.deepEqual(clients.sp.calls.added.map(a => a.trackId).sort(), [TRACKS.heatWaves, TRACKS.yellow].sort());
+});
+
+test('Liked Songs aliases share one state key, and state kept under an alias moves to it', () => {
+  const yt = SP2YT_PAIR.youtubePlaylistId;
+  assert.equal(pairKey({ spotifyPlaylistId: 'me:liked', youtubePlaylistId: yt }), pairKey({ spotifyPlaylistId: 'liked_songs', youtubePlaylistId: yt }));
+  assert.throws(() => parseConfig({ pairs: [
+    { spotifyPlaylistId: 'liked', youtubePlaylistId: yt },
+    { spotifyPlaylistId: 'Liked_Songs', youtubePlaylistId: yt }
+  ] }), ConfigError);
+
+  const pair = { spotifyPlaylistId: 'liked', youtubePlaylistId: yt };
+  getStore().remove(pairKey(pair));
+  getStore().save(`liked_${yt}`, { lastSync: null, seenTrackIds: [TRACKS.yellow], map: {} });
+  const cache = loadCache(pair);
+  assert.deepEqual(cache.seenTrackIds, [TRACKS.yellow]);
+  saveCache(pair, cache);
+  assert.equal(getStore().load(`liked_${yt}`), null);
+  assert.deepEqual(getStore().load(pairKey(pair)).seenTrackIds, [TRACKS.yellow]);
+});
+
+test('saving the search cache drops expired entries', t => {
+  t.after(() => {
+    purgeSearchEntries();
+    setSearchCacheTtl(0);
+  });
+  setSearchCacheTtl(-1); // already expired when stored
+  putCachedSearch('youtube', 'Dua Lipa Levitating', 10, []);
+  setSearchCacheTtl(7);
+  putCachedSearch('youtube', 'The Weeknd Blinding Lights', 10, []);
+  flushSearchCache();
+
+  const saved = JSON.parse(fs.readFileSync(path.join(CACHE_DIR, 'search_cache.json'), 'utf8'));
+  assert.deepEqual(Object.values(saved.entries).map(e => e.query), ['The Weeknd Blinding Lights']);
+});
+
+test('search cache keys only ignore case and spacing', t => {
+  t.after(() => {
+    purgeSearchEntries();
+    setSearchCacheTtl(0);
+  });
+  setSearchCacheTtl(7);
+  const hit = [{ id: VIDEOS.yellow }];
+  putCachedSearch('youtube', 'Coldplay - Yellow Remastered 2009', 5, hit);
+
+  assert.deepEqual(getCachedSearch('youtube', '  coldplay -  yellow remastered 2009 ', 5), hit);
+  assert.equal(getCachedSearch('youtube', 'Coldplay - Yellow 2009', 5), null);
+  assert.equal(getCachedSearch('youtube', 'Coldplay Yellow Remastered 2009', 5), null);
+});
+
+test('an unreadable quota ledger stops the run instead of starting the count over', async t => {
+  const ledger = path.join(CACHE_DIR, 'youtube_quota.json');
+  t.after(() => fs.rmSync(ledger, { force: true }));
+  fs.writeFileSync(ledger, '{"day": "2026-');
+  assert.throws(() => quotaUsedToday(), CacheError);
+  assert.ok(fs.existsSync(ledger), 'the file is left for the user to fix');
+});
+
+test('a sync run that fails still writes its run report', async t => {
+  t.mock.method(console, 'log', () => {});
+  const { config, clients } = setup([SP2YT_PAIR]);
+  clients.sp.getPlaylistTracks = async () => { throw new Error('boom'); };
+  const reports = () => (fs.existsSync(RUNS_DIR) ? fs.readdirSync(RUNS_DIR).length : 0);
+  const before = reports();
+
+  await assert.rejects(runSync({ config, clients, mode: MODES.SP2YT }), /boom/);
+  assert.equal(reports(), before + 1);
+});
+
+test('watch mode keeps running YT→SP pairs when the quota cannot cover a search', async t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.after(() => setQuotaBudget(DEFAULT_DAILY_BUDGET));
+  setQuotaBudget(50); // enough to read a playlist, not to search
+  const pairs = [{ ...SP2YT_PAIR, watchIntervalMinutes: 60 }, { ...YT2SP_PAIR, watchIntervalMinutes: 60 }];
+  const ran = [];
+
+  await runWatch({
+    pairs,
+    modeOf: pair => pair.nickname,
+    labelOf: pair => pair.nickname,
+    runPair: async pair => {
+      ran.push(pair.nickname);
+      process.emit('SIGINT', 'SIGINT'); // stop after this pair
+    }
+  });
+  assert.deepEqual(ran, ['yt2sp']);
+});
@@ -0,0 +1,77 @@
+// The eval command on the golden set in test/fixtures/golden.json. Results are written under
+// .cache, so this file runs in a temp directory.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DOTENV_CONFIG_QUIET = 'true';
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'sp-yt-sync-eval-')));
+
+const { runEval } = require('../src/commands/eval');
+const { CACHE_DIR } = require('../src/util/cache');
+
+const DATASET = path.join(__dirname, 'fixtures', 'golden.json');
+const RESULTS = path.join(CACHE_DIR, 'eval', 'golden.json');
+const NO_CONFIG = path.join(CACHE_DIR, 'missing-config.json'); // built-in defaults
+
+// Runs eval with console.log captured; returns { code, output }
+async function evalQuietly(t, opts) {
+  const lines = [];
+  t.mock.method(console, 'log', (...xs) => lines.push(xs.join(' ')));
+  const code = await runEval(NO_CONFIG, DATASET, opts);
+  t.mock.restoreAll();
+  return { code, output: lines.join('\n') };
+}
+
+test('eval scores each case and groups the metrics by rule', async t => {
+  const { code } = await evalQuietly(t);
+  assert.equal(code, 0);
+
+  const { results, summary } = JSON.parse(fs.readFileSync(RESULTS, 'utf8'));
+  const outcome = Object.fromEntries(results.map(r => [r.id, r.outcome]));
+  assert.deepEqual(outcome, {
+    'blinding-lights': 'correct',
+    'levitating-only-sped-up': 'correct_skip',
+    'here-comes-the-sun-remastered': 'correct', // "- Remastered 2009" no longer counts as title words
+    'heat-waves-topic': 'correct',
+    'yellow-studio-not-live': 'correct',
+    'unintelligible-title': 'correct_skip',
+    'smile-artist-on-the-left': 'missed',
+    'smile-no-artist-hint': 'false_add'
+  });
+
+  const yt2sp = summary.yt2sp;
+  assert.equal(yt2sp.all.cases, 5);
+  assert.equal(yt2sp.all.precision, 2 / 3);
+  assert.equal(yt2sp.all.recall, 2 / 4);
+  assert.equal(yt2sp.all.falseAddRate, 1 / 5);
+  assert.equal(yt2sp.all.skipRate, 2 / 5);
+  assert.equal(yt2sp.rules.isrc.precision, 1);
+  assert.equal(yt2sp.rules['exact-title'].falseAdds, 1);
+  assert.equal(summary.sp2yt.rules['best-score'].correct, 2);
+});
+
+test('eval compares a run with the previous one, or with --baseline', async t => {
+  await evalQuietly(t);
+  const unchanged = await evalQuietly(t);
+  assert.match(unchanged.output, /no case changed/);
+
+  // A baseline in which the Beatles case was still missed: this run adds it
+  const doc = JSON.parse(fs.readFileSync(RESULTS, 'utf8'));
+  const sun = doc.results.find(r => r.id === 'here-comes-the-sun-remastered');
+  Object.assign(sun, { decision: 'skip', chosen: null, score: null, rule: 'no_candidate_passed_filters', outcome: 'missed' });
+  const baseline = path.join(CACHE_DIR, 'baseline.json');
+  fs.writeFileSync(baseline, JSON.stringify(doc));
+
+  const { output } = await evalQuietly(t, { baseline });
+  assert.match(output, /✔ better here-comes-the-sun-remastered: skipped \(no_candidate_passed_filters\) → added the right item via best-score/);
+});
+
+test('eval refuses a malformed dataset', async t => {
+  const bad = path.join(CACHE_DIR, 'bad.json');
+  fs.writeFileSync(bad, JSON.stringify({ cases: [{ id: 'x', direction: 'sideways', source: {}, candidates: [] }] }));
+  t.mock.method(console, 'error', () => {});
+  assert.equal(await runEval(NO_CONFIG, bad), 1);
+});
@@ -0,0 +1,38 @@
+// Helpers shared by the fake API clients: fixture loading and a crude search ranking.
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+// Fixtures are read fresh (and so can be mutated) for every fake client
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+}
+
+function words(s) {
+  return (s || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// Items sharing at least one word with the query, most shared words first (stable).
+// A recorded result list for the exact query wins, to pin down what the real API returned.
+function searchCatalog(items, query, { limit, textOf, recorded }) {
+  if (recorded && recorded[query]) {
+    const byId = new Map(items.map(it => [it.id, it]));
+    return recorded[query].map(id => byId.get(id)).filter(Boolean).slice(0, limit);
+  }
+  const want = new Set(words(query));
+  return items
+    .map((it, i) => ({ it, i, hits: words(textOf(it)).filter(w => want.has(w)).length }))
+    .filter(x => x.hits > 0)
+    .sort((a, b) => b.hits - a.hits || a.i - b.i)
+    .slice(0, limit)
+    .map(x => x.it);
+}
+
+// Offset-based page of a list, Spotify style
+function page(list, offset = 0, limit = 50) {
+  const items = list.slice(offset, offset + limit);
+  return { items, next: offset + items.length < list.length ? String(offset + items.length) : null };
+}
+
+module.exports = { loadFixture, searchCatalog, page };
@@ -0,0 +1,82 @@
+// In-memory stand-in for the spotify-web-api-node client, backed by a JSON fixture:
+//   { tracks: [<Web API track object>], playlists: { [id]: [{ track, addedAt }] },
+//     liked?: [{ track, addedAt }], searches?: { [query]: [trackId] } }
+// Only the methods clients/spotify.js calls are implemented. Writes change the fixture's
+// playlists in memory and are recorded in `calls`.
+const { loadFixture, searchCatalog, page } = require('./catalog');
+
+function createFakeSpotify(fixture) {
+  const data = typeof fixture === 'string' ? loadFixture(fixture) : structuredClone(fixture);
+  const tracksById = new Map(data.tracks.map(t => [t.id, t]));
+  const calls = { searches: [], added: [], removed: [] };
+
+  const playlist = id => {
+    if (!data.playlists[id]) throw Object.assign(new Error(`Fake Spotify: no playlist ${id}`), { statusCode: 404 });
+    return data.playlists[id];
+  };
+  const toItem = ({ track, addedAt }) => ({ track: tracksById.get(track) || null, added_at: addedAt });
+  const idFromUri = uri => uri.replace(/^spotify:track:/, '');
+
+  return {
+    calls,
+    // Track IDs of a playlist (or 'liked'), in playlist order
+    trackIds: id => (id === 'liked' ? data.liked || [] : playlist(id)).map(e => e.track),
+
+    async getPlaylistTracks(id, { limit = 100, offset = 0 } = {}) {
+      const { items, next } = page(playlist(id).map(toItem), offset, limit);
+      return { body: { items, next } };
+    },
+
+    async getMySavedTracks({ limit = 50, offset = 0 } = {}) {
+      const { items, next } = page((data.liked || []).map(toItem), offset, limit);
+      return { body: { items, next } };
+    },
+
+    async searchTracks(q, { limit = 20 } = {}) {
+      calls.searches.push(q);
+      const isrc = /^isrc:(\w+)$/i.exec(q);
+      const items = isrc
+        ? data.tracks.filter(t => (t.external_ids?.isrc || '').toUpperCase() === isrc[1].toUpperCase()).slice(0, limit)
+        : searchCatalog(data.tracks, q, {
+          limit,
+          textOf: t => `${(t.artists || []).map(a => a.name).join(' ')} ${t.name}`,
+          recorded: data.searches
+        });
+      return { body: { tracks: { items } } };
+    },
+
+    async addTracksToPlaylist(id, uris) {
+      const list = playlist(id);
+      for (const uri of uris) {
+        list.push({ track: idFromUri(uri), addedAt: new Date().toISOString() });
+        calls.added.push({ playlistId: id, trackId: idFromUri(uri) });
+      }
+      return { body: { snapshot_id: `snapshot-${calls.added.length}` } };
+    },
+
+    async removeTracksFromPlaylist(id, tracks) {
+      const drop = new Set(tracks.map(t => idFromUri(t.uri)));
+      data.playlists[id] = playlist(id).filter(e => !drop.has(e.track));
+      for (const trackId of drop) calls.removed.push({ playlistId: id, trackId });
+      return { body: {} };
+    },
+
+    async addToMySavedTracks(ids) {
+      data.liked = data.liked || [];
+      for (const trackId of ids) {
+        data.liked.unshift({ track: trackId, addedAt: new Date().toISOString() });
+        calls.added.push({ playlistId: 'liked', trackId });
+      }
+      return { body: {} };
+    },
+
+    async removeFromMySavedTracks(ids) {
+      const drop = new Set(ids);
+      data.liked = (data.liked || []).filter(e => !drop.has(e.track));
+      for (const trackId of drop) calls.removed.push({ playlistId: 'liked', trackId });
+      return { body: {} };
+    }
+  };
+}
+
+module.exports = { createFakeSpotify };
@@ -0,0 +1,87 @@
+// In-memory stand-in for the googleapis youtube('v3') client, backed by a JSON fixture:
+//   { videos: [<Data API video resource>], playlists: { [id]: [{ video, addedAt }] },
+//     searches?: { [query]: [videoId] } }
+// Only the methods clients/youtube.js calls are implemented. Writes change the fixture's
+// playlists in memory and are recorded in `calls`.
+const { loadFixture, searchCatalog, page } = require('./catalog');
+
+function createFakeYouTube(fixture) {
+  const data = typeof fixture === 'string' ? loadFixture(fixture) : structuredClone(fixture);
+  const videosById = new Map(data.videos.map(v => [v.id, v]));
+  const calls = { searches: [], inserted: [], deleted: [] };
+  let nextItemId = 1;
+
+  // Every playlist entry gets a playlistItem ID, like the real API
+  for (const list of Object.values(data.playlists)) {
+    for (const e of list) e.itemId = e.itemId || `PLI${nextItemId++}`;
+  }
+
+  const playlist = id => {
+    if (!data.playlists[id]) throw Object.assign(new Error(`Fake YouTube: no playlist ${id}`), { code: 404 });
+    return data.playlists[id];
+  };
+
+  return {
+    calls,
+    // Video IDs of a playlist, in playlist order
+    videoIds: id => playlist(id).map(e => e.video),
+    // The video turns private: still listed in playlists, but no longer returned by videos.list
+    makeUnavailable: videoId => videosById.delete(videoId),
+
+    playlistItems: {
+      async list({ playlistId, maxResults = 50, pageToken }) {
+        const { items, next } = page(playlist(playlistId), Number(pageToken) || 0, maxResults);
+        return {
+          data: {
+            items: items.map(e => ({
+              id: e.itemId,
+              contentDetails: { videoId: e.video },
+              snippet: { publishedAt: e.addedAt, title: videosById.get(e.video)?.snippet?.title ?? 'Private video' }
+            })),
+            nextPageToken: next || undefined
+          }
+        };
+      },
+
+      async insert({ requestBody }) {
+        const { playlistId, resourceId } = requestBody.snippet;
+        const entry = { video: resourceId.videoId, addedAt: new Date().toISOString(), itemId: `PLI${nextItemId++}` };
+        playlist(playlistId).push(entry);
+        calls.inserted.push({ playlistId, videoId: entry.video });
+        return { data: { id: entry.itemId } };
+      },
+
+      async delete({ id }) {
+        for (const [playlistId, list] of Object.entries(data.playlists)) {
+          const at = list.findIndex(e => e.itemId === id);
+          if (at < 0) continue;
+          calls.deleted.push({ playlistId, videoId: list[at].video });
+          list.splice(at, 1);
+          return { data: {} };
+        }
+        throw Object.assign(new Error(`Fake YouTube: no playlist item ${id}`), { code: 404 });
+      }
+    },
+
+    search: {
+      async list({ q, maxResults = 5 }) {
+        calls.searches.push(q);
+        const hits = searchCatalog(data.videos, q, {
+          limit: maxResults,
+          textOf: v => `${v.snippet?.title} ${v.snippet?.channelTitle}`,
+          recorded: data.searches
+        });
+        return { data: { items: hits.map(v => ({ id: { kind: 'youtube#video', videoId: v.id } })) } };
+      }
+    },
+
+    videos: {
+      async list({ id }) {
+        const ids = Array.isArray(id) ? id : String(id).split(',');
+        return { data: { items: ids.map(x => videosById.get(x)).filter(Boolean) } };
+      }
+    }
+  };
+}
+
+module.exports = { createFakeYouTube };
@@ -0,0 +1,92 @@
+// Unit tests for the matching heuristics in src/clients (no API calls).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DOTENV_CONFIG_QUIET = 'true';
+
+const { smartSplitArtistTitle, isExactTitleMatch } = require('../src/clients/spotify');
+const { violatesVersionRules, passesHardFilters, toMsFromISO8601, spotifyTitleCore, searchQueriesFor } = require('../src/clients/youtube');
+
+test('smartSplitArtistTitle: the side the channel names is the artist', () => {
+  assert.deepEqual(smartSplitArtistTitle('Yellow - Coldplay', 'Coldplay - Topic'),
+    { titleCore: 'Yellow', artistSide: 'Coldplay', orientation: 'right-artist' });
+  assert.deepEqual(smartSplitArtistTitle('Coldplay – Yellow', 'Coldplay VEVO'),
+    { titleCore: 'Yellow', artistSide: 'Coldplay', orientation: 'left-artist' });
+});
+
+test('smartSplitArtistTitle: artist markers decide without a channel hint', () => {
+  assert.deepEqual(smartSplitArtistTitle('Calvin Harris feat. Rihanna - This Is What You Came For', 'Calvin Harris'),
+    { titleCore: 'This Is What You Came For', artistSide: 'Calvin Harris feat. Rihanna', orientation: 'left-artist' });
+});
+
+test('smartSplitArtistTitle: titles without a dash are not split', () => {
+  assert.deepEqual(smartSplitArtistTitle('Heat Waves', 'Glass Animals - Topic'),
+    { titleCore: 'Heat Waves', artistSide: null, orientation: 'none' });
+});
+
+test('isExactTitleMatch compares title words, ignoring order and case', () => {
+  assert.equal(isExactTitleMatch('Yellow', 'yellow'), true);
+  assert.equal(isExactTitleMatch('Yellow (Official Video)', 'Yellow'), true);
+  assert.equal(isExactTitleMatch('Blinding Lights', 'Lights Blinding'), true);
+  assert.equal(isExactTitleMatch('Yellow', 'Yellow - Live in Buenos Aires'), false);
+  assert.equal(isExactTitleMatch('!!!', '!!!'), false); // nothing to compare
+});
+
+test('violatesVersionRules: variants must be asked for by the Spotify title', () => {
+  assert.equal(violatesVersionRules('Blinding Lights', 'Blinding Lights (Live)', ''), true);
+  assert.equal(violatesVersionRules('Blinding Lights - Live', 'Blinding Lights Live', ''), false);
+  assert.equal(violatesVersionRules('Song - Remix', 'Song Remix', ''), false);
+  assert.equal(violatesVersionRules('Song', 'Song (Official Audio)', ''), false);
+});
+
+test('violatesVersionRules: covers, karaoke and edits are refused, in the title or description', () => {
+  assert.equal(violatesVersionRules('Song', 'Song karaoke version', ''), true);
+  assert.equal(violatesVersionRules('Song', 'Song', 'Karaoke track with on-screen text'), true);
+  assert.equal(violatesVersionRules('Song', 'Song (Sped Up)', ''), true);
+  assert.equal(violatesVersionRules('Song', 'Song - Piano Cover', ''), true);
+});
+
+test('passesHardFilters: duration, artist and title words must all line up', () => {
+  const track = { title: 'Blinding Lights', artists: ['The Weeknd'], durationMs: 200040 };
+  const video = { title: 'The Weeknd - Blinding Lights (Official Audio)', channelTitle: 'The Weeknd', description: '', durationMs: toMsFromISO8601('PT3M20S') };
+  assert.equal(passesHardFilters(track, video, 7), true);
+  assert.equal(passesHardFilters(track, { ...video, durationMs: toMsFromISO8601('PT3M40S') }, 7), false);
+  assert.equal(passesHardFilters(track, { ...video, title: 'Blinding Lights', channelTitle: 'Someone Else' }, 7), false);
+  assert.equal(passesHardFilters(track, { ...video, title: 'The Weeknd - Lights' }, 7), false);
+  assert.equal(passesHardFilters(track, { ...video, durationMs: 45000 }, 200), false); // a Short
+});
+
+test('passesHardFilters: release suffixes are not title words, and any credited artist aligns', () => {
+  const track = { title: 'Here Comes The Sun - Remastered 2009', artists: ['The Beatles'], durationMs: 185733 };
+  const video = { title: 'The Beatles - Here Comes The Sun', channelTitle: 'The Beatles', description: '', durationMs: 186000 };
+  assert.equal(passesHardFilters(track, video, 7), true);
+  const duet = { title: 'Under Pressure', artists: ['Queen', 'David Bowie'], durationMs: 248000 };
+  assert.equal(passesHardFilters(duet, { ...video, title: 'Under Pressure', channelTitle: 'David Bowie', durationMs: 248000 }, 7), true);
+});
+
+test('spotifyTitleCore drops release suffixes but keeps versions', () => {
+  assert.equal(spotifyTitleCore('Here Comes The Sun - Remastered 2009'), 'Here Comes The Sun');
+  assert.equal(spotifyTitleCore('Bohemian Rhapsody - 2011 Remaster'), 'Bohemian Rhapsody');
+  assert.equal(spotifyTitleCore('Paint It, Black - Mono'), 'Paint It, Black');
+  assert.equal(spotifyTitleCore('Stay (with Justin Bieber)'), 'Stay');
+  assert.equal(spotifyTitleCore('Hold My Hand - From “Top Gun: Maverick”'), 'Hold My Hand');
+  assert.equal(spotifyTitleCore('Yellow - Live in Buenos Aires'), 'Yellow - Live in Buenos Aires');
+  assert.equal(spotifyTitleCore('Titanium (feat. Sia) - Remastered'), 'Titanium');
+});
+
+test('searchQueriesFor: primary artist first, then audio/Topic variants and the other artists', () => {
+  assert.deepEqual(searchQueriesFor({ title: 'Under Pressure - Remastered 2011', artists: ['Queen', 'David Bowie'] }), [
+    'Queen Under Pressure',
+    'Queen - Under Pressure official audio',
+    'Under Pressure topic',
+    'David Bowie Under Pressure'
+  ]);
+  assert.deepEqual(searchQueriesFor({ title: '!!!', artists: ['Band'] }), ['Band !!!']);
+});
+
+test('toMsFromISO8601 parses YouTube durations', () => {
+  assert.equal(toMsFromISO8601('PT3M20S'), 200000);
+  assert.equal(toMsFromISO8601('PT1H2M3S'), 3723000);
+  assert.equal(toMsFromISO8601('PT45S'), 45000);
+  assert.equal(toMsFromISO8601(undefined), undefined);
+});
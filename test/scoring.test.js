@@ -0,0 +1,150 @@
+// Scoring engine: per-pair weights from config.json and the explanation each lookup returns,
+// plus the SP→YT query planner that feeds it (early stop, query cap, quota budget).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DOTENV_CONFIG_QUIET = 'true';
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'sp-yt-sync-test-')));
+
+const { parseConfig, ConfigError, DEFAULTS } = require('../src/util/config');
+const { DEFAULT_SCORING, formatExplanation } = require('../src/util/scoring');
+const { setSearchCacheTtl, purgeSearchEntries } = require('../src/util/searchCache');
+const { setQuotaBudget, DEFAULT_DAILY_BUDGET } = require('../src/util/quota');
+const { findBestYouTubeForSpotifyTrack } = require('../src/clients/youtube');
+const { createFakeYouTube } = require('./fakes/youtube');
+const { loadFixture } = require('./fakes/catalog');
+
+const PAIR = { spotifyPlaylistId: '3cEYpjA9oz9GiPac4AsH4n', youtubePlaylistId: 'PLfixtureSp2YtPlaylist' };
+const BLINDING_LIGHTS = { id: '0VjIjW4GlUZAMYd2vXMi3b', title: 'Blinding Lights', artists: ['The Weeknd'], durationMs: 200040 };
+const LEVITATING = { id: '463CkQjx2Zk1yXoBuierM9', title: 'Levitating', artists: ['Dua Lipa'], durationMs: 203064 }; // only a sped-up upload
+
+setSearchCacheTtl(0);
+
+test('scoring in config.json merges over the defaults, per pair', () => {
+  const config = parseConfig({
+    defaults: { scoring: { sp2yt: { weights: { popularity: 0 } } } },
+    pairs: [{ ...PAIR, scoring: { sp2yt: { weights: { trust: 3 } }, softDupe: { minSlackSec: 20 } } }]
+  });
+  const { scoring } = config.pairs[0];
+  assert.equal(scoring.sp2yt.weights.trust, 3);
+  assert.equal(scoring.sp2yt.weights.popularity, 0);
+  assert.equal(scoring.sp2yt.weights.title, DEFAULT_SCORING.sp2yt.weights.title);
+  assert.equal(scoring.softDupe.minSlackSec, 20);
+  assert.equal(scoring.softDupe.slackRatio, DEFAULT_SCORING.softDupe.slackRatio);
+  assert.deepEqual(scoring.yt2sp, DEFAULT_SCORING.yt2sp);
+});
+
+test('unknown feature names and negative weights are config errors', () => {
+  assert.throws(() => parseConfig({ pairs: [{ ...PAIR, scoring: { sp2yt: { weights: { trsut: 1 } } } }] }), ConfigError);
+  assert.throws(() => parseConfig({ pairs: [{ ...PAIR, scoring: { yt2sp: { weights: { title: -1 } } } }] }), ConfigError);
+});
+
+test('SP→YT explains which filters rejected each candidate and what each feature added', async () => {
+  const { best, explanation } = await findBestYouTubeForSpotifyTrack(createFakeYouTube('youtube'), BLINDING_LIGHTS);
+  assert.equal(explanation.direction, 'sp2yt');
+  assert.equal(explanation.chosen, best.id);
+
+  const byId = Object.fromEntries(explanation.candidates.map(c => [c.id, c]));
+  assert.ok(explanation.candidates.some(c => c.failed.includes('version')), 'the live and cover uploads fail the version rules');
+  const chosen = byId[best.id];
+  assert.deepEqual(chosen.failed, []);
+  const sum = Object.values(chosen.features).reduce((s, f) => s + f.points, 0);
+  assert.ok(Math.abs(sum - chosen.score) < 1e-9);
+  assert.equal(chosen.features.trust.weight, DEFAULT_SCORING.sp2yt.weights.trust);
+
+  const lines = formatExplanation(explanation);
+  assert.ok(lines.some(l => l.includes('failed version')));
+  assert.ok(lines.at(-1).startsWith('→ chose'));
+});
+
+test('failed SP→YT filters say what they saw', async () => {
+  const { explanation } = await findBestYouTubeForSpotifyTrack(createFakeYouTube('youtube'), BLINDING_LIGHTS);
+  const live = explanation.candidates.find(c => /Live on The Tonight Show/.test(c.label));
+  assert.equal(live.why.version, '"live"');
+  const cover = explanation.candidates.find(c => /Piano Cover/.test(c.label));
+  assert.equal(cover.why.version, '"cover"');
+
+  const short = await findBestYouTubeForSpotifyTrack(createFakeYouTube('youtube'), { ...BLINDING_LIGHTS, durationMs: 260000 });
+  const audio = short.explanation.candidates.find(c => /Official Audio/.test(c.label));
+  assert.match(audio.why.duration, /^Δ\d+(\.\d)?s > ±7s$/);
+});
+
+test('weights from the pair change the score', async () => {
+  const scoring = { ...DEFAULT_SCORING, sp2yt: { weights: { ...DEFAULT_SCORING.sp2yt.weights, trust: 0 } } };
+  const base = await findBestYouTubeForSpotifyTrack(createFakeYouTube('youtube'), BLINDING_LIGHTS);
+  const tuned = await findBestYouTubeForSpotifyTrack(createFakeYouTube('youtube'), BLINDING_LIGHTS, { scoring });
+  const trustPoints = base.explanation.candidates.find(c => c.id === base.best.id).features.trust.points;
+  assert.equal(tuned.best.id, base.best.id);
+  assert.ok(Math.abs(base.score - tuned.score - trustPoints) < 1e-9);
+});
+
+// The first query only finds a lyrics upload (scores below the default confidentScore of 8);
+// the official audio comes up on the second
+function lyricsFirstFixture() {
+  const data = loadFixture('youtube');
+  const audio = data.videos.find(v => v.id === '4NRXx6U8ABQ');
+  data.videos.push({
+    ...structuredClone(audio),
+    id: 'Ly1rIcS0bL8',
+    snippet: { ...audio.snippet, title: 'The Weeknd - Blinding Lights (Lyrics)', channelTitle: 'Lyrics Hub', channelId: 'UClyricshub' },
+    statistics: { viewCount: '40000' }
+  });
+  data.searches = {
+    'The Weeknd Blinding Lights': ['Ly1rIcS0bL8'],
+    'The Weeknd - Blinding Lights official audio': ['4NRXx6U8ABQ']
+  };
+  return data;
+}
+
+test('SP→YT stops searching at a confident candidate', async () => {
+  const yt = createFakeYouTube(lyricsFirstFixture());
+  const { best, explanation } = await findBestYouTubeForSpotifyTrack(yt, BLINDING_LIGHTS);
+  const lyrics = explanation.candidates.find(c => c.id === 'Ly1rIcS0bL8');
+  assert.deepEqual(lyrics.failed, []);
+  assert.ok(lyrics.score < DEFAULTS.matching.confidentScore, 'the lyrics upload passes but is not confident');
+  assert.equal(best.id, '4NRXx6U8ABQ');
+  assert.ok(explanation.candidates.find(c => c.id === best.id).score >= DEFAULTS.matching.confidentScore);
+  // Three queries are planned; the third is never run
+  assert.equal(yt.calls.searches.length, 2);
+  assert.deepEqual(explanation.queries, ['The Weeknd Blinding Lights', 'The Weeknd - Blinding Lights official audio']);
+});
+
+test('SP→YT tries every planned query when nothing is confident, up to maxQueries', async () => {
+  const yt = createFakeYouTube('youtube');
+  const { best, explanation } = await findBestYouTubeForSpotifyTrack(yt, LEVITATING);
+  assert.equal(best, null);
+  assert.deepEqual(explanation.queries, ['Dua Lipa Levitating', 'Dua Lipa - Levitating official audio', 'Levitating topic']);
+  assert.deepEqual(yt.calls.searches, explanation.queries);
+
+  const capped = createFakeYouTube('youtube');
+  await findBestYouTubeForSpotifyTrack(capped, LEVITATING, { maxQueries: 1 });
+  assert.equal(capped.calls.searches.length, 1);
+});
+
+test('SP→YT sends every planned query with the search cache on', async t => {
+  t.after(() => {
+    purgeSearchEntries();
+    setSearchCacheTtl(0);
+  });
+  setSearchCacheTtl(7);
+  const yt = createFakeYouTube('youtube');
+  const { explanation } = await findBestYouTubeForSpotifyTrack(yt, LEVITATING);
+  assert.deepEqual(yt.calls.searches, explanation.queries);
+  assert.equal(yt.calls.searches.length, 3);
+
+  // A second lookup is answered from the cache
+  const again = createFakeYouTube('youtube');
+  await findBestYouTubeForSpotifyTrack(again, LEVITATING);
+  assert.deepEqual(again.calls.searches, []);
+});
+
+test('SP→YT does not spend search quota beyond the budget after the first query', async t => {
+  t.after(() => setQuotaBudget(DEFAULT_DAILY_BUDGET));
+  setQuotaBudget(0); // the caller already paid for the first search
+  const yt = createFakeYouTube('youtube');
+  await findBestYouTubeForSpotifyTrack(yt, LEVITATING);
+  assert.equal(yt.calls.searches.length, 1);
+});